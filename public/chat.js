@@ -1,21 +1,73 @@
 /**
- * LLM Chat App Frontend (Raw SSE mode + final-only rendering + gate + download)
+ * LLM Chat App Frontend (Raw SSE mode + final-only rendering + download)
  * - 兼容 Workers 原生 / OpenAI Chat Completions / OpenAI Responses
  * - 展示侧忽略 reasoning* 事件
- * - completed：若完整文本更长则替换此前增量
- * - 仅渲染“最后一个” <final>…</final>；若仅有 … 则兜底回退
- * - Raw 模式门控：在看到 <final> 前不渲染正文（防止推理/自述闪现）
+ * - Responses 流：正文只由 output_text.delta 累积；没有任何 delta 时以 completed 全文兜底
+ * - /api/chat 只下发回答正文，直接渲染；源SSE模式用共享的 ./final-extractor.js 从原文中提取 <final> 回答
  * - 支持：源SSE模式（/api/chat/raw）与 原始SSE捕获 + 复制 + 下载
+ * - event: moderation（CN 输出审核命中）时整体替换气泡内容
+ * - 会话存储在服务端（/api/conversations）；侧栏可切换/新建/删除，当前会话 ID 存 localStorage
+ * - 停止按钮：中断 fetch（后端随之取消上游流），已生成部分保留并标记为“已停止”
+ * - 消息树（./message-tree.js）：回答可“重新生成”、提问可“编辑”后重发，均产生兄弟分支，用“‹ 2/3 ›”切换；
+ *   当前显示的分支即下一轮发送的历史，请求带 turn 让后端按同样的树落库
+ * - 长对话：后端压缩 / 丢弃较早消息时，在回答下方注明条数
+ * - “⚙ 参数”面板：预设（/api/presets）与 temperature / top_p / max_tokens / seed，随请求发送并按会话保存（PATCH /api/conversations/:id）；
+ *   被后端按模型夹取 / 忽略的参数在回答下方注明
+ * - /api/chat 的状态事件：meta（请求 ID）/ error（出错说明，retryable 时带“重试”按钮）/ done（结束原因；
+ *   耗时与 token 用量显示在回答下方，如“1.2s · 340 tokens”）
+ * - 思考过程（opt-in）：模型与地区策略均允许时可开启，reasoning 事件实时显示在回答上方的可折叠面板（含用时）
+ * - “🛠 工具”（opt-in）：模型支持且本地区有可用工具时可开启；tool_call / tool_result 显示为回答上方的可折叠卡片
+ * - 附件：📎 / 拖放 / 粘贴添加图片与文本文件，输入框上方预览、可移除；图片只发给支持 vision 的模型（/api/models 的 vision），
+ *   文件正文随消息发送（后端一并做合规检查）；限制与 src/attachments.ts 一致
+ * - 资料库：设置面板中选集合、上传 .txt / .md（/api/documents）；回答中的 [n] 渲染为指向“来源”脚注的上标链接（./citations.js）
+ * - 导出当前对话为 Markdown / JSON / 单文件 HTML（./conversation-export.js），导入 JSON 还原后可继续对话
+ * - “⚖ 对比”模式：同一问题并行发给勾选的 2–4 个模型（/api/chat/compare），分列显示回答、首字 / 总耗时与 tokens，
+ *   可投票选出更好的回答，“导出投票”下载 JSONL
+ * - 上游事件的正文提取与 Worker 共用 ./sse-replay.js；下载的原始SSE可在 debug.html 中逐事件回放
+ * - 浏览器会话：后端启用 API 密钥鉴权时，页面先 POST /api/session 取得会话 cookie；401 时刷新会话重试一次
  */
 
+import {
+    escapeHtml,
+    exportFileName,
+    extractMath,
+    MATH_PLACEHOLDER_RE,
+    toHtml,
+    toJsonExport,
+    toMarkdown,
+} from "./conversation-export.js";
+import { linkCitations, renderSourceList } from "./citations.js";
+import { createFinalExtractor, extractFinalText } from "./final-extractor.js";
+import { createMessageTree, messageContent } from "./message-tree.js";
+import { normalizeChunkToText } from "./sse-replay.js";
+
 // DOM
 const chatMessages = document.getElementById("chat-messages");
 const userInput = document.getElementById("user-input");
 const sendButton = document.getElementById("send-button");
+const stopButton = document.getElementById("stop-button");
 const typingIndicator = document.getElementById("typing-indicator");
 const modelSelect = document.getElementById("model-select");
 const rawToggleBtn = document.getElementById("raw-toggle");
 const sourceToggleBtn = document.getElementById("source-toggle");
+const reasoningToggleBtn = document.getElementById("reasoning-toggle");
+const toolsToggleBtn = document.getElementById("tools-toggle");
+const conversationListEl = document.getElementById("conversation-list");
+const newChatBtn = document.getElementById("new-chat");
+const exportButtons = document.querySelectorAll("[data-export]");
+const importButton = document.getElementById("import-button");
+const importFileInput = document.getElementById("import-file");
+const settingsToggleBtn = document.getElementById("settings-toggle");
+const settingsForm = document.getElementById("settings-panel");
+const compareToggleBtn = document.getElementById("compare-toggle");
+const compareBar = document.getElementById("compare-bar");
+const documentUploadBtn = document.getElementById("document-upload");
+const documentFileInput = document.getElementById("document-file");
+const documentsStatusEl = document.getElementById("documents-status");
+const collectionOptionsEl = document.getElementById("collection-options");
+const attachButton = document.getElementById("attach-button");
+const attachFileInput = document.getElementById("attach-file");
+const attachmentTray = document.getElementById("attachment-tray");
 // Inject a demo button if missing (to verify math rendering quickly)
 const headerRightEl = document.querySelector('.header-right');
 let demoInsertBtn = document.getElementById('demo-insert');
@@ -29,13 +81,41 @@ if (headerRightEl && !demoInsertBtn) {
 }
 
 let isProcessing = false;
-const chatHistory = [];
+let currentAbort = null;   // 当前生成的 AbortController（停止按钮用）
+const tree = createMessageTree();        // 全部分支；当前分支即发送的历史
+const welcomeHTML = chatMessages ? chatMessages.innerHTML : "";
+let currentConversationId = localStorage.getItem("conversationId") || null;
 
 // 两个开关（持久化）
 let captureRawSSE = (localStorage.getItem("captureRawSSE") === "1");
 let useRawEndpoint = (localStorage.getItem("useRawEndpoint") === "1");
+let showReasoning = (localStorage.getItem("showReasoning") === "1");
+let reasoningAllowed = false;            // 当前地区策略是否允许展示思考过程（/api/models 下发）
+const reasoningModels = new Set();       // 会输出思考过程的模型
+let useTools = (localStorage.getItem("useTools") === "1");
+let availableToolNames = [];             // 本地区可用的工具（/api/models 下发）
+const toolModels = new Set();            // 支持 function calling 的模型
+const visionModels = new Set();          // 接受图片输入的模型
+const modelInfo = new Map();             // 模型 ID → /api/models 条目（参数上限）
+let chatSettings = {};                   // 当前会话的预设与生成参数（设置面板）
+let settingsSaveTimer = null;
+let compareMode = (localStorage.getItem("compareMode") === "1");
+let compareModels = JSON.parse(localStorage.getItem("compareModels") || "[]");
+const collectionCounts = new Map();      // 资料库集合名 → 文档数（/api/documents）
+let citationSeq = 0;                     // 脚注 ID 前缀计数
+let pendingAttachments = [];             // 输入框上方待发送的附件（见 ./message-tree.js 的 Attachment）
 updateRawToggleUI();
+updateCompareToggleUI();
 updateSourceToggleUI();
+updateReasoningToggleUI();
+updateToolsToggleUI();
+loadModels();
+loadPresets();
+initSettingsPanel();
+initDocuments();
+initAttachments();
+initConversations();
+ensureSession();
 
 if (rawToggleBtn) {
     rawToggleBtn.addEventListener("click", () => {
@@ -51,6 +131,69 @@ if (sourceToggleBtn) {
         updateSourceToggleUI();
     });
 }
+if (reasoningToggleBtn) {
+    reasoningToggleBtn.addEventListener("click", () => {
+        showReasoning = !showReasoning;
+        localStorage.setItem("showReasoning", showReasoning ? "1" : "0");
+        updateReasoningToggleUI();
+    });
+}
+if (toolsToggleBtn) {
+    toolsToggleBtn.addEventListener("click", () => {
+        useTools = !useTools;
+        localStorage.setItem("useTools", useTools ? "1" : "0");
+        updateToolsToggleUI();
+    });
+}
+for (const button of exportButtons) {
+    button.addEventListener("click", () => exportConversation(button.dataset.export));
+}
+if (importButton && importFileInput) {
+    importButton.addEventListener("click", () => { if (!isProcessing) importFileInput.click(); });
+    importFileInput.addEventListener("change", () => {
+        const file = importFileInput.files?.[0];
+        importFileInput.value = "";
+        if (file) importConversationFile(file);
+    });
+}
+if (compareToggleBtn) {
+    compareToggleBtn.addEventListener("click", () => {
+        compareMode = !compareMode;
+        localStorage.setItem("compareMode", compareMode ? "1" : "0");
+        updateCompareToggleUI();
+        renderAttachmentTray();
+    });
+}
+if (modelSelect) {
+    modelSelect.addEventListener("change", () => {
+        updateReasoningToggleUI();
+        updateToolsToggleUI();
+        updateSettingsLimits();
+        renderAttachmentTray();
+    });
+}
+
+// 仅当策略允许且所选模型会思考时才显示开关
+function reasoningAvailable() {
+    return reasoningAllowed && !!modelSelect && reasoningModels.has(modelSelect.value);
+}
+function updateReasoningToggleUI() {
+    if (!reasoningToggleBtn) return;
+    reasoningToggleBtn.hidden = !reasoningAvailable();
+    reasoningToggleBtn.classList.toggle("active", showReasoning);
+    reasoningToggleBtn.textContent = showReasoning ? "💭 思考过程：开启" : "💭 思考过程：关闭";
+}
+// 工具仅在 /api/chat（规范化 SSE）中运行
+function toolsAvailable() {
+    return availableToolNames.length > 0 && !!modelSelect && toolModels.has(modelSelect.value);
+}
+function updateToolsToggleUI() {
+    if (!toolsToggleBtn) return;
+    toolsToggleBtn.hidden = !toolsAvailable();
+    toolsToggleBtn.classList.toggle("active", useTools);
+    toolsToggleBtn.textContent = useTools ? "🛠 工具：开启" : "🛠 工具：关闭";
+    toolsToggleBtn.title = `允许模型调用服务端工具：${availableToolNames.join("、")}（源SSE模式下不可用）`;
+}
 function updateRawToggleUI() {
     if (!rawToggleBtn) return;
     rawToggleBtn.classList.toggle("active", captureRawSSE);
@@ -64,6 +207,521 @@ function updateSourceToggleUI() {
     sourceToggleBtn.title = useRawEndpoint ? "使用 /api/chat/raw，直接消费上游原始SSE" : "使用 /api/chat（规范化SSE）";
 }
 
+// 模型列表由后端注册表下发（/api/models）；失败时保留 HTML 中的默认选项
+async function loadModels() {
+    if (!modelSelect) return;
+    try {
+        const res = await fetch("/api/models");
+        if (!res.ok) return;
+        const data = await res.json();
+        if (!Array.isArray(data?.models) || !data.models.length) return;
+
+        const previous = modelSelect.value;
+        modelSelect.innerHTML = "";
+        reasoningAllowed = data.reasoningAllowed === true;
+        reasoningModels.clear();
+        availableToolNames = Array.isArray(data.tools) ? data.tools.map((t) => t.name) : [];
+        toolModels.clear();
+        visionModels.clear();
+        modelInfo.clear();
+        for (const m of data.models) {
+            if (m.reasoning) reasoningModels.add(m.id);
+            if (m.tools) toolModels.add(m.id);
+            if (m.vision) visionModels.add(m.id);
+            modelInfo.set(m.id, m);
+            const opt = document.createElement("option");
+            opt.value = m.id;
+            opt.textContent = m.label || m.id;
+            if (m.reasoning) opt.title = "该模型会先思考（reasoning）再作答";
+            modelSelect.appendChild(opt);
+        }
+        const ids = data.models.map((m) => m.id);
+        modelSelect.value = ids.includes(previous) ? previous : (data.default || ids[0]);
+        renderCompareModels(data.models);
+        updateReasoningToggleUI();
+        updateToolsToggleUI();
+        updateSettingsLimits();
+        renderAttachmentTray();
+    } catch (e) {
+        console.error(e);
+    }
+}
+
+// ========== 设置面板：预设 + 生成参数（按会话保存） ==========
+const SETTINGS_NUMBER_FIELDS = ["temperature", "top_p", "max_tokens", "seed"];
+
+async function loadPresets() {
+    const select = settingsForm?.elements.namedItem("preset");
+    if (!select) return;
+    try {
+        const res = await fetch("/api/presets");
+        if (!res.ok) return;
+        const data = await res.json();
+        for (const p of data.presets || []) {
+            const opt = document.createElement("option");
+            opt.value = p.id;
+            opt.textContent = p.label || p.id;
+            if (p.description) opt.title = p.description;
+            select.appendChild(opt);
+        }
+        select.value = chatSettings.preset || "";
+    } catch (e) {
+        console.error(e);
+    }
+}
+
+function initSettingsPanel() {
+    if (!settingsForm || !settingsToggleBtn) return;
+    settingsToggleBtn.addEventListener("click", (e) => {
+        e.stopPropagation();
+        settingsForm.hidden = !settingsForm.hidden;
+        settingsToggleBtn.classList.toggle("active", !settingsForm.hidden);
+    });
+    // 点击面板外 / Esc 关闭
+    document.addEventListener("click", (e) => {
+        if (!settingsForm.hidden && !settingsForm.contains(e.target)) closeSettingsPanel();
+    });
+    document.addEventListener("keydown", (e) => { if (e.key === "Escape") closeSettingsPanel(); });
+    settingsForm.addEventListener("submit", (e) => e.preventDefault());
+    settingsForm.addEventListener("change", onSettingsChanged);
+    // reset 事件在表单复位之前触发
+    settingsForm.addEventListener("reset", () => setTimeout(onSettingsChanged));
+}
+
+function closeSettingsPanel() {
+    if (!settingsForm || settingsForm.hidden) return;
+    settingsForm.hidden = true;
+    settingsToggleBtn?.classList.remove("active");
+}
+
+// 表单 → 设置对象：空值不带（由后端用模型 / 预设默认值）
+function readSettingsForm() {
+    const settings = {};
+    const preset = settingsForm.elements.namedItem("preset").value;
+    if (preset) settings.preset = preset;
+    const collection = settingsForm.elements.namedItem("collection").value.trim();
+    if (collection) settings.collection = collection;
+    for (const name of SETTINGS_NUMBER_FIELDS) {
+        const value = settingsForm.elements.namedItem(name).valueAsNumber;
+        if (Number.isFinite(value)) settings[name] = value;
+    }
+    return settings;
+}
+
+function applySettings(settings) {
+    chatSettings = settings || {};
+    if (!settingsForm) return;
+    settingsForm.elements.namedItem("preset").value = chatSettings.preset || "";
+    settingsForm.elements.namedItem("collection").value = chatSettings.collection || "";
+    for (const name of SETTINGS_NUMBER_FIELDS) {
+        settingsForm.elements.namedItem(name).value = chatSettings[name] ?? "";
+    }
+    updateDocumentsStatus();
+}
+
+// 输入框范围随所选模型变化（仅作提示；后端仍会夹取）
+function updateSettingsLimits() {
+    if (!settingsForm || !modelSelect) return;
+    const m = modelInfo.get(modelSelect.value);
+    if (!m) return;
+    settingsForm.elements.namedItem("temperature").max = String(m.maxTemperature ?? 2);
+    settingsForm.elements.namedItem("max_tokens").max = String(m.maxOutputTokens);
+    const seed = settingsForm.elements.namedItem("seed");
+    seed.disabled = !m.supportsSeed;
+    seed.title = m.supportsSeed ? "" : "该模型不支持 seed";
+}
+
+function onSettingsChanged() {
+    chatSettings = readSettingsForm();
+    updateDocumentsStatus();
+    // 尚未创建会话时，设置随首次发送创建会话一起保存
+    if (!currentConversationId) return;
+    clearTimeout(settingsSaveTimer);
+    const id = currentConversationId;
+    settingsSaveTimer = setTimeout(() => {
+        fetch(`/api/conversations/${encodeURIComponent(id)}`, {
+            method: "PATCH",
+            headers: { "Content-Type": "application/json" },
+            body: JSON.stringify({ settings: chatSettings }),
+        }).catch((e) => console.error(e));
+    }, 400);
+}
+
+// ========== 浏览器会话（鉴权） ==========
+let sessionPromise = null;
+
+// 会话 cookie 为 HttpOnly，前端无法读取；只记住本页是否已申请过
+function ensureSession(force = false) {
+    if (!sessionPromise || force) {
+        sessionPromise = fetch("/api/session", { method: "POST" })
+            .then((res) => res.ok)
+            .catch(() => false);
+    }
+    return sessionPromise;
+}
+
+// 聊天 / 上传请求：会话过期（401）时刷新会话并重试一次
+async function postChat(apiPath, body, signal) {
+    await ensureSession();
+    const send = () => fetch(apiPath, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify(body),
+        signal,
+    });
+    const response = await send();
+    if (response.status !== 401) return response;
+    return (await ensureSession(true)) ? send() : response;
+}
+
+// ========== 资料库：上传文档（/api/documents），聊天时检索设置中的集合 ==========
+function initDocuments() {
+    if (!settingsForm || !documentUploadBtn || !documentFileInput) return;
+    documentUploadBtn.addEventListener("click", () => documentFileInput.click());
+    documentFileInput.addEventListener("change", (e) => {
+        e.stopPropagation();   // 不触发设置面板的 change（保存设置）
+        const files = [...(documentFileInput.files || [])];
+        documentFileInput.value = "";
+        if (files.length) uploadDocuments(files);
+    });
+    settingsForm.elements.namedItem("collection").addEventListener("input", updateDocumentsStatus);
+    refreshDocuments();
+}
+
+async function refreshDocuments() {
+    try {
+        const res = await fetch("/api/documents");
+        if (!res.ok) return;
+        collectionCounts.clear();
+        for (const d of (await res.json()).documents || []) {
+            collectionCounts.set(d.collection, (collectionCounts.get(d.collection) || 0) + 1);
+        }
+        if (collectionOptionsEl) {
+            collectionOptionsEl.innerHTML = "";
+            for (const [name, count] of collectionCounts) {
+                const opt = document.createElement("option");
+                opt.value = name;
+                opt.label = `${count} 篇文档`;
+                collectionOptionsEl.appendChild(opt);
+            }
+        }
+        updateDocumentsStatus();
+    } catch (e) {
+        console.error(e);
+    }
+}
+
+function updateDocumentsStatus(text) {
+    if (!documentsStatusEl || !settingsForm) return;
+    if (typeof text === "string") { documentsStatusEl.textContent = text; return; }
+    const collection = settingsForm.elements.namedItem("collection").value.trim();
+    const count = collectionCounts.get(collection) || 0;
+    documentsStatusEl.textContent = !collection ? "不检索资料库" : count ? `${count} 篇文档` : "该集合还没有文档";
+}
+
+// 未填集合时上传到 default；.md 按 Markdown 规整，其余按纯文本
+async function uploadDocuments(files) {
+    const field = settingsForm.elements.namedItem("collection");
+    if (!field.value.trim()) {
+        field.value = "default";
+        onSettingsChanged();
+    }
+    if (!field.reportValidity()) return;
+    const collection = field.value.trim();
+    documentUploadBtn.disabled = true;
+    try {
+        for (const file of files) {
+            updateDocumentsStatus(`正在上传 ${file.name}…`);
+            const response = await postChat("/api/documents", {
+                collection,
+                title: file.name.replace(/\.[^.]+$/, ""),
+                text: await file.text(),
+                format: /\.(md|markdown)$/i.test(file.name) ? "markdown" : "text",
+            });
+            if (!response.ok) {
+                const data = await response.json().catch(() => ({}));
+                updateDocumentsStatus(`${file.name} 上传失败：${data.error || response.status}`);
+                return;
+            }
+        }
+        await refreshDocuments();
+    } catch (e) {
+        console.error(e);
+        updateDocumentsStatus("上传失败，请检查网络。");
+    } finally {
+        documentUploadBtn.disabled = false;
+    }
+}
+
+// ========== 附件：图片 / 文本文件（📎、拖放、粘贴），限制与 src/attachments.ts 一致 ==========
+const MAX_ATTACHMENTS = 4;
+const MAX_IMAGE_BYTES = 2 * 1024 * 1024;
+const MAX_FILE_BYTES = 256 * 1024;
+const IMAGE_TYPES = ["image/png", "image/jpeg", "image/webp", "image/gif"];
+
+function initAttachments() {
+    if (!attachButton || !attachFileInput || !userInput) return;
+    attachButton.addEventListener("click", () => attachFileInput.click());
+    attachFileInput.addEventListener("change", () => {
+        const files = [...(attachFileInput.files || [])];
+        attachFileInput.value = "";
+        if (files.length) addAttachments(files);
+    });
+    userInput.addEventListener("paste", (e) => {
+        const files = [...(e.clipboardData?.files || [])];
+        if (!files.length) return;
+        e.preventDefault();
+        addAttachments(files);
+    });
+    const dropZone = userInput.closest(".chat-container") || document.body;
+    dropZone.addEventListener("dragover", (e) => {
+        if (!e.dataTransfer?.types.includes("Files")) return;
+        e.preventDefault();
+        dropZone.classList.add("drag-over");
+    });
+    dropZone.addEventListener("dragleave", (e) => {
+        if (!dropZone.contains(e.relatedTarget)) dropZone.classList.remove("drag-over");
+    });
+    dropZone.addEventListener("drop", (e) => {
+        dropZone.classList.remove("drag-over");
+        const files = [...(e.dataTransfer?.files || [])];
+        if (!files.length) return;
+        e.preventDefault();
+        addAttachments(files);
+    });
+}
+
+async function addAttachments(files) {
+    const errors = [];
+    for (const file of files) {
+        if (pendingAttachments.length >= MAX_ATTACHMENTS) {
+            errors.push(`每条消息最多 ${MAX_ATTACHMENTS} 个附件`);
+            break;
+        }
+        try {
+            pendingAttachments.push(await readAttachment(file));
+        } catch (e) {
+            errors.push(e.message);
+        }
+    }
+    renderAttachmentTray(errors.join("；"));
+}
+
+// 图片读成 data URL；其余文件须是 UTF-8 文本
+async function readAttachment(file) {
+    if (file.type.startsWith("image/")) {
+        if (!IMAGE_TYPES.includes(file.type)) throw new Error(`${file.name}：仅支持 PNG / JPEG / WebP / GIF 图片`);
+        if (file.size > MAX_IMAGE_BYTES) throw new Error(`${file.name}：图片不能超过 ${formatBytes(MAX_IMAGE_BYTES)}`);
+        return { type: "image", name: file.name, mediaType: file.type, size: file.size, url: await readAsDataUrl(file) };
+    }
+    if (file.size > MAX_FILE_BYTES) throw new Error(`${file.name}：文件不能超过 ${formatBytes(MAX_FILE_BYTES)}`);
+    let text = null;
+    try {
+        text = new TextDecoder("utf-8", { fatal: true }).decode(await file.arrayBuffer());
+    } catch {
+        // 二进制文件
+    }
+    if (text == null || text.includes("\u0000")) throw new Error(`${file.name}：不是文本文件`);
+    return { type: "file", name: file.name, size: file.size, text };
+}
+
+function readAsDataUrl(file) {
+    return new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        reader.onload = () => resolve(reader.result);
+        reader.onerror = () => reject(new Error(`${file.name}：读取失败`));
+        reader.readAsDataURL(file);
+    });
+}
+
+// 输入框上方的预览：每个附件一个可移除的小卡片；hint 为本次添加失败的原因
+function renderAttachmentTray(hint) {
+    if (!attachmentTray) return;
+    attachmentTray.innerHTML = "";
+    pendingAttachments.forEach((attachment, i) => {
+        const chip = renderAttachmentChip(attachment);
+        const remove = document.createElement("button");
+        remove.type = "button";
+        remove.textContent = "✕";
+        remove.title = "移除";
+        remove.addEventListener("click", () => {
+            pendingAttachments.splice(i, 1);
+            renderAttachmentTray();
+        });
+        chip.appendChild(remove);
+        attachmentTray.appendChild(chip);
+    });
+    const warning = hint || visionWarning();
+    if (warning) {
+        const el = document.createElement("div");
+        el.className = "attachment-hint";
+        el.textContent = warning;
+        attachmentTray.appendChild(el);
+    }
+    attachmentTray.hidden = !attachmentTray.childElementCount;
+}
+
+function renderAttachmentChip(attachment) {
+    const chip = document.createElement("span");
+    chip.className = "attachment-chip";
+    chip.title = `${attachment.name}（${formatBytes(attachment.size)}）`;
+    if (attachment.type === "image" && attachment.url) {
+        const img = document.createElement("img");
+        img.src = attachment.url;
+        img.alt = attachment.name;
+        chip.appendChild(img);
+    } else {
+        chip.append(attachment.type === "image" ? "🖼 " : "📄 ");
+    }
+    const name = document.createElement("span");
+    name.className = "attachment-name";
+    name.textContent = attachment.name;
+    chip.appendChild(name);
+    return chip;
+}
+
+// 托盘中有图片而当前模型不接受图片时的提示（发送被拦下）
+function visionWarning() {
+    if (!modelSelect || !pendingAttachments.some((a) => a.type === "image")) return "";
+    if (compareMode ? compareModels.every((id) => visionModels.has(id)) : visionModels.has(modelSelect.value)) return "";
+    const names = [...visionModels].map(modelLabel).join("、");
+    return names ? `所选模型不支持图片，请换用：${names}` : "当前地区没有支持图片的模型";
+}
+
+function formatBytes(bytes) {
+    return bytes >= 1024 * 1024 ? `${(bytes / 1024 / 1024).toFixed(1).replace(/\.0$/, "")} MB`
+        : bytes >= 1024 ? `${Math.round(bytes / 1024)} KB` : `${bytes} B`;
+}
+
+// ========== 服务端会话 ==========
+async function initConversations() {
+    if (newChatBtn) newChatBtn.addEventListener("click", () => { if (!isProcessing) startNewConversation(); });
+    if (currentConversationId) await loadConversation(currentConversationId);
+    await refreshConversationList();
+}
+
+function setCurrentConversation(id) {
+    currentConversationId = id;
+    if (id) localStorage.setItem("conversationId", id);
+    else localStorage.removeItem("conversationId");
+}
+
+function resetChatView() {
+    tree.clear();
+    if (chatMessages) chatMessages.innerHTML = welcomeHTML;
+}
+
+// 按当前分支（或根 → untilId）重绘消息区：切换分支 / 编辑 / 重新生成时调用
+function renderThread(untilId) {
+    if (!chatMessages) return;
+    chatMessages.innerHTML = welcomeHTML;
+    for (const node of tree.path(untilId)) {
+        const el = addMessageToChat(node.role, node.content, node.sources, node.attachments);
+        if (node.truncated) markTruncated(el);
+        attachMessageActions(el, node);
+    }
+}
+
+async function refreshConversationList() {
+    if (!conversationListEl) return;
+    let conversations = [];
+    try {
+        const res = await fetch("/api/conversations");
+        if (res.ok) conversations = (await res.json()).conversations || [];
+    } catch (e) {
+        console.error(e);
+    }
+
+    conversationListEl.innerHTML = "";
+    if (!conversations.length) {
+        const empty = document.createElement("li");
+        empty.className = "conversation-empty";
+        empty.textContent = "暂无历史对话";
+        conversationListEl.appendChild(empty);
+        return;
+    }
+    for (const c of conversations) {
+        const li = document.createElement("li");
+        li.classList.toggle("active", c.id === currentConversationId);
+        li.title = new Date(c.updatedAt).toLocaleString();
+
+        const title = document.createElement("span");
+        title.className = "title";
+        title.textContent = c.title || "新对话";
+
+        const del = document.createElement("button");
+        del.className = "delete-btn";
+        del.textContent = "✕";
+        del.title = "删除该对话";
+        del.addEventListener("click", (e) => { e.stopPropagation(); deleteConversation(c.id); });
+
+        li.addEventListener("click", () => {
+            if (isProcessing || c.id === currentConversationId) return;
+            loadConversation(c.id).then(refreshConversationList);
+        });
+        li.appendChild(title);
+        li.appendChild(del);
+        conversationListEl.appendChild(li);
+    }
+}
+
+async function loadConversation(id) {
+    try {
+        const res = await fetch(`/api/conversations/${encodeURIComponent(id)}`);
+        if (!res.ok) { startNewConversation(); return; }
+        const data = await res.json();
+
+        setCurrentConversation(data.id);
+        tree.load(data.messages || []);
+        renderThread();
+        if (modelSelect && data.model && [...modelSelect.options].some((o) => o.value === data.model)) {
+            modelSelect.value = data.model;
+            updateReasoningToggleUI();
+            updateSettingsLimits();
+        }
+        applySettings(data.settings);
+    } catch (e) {
+        console.error(e);
+    }
+}
+
+function startNewConversation() {
+    setCurrentConversation(null);
+    resetChatView();
+    refreshConversationList();
+    if (userInput) userInput.focus();
+}
+
+async function deleteConversation(id) {
+    if (isProcessing || !confirm("确定删除该对话？")) return;
+    try {
+        await fetch(`/api/conversations/${encodeURIComponent(id)}`, { method: "DELETE" });
+    } catch (e) {
+        console.error(e);
+    }
+    if (id === currentConversationId) startNewConversation();
+    else refreshConversationList();
+}
+
+// 首次发送时再创建会话；存储不可用时返回 null（退化为纯前端历史）
+async function ensureConversation() {
+    if (currentConversationId) return currentConversationId;
+    try {
+        const res = await fetch("/api/conversations", {
+            method: "POST",
+            headers: { "Content-Type": "application/json" },
+            body: JSON.stringify({ model: modelSelect ? modelSelect.value : undefined, settings: chatSettings }),
+        });
+        if (!res.ok) return null;
+        const data = await res.json();
+        setCurrentConversation(data.id);
+        return data.id;
+    } catch (e) {
+        console.error(e);
+        return null;
+    }
+}
+
 // 输入框交互
 if (userInput) {
     userInput.addEventListener("input", () => {
@@ -75,6 +733,7 @@ if (userInput) {
     });
 }
 if (sendButton) sendButton.addEventListener("click", () => sendMessage());
+if (stopButton) stopButton.addEventListener("click", () => { if (currentAbort) currentAbort.abort(); });
 if (demoInsertBtn) {
     demoInsertBtn.addEventListener('click', () => {
         const sample = String.raw`里叶变换（Fourier Transform） 是一种把时间（或空间）域的信号转换到频率域的数学工具。它揭示了信号中各个不同频率成分的幅度和相位分布。
@@ -156,53 +815,132 @@ FFT 并不是新公式，而是一种 O(N log N) 计算离散傅里叶变换（D
 
 async function sendMessage() {
     const message = (userInput?.value || "").trim();
-    if (message === "" || isProcessing) return;
-
-    isProcessing = true;
-    if (userInput) userInput.disabled = true;
-    if (sendButton) sendButton.disabled = true;
-
-    addMessageToChat("user", message);
+    const attachments = pendingAttachments;
+    if ((message === "" && !attachments.length) || isProcessing) return;
+    // 当前模型不接受图片：托盘中已有提示，不发送
+    if (visionWarning()) return;
+
+    pendingAttachments = [];
+    renderAttachmentTray();
+    if (compareMode) return sendComparison(message, attachments);
+    const userNode = tree.add(tree.leaf()?.id ?? null, { role: "user", content: message, attachments });
+    attachMessageActions(addMessageToChat("user", message, undefined, attachments), userNode);
     if (userInput) { userInput.value = ""; userInput.style.height = "auto"; }
-    if (typingIndicator) typingIndicator.classList.add("visible");
+    await generateReply(userNode, true);
+}
 
-    chatHistory.push({ role: "user", content: message });
+// 为消息树中的 user 消息生成回答（新回答成为它的最新子分支）；失败可重试时由“重试”按钮再次调用
+// created：该 user 消息是本轮新加的（发送 / 编辑）；为 false 即“重新生成”。本轮失败时撤回新加的消息，不进入后续历史
+async function generateReply(userNode, created) {
+    setBusy(true);
+
+    const history = tree.history(userNode.id);
+    const assistantId = crypto.randomUUID();
+    const discard = () => { if (created) tree.remove(userNode.id); };
+
+    // 提到 try 外：停止时需要用到已生成的部分
+    let assistantMessageEl = null;
+    let responseText = "";               // 回答正文（不含 <final> 标签）
+    let extractor = null;                // 源SSE模式下的 <final> 提取器
+    let thinking = null;                 // 思考过程面板（收到首个 reasoning 时创建）
+    let toolCards = null;                // 工具调用卡片（收到首个 tool_call 时创建）
+    let sources = [];                    // 资料库片段（meta.sources），回答中的 [n] 渲染为脚注
+    const wantReasoning = showReasoning && reasoningAvailable();
+    const wantTools = useTools && toolsAvailable() && !useRawEndpoint;
+    const retry = () => {
+        thinking?.remove();
+        toolCards?.remove();
+        if (!tree.get(userNode.id)) tree.add(userNode.parentId, userNode);
+        generateReply(userNode, created);
+    };
 
     try {
         // 助手气泡
-        const assistantMessageEl = document.createElement("div");
+        assistantMessageEl = document.createElement("div");
         assistantMessageEl.className = "message assistant-message";
         assistantMessageEl.textContent = "正在生成…";
         chatMessages.appendChild(assistantMessageEl);
         chatMessages.scrollTop = chatMessages.scrollHeight;
 
         const apiPath = useRawEndpoint ? "/api/chat/raw" : "/api/chat";
-
-        const response = await fetch(apiPath, {
-            method: "POST",
-            headers: { "Content-Type": "application/json" },
-            body: JSON.stringify({
-                messages: chatHistory,
-                model: modelSelect ? modelSelect.value : undefined,
-            }),
-        });
-
+        const hadConversation = !!currentConversationId;
+        const conversationId = await ensureConversation();
+        // 刚新建的会话里还没有之前的消息（如原会话已被删除）：本轮作为根落库
+        const parentId = hadConversation ? userNode.parentId : null;
+
+        const response = await postChat(apiPath, {
+            messages: history,
+            model: modelSelect ? modelSelect.value : undefined,
+            conversationId: conversationId || undefined,
+            turn: conversationId
+                ? { userId: userNode.id, assistantId, parentId, regenerate: !created }
+                : undefined,
+            reasoning: wantReasoning || undefined,
+            tools: wantTools || undefined,
+            ...chatSettings,
+        }, currentAbort.signal);
+
+        if (response.status === 401) {
+            assistantMessageEl.textContent = "会话已失效，请刷新页面后重试。";
+            discard();
+            return;
+        }
+        if (response.status === 429) {
+            const data = await response.json().catch(() => ({}));
+            const wait = Number(response.headers.get("Retry-After")) || 0;
+            assistantMessageEl.textContent = data.code === "token_quota_exceeded"
+                ? "今日用量已达上限，请明天再试。"
+                : `请求过于频繁，请${wait ? ` ${wait} 秒后` : "稍后"}再试。`;
+            discard();
+            return;
+        }
         if (response.status === 403) {
             const data = await response.json().catch(() => ({}));
             assistantMessageEl.textContent = "";
             assistantMessageEl.innerHTML = renderMarkdown(data.error || "网站正在建设中");
             return;
         }
-        if (!response.ok || !response.body) throw new Error("Network error");
+        if (response.status === 400) {
+            const data = await response.json().catch(() => ({}));
+            assistantMessageEl.textContent = data.error || "请求无效";
+            discard(); // 本轮未生成，移出历史以免污染后续上下文
+            return;
+        }
+        if (response.status === 404) {
+            // 会话已在别处被删除：清掉当前会话，下次发送会新建
+            setCurrentConversation(null);
+            assistantMessageEl.textContent = "该对话已不存在，请重新发送以开始新对话。";
+            discard();
+            refreshConversationList();
+            return;
+        }
+        if (!response.ok || !response.body) {
+            showError(assistantMessageEl, "服务暂时不可用。", retry);
+            discard();
+            return;
+        }
 
         const reader = response.body.getReader();
         const decoder = new TextDecoder();
 
-        let responseText = "";
         let sseBuffer = "";
-        let hasFirstPiece = false;
-        let seenFinalOpen = false;       // ★ 门控：出现 <final> 才渲染
+        let hasFirstPiece = false;       // 已开始渲染回答
+        let sawTextDelta = false;        // Responses 流：收到过 output_text.delta
         const rawBlocks = [];            // 原始事件块文本
+        let streamMeta = null;           // event: meta（/api/chat）
+        let streamError = null;          // event: error
+        let finishReason = null;         // event: done
+        let doneStats = null;            // event: done 的 usage / latency
+        // 源SSE模式：上游原文带 <final> 等标签，用共享提取器只取回答；/api/chat 已在服务端提取
+        extractor = useRawEndpoint ? createFinalExtractor() : null;
+
+        const appendAnswer = (text) => {
+            if (!text) return;
+            if (!hasFirstPiece) { hasFirstPiece = true; thinking?.finish(); }
+            responseText += text;
+            renderAnswer(assistantMessageEl, responseText, sources);
+            chatMessages.scrollTop = chatMessages.scrollHeight;
+        };
 
         while (true) {
             const { done, value } = await reader.read();
@@ -218,6 +956,7 @@ async function sendMessage() {
                 if (captureRawSSE) rawBlocks.push(evt + "\n\n");
 
                 const lines = evt.split("\n");
+                const eventName = (lines.find((l) => l.startsWith("event:")) || "").slice(6).trim();
                 for (const rawLine of lines) {
                     const line = rawLine.trim();
                     if (!line || !line.startsWith("data:")) continue;
@@ -228,131 +967,682 @@ async function sendMessage() {
                     let jsonData;
                     try { jsonData = JSON.parse(jsonStr); } catch { continue; }
 
-                    // 展示时忽略 reasoning 事件（原始捕获不受影响）
-                    if (jsonData?.type && String(jsonData.type).startsWith("response.reasoning")) continue;
-
-                    const piece = pickChunkText(jsonData);
-                    if (!piece) continue;
-
-                    if (!hasFirstPiece) { assistantMessageEl.textContent = ""; hasFirstPiece = true; }
-
-                    // 记录是否见到 <final>
-                    if (piece.includes("<final>")) seenFinalOpen = true;
+                    // 规范化 SSE 的状态事件（/api/chat/raw 不会出现）
+                    if (eventName === "meta") {
+                        streamMeta = jsonData;
+                        sources = Array.isArray(jsonData?.sources) ? jsonData.sources : [];
+                        continue;
+                    }
+                    if (eventName === "error") { streamError = jsonData; continue; }
+                    if (eventName === "done") {
+                        finishReason = jsonData?.finishReason || "stop";
+                        doneStats = jsonData;
+                        continue;
+                    }
+                    if (eventName === "tool_call") {
+                        toolCards = toolCards || createToolCards(assistantMessageEl);
+                        toolCards.call(jsonData);
+                        continue;
+                    }
+                    if (eventName === "tool_result") { toolCards?.result(jsonData); continue; }
+                    if (eventName === "reasoning") {
+                        if (typeof jsonData?.text === "string") {
+                            thinking = thinking || createThinkingPanel(assistantMessageEl);
+                            thinking.append(jsonData.text);
+                        }
+                        continue;
+                    }
 
-                    // 累积文本 / 替换 completed
-                    if (jsonData?.type === "response.completed") {
-                        if (piece.length > responseText.length + 8) responseText = piece; // 更长则替换
-                    } else {
-                        responseText += piece; // 增量累积
+                    // 输出审核命中：整体替换已渲染的内容（后端随即结束流）
+                    if (eventName === "moderation") {
+                        responseText = extractFinalText(typeof jsonData?.response === "string" ? jsonData.response : "");
+                        extractor = null;
+                        sources = [];
+                        thinking?.remove();
+                        thinking = null;
+                        hasFirstPiece = true;
+                        renderAnswer(assistantMessageEl, responseText);
+                        continue;
                     }
 
-                    // ★ 门控渲染：未见 <final> 前不展示正文，保持“正在生成…”
-                    if (!seenFinalOpen) {
-                        assistantMessageEl.textContent = "正在生成…";
-                    } else {
-                        assistantMessageEl.innerHTML = renderMarkdown(visibleTextFrom(responseText));
-                        highlightCode(assistantMessageEl);
-                        typesetMath(assistantMessageEl);
+                    // 正文不含 reasoning 事件（原始捕获不受影响）；源SSE模式下开启思考过程时显示其增量
+                    const evtType = typeof jsonData?.type === "string" ? jsonData.type : "";
+                    if (evtType.startsWith("response.reasoning")) {
+                        if (wantReasoning && evtType.endsWith("text.delta") && typeof jsonData?.delta === "string") {
+                            thinking = thinking || createThinkingPanel(assistantMessageEl);
+                            thinking.append(jsonData.delta);
+                        }
+                        continue;
                     }
-                    chatMessages.scrollTop = chatMessages.scrollHeight;
+                    // Responses 流：*.done / completed 携带全文，正文只由 delta 累积；一个 delta 都没有时以 completed 兜底
+                    if (evtType.startsWith("response.") && evtType !== "response.output_text.delta") {
+                        if (evtType !== "response.completed" || sawTextDelta) continue;
+                    }
+                    if (evtType === "response.output_text.delta") sawTextDelta = true;
+
+                    const piece = normalizeChunkToText(jsonData);
+                    if (!piece) continue;
+                    appendAnswer(extractor ? extractor.push(piece).answer : piece);
                 }
             }
         }
-
-        // —— 完成后：无论是否见到 <final>，都进行一次最终渲染 —— //
-        let finalToShow = seenFinalOpen ? visibleTextFrom(responseText) : (responseText || "");
-        finalToShow = (finalToShow || "").trim();
-
-        if (!finalToShow || finalToShow === "..." || finalToShow === "…") {
-            finalToShow = "这次生成出了点问题，请重试或换个问法。";
+        // 无标签模型的兜底回答在流结束时才确定
+        if (extractor) appendAnswer(extractor.end().answer);
+
+        // 流中途出错：保留已生成部分，附上错误说明（可重试时带“重试”按钮）
+        if (streamError) {
+            const partial = responseText.trim();
+            if (partial) renderAnswer(assistantMessageEl, partial, sources);
+            showError(assistantMessageEl, describeStreamError(streamError, streamMeta), streamError.retryable ? retry : null, !!partial);
+            discard();
+            refreshConversationList();
+            return;
+        }
+        // 规范化 SSE 没有以 done 结束：连接被意外切断
+        if (streamMeta && !finishReason) {
+            showError(assistantMessageEl, "连接中断，回答可能不完整。", retry, hasFirstPiece);
+            discard();
+            return;
         }
 
-        assistantMessageEl.innerHTML = renderMarkdown(finalToShow);
-        highlightCode(assistantMessageEl);
-        typesetMath(assistantMessageEl);
+        // —— 完成后进行一次最终渲染 —— //
+        const finalToShow = responseText.trim() || "这次生成出了点问题，请重试或换个问法。";
+        renderAnswer(assistantMessageEl, finalToShow, sources);
+        markContext(assistantMessageEl, response.headers);
+        markParams(assistantMessageEl, streamMeta?.params);
+        markStats(assistantMessageEl, doneStats, streamMeta?.cached);
 
         // 原始SSE复制/下载条
         if (captureRawSSE && rawBlocks.length) {
             appendRawCopyBar(assistantMessageEl, rawBlocks.join(""));
         }
 
-        chatHistory.push({ role: "assistant", content: finalToShow || visibleTextFrom(responseText) });
+        const assistantNode = tree.add(userNode.id, { id: assistantId, role: "assistant", content: finalToShow, sources });
+        attachMessageActions(assistantMessageEl, assistantNode);
+        refreshConversationList();
     } catch (err) {
-        console.error(err);
-        addMessageToChat("assistant", "Sorry, there was an error processing your request.");
+        if (err?.name === "AbortError" && assistantMessageEl) {
+            // 用户停止：保留已生成部分，标记为截断（后端同样以截断形式落库）
+            const partial = extractor ? extractor.result() : responseText.trim();
+            if (partial) {
+                renderAnswer(assistantMessageEl, partial, sources);
+            } else {
+                assistantMessageEl.textContent = "";
+            }
+            markTruncated(assistantMessageEl);
+            if (partial) {
+                const node = tree.add(userNode.id, { id: assistantId, role: "assistant", content: partial, truncated: true, sources });
+                attachMessageActions(assistantMessageEl, node);
+            }
+            refreshConversationList();
+        } else {
+            console.error(err);
+            if (assistantMessageEl) showError(assistantMessageEl, "网络错误，请检查连接。", retry);
+            else addMessageToChat("assistant", "Sorry, there was an error processing your request.");
+            discard();
+        }
     } finally {
-        if (typingIndicator) typingIndicator.classList.remove("visible");
-        isProcessing = false;
-        if (userInput) { userInput.disabled = false; userInput.focus(); }
-        if (sendButton) sendButton.disabled = false;
-    }
-}
-
-function pickChunkText(jsonData) {
-    // 1) Workers 原生统一输出
-    if (typeof jsonData?.response === "string") return jsonData.response;
-
-    // 2) Responses API
-    if (jsonData?.type === "response.output_text.delta" && typeof jsonData?.delta === "string")
-        return jsonData.delta;
-
-    if (jsonData?.type === "response.completed") {
-        const out = jsonData?.response?.output;
-        if (Array.isArray(out)) {
-            const texts = [];
-            for (const item of out) {
-                if (typeof item?.text === "string") texts.push(item.text);
-                if (Array.isArray(item?.content)) {
-                    for (const c of item.content) {
-                        if (typeof c?.text === "string") texts.push(c.text);
-                        else if (typeof c?.data?.text === "string") texts.push(c.data.text);
-                    }
-                }
+        thinking?.finish();
+        setBusy(false);
+    }
+}
+
+// 生成中：锁定输入、显示停止按钮；currentAbort 供停止按钮中断 fetch
+function setBusy(busy) {
+    isProcessing = busy;
+    currentAbort = busy ? new AbortController() : null;
+    if (userInput) { userInput.disabled = busy; if (!busy) userInput.focus(); }
+    if (sendButton) sendButton.disabled = busy;
+    if (stopButton) stopButton.hidden = !busy;
+    if (typingIndicator) typingIndicator.classList.toggle("visible", busy);
+}
+
+// ========== 导出 / 导入（./conversation-export.js） ==========
+// Markdown / HTML 为当前分支，JSON 含全部分支；导入 JSON 还原为新会话（POST /api/conversations/import）后可继续对话
+const EXPORT_TYPES = {
+    md: { ext: "md", type: "text/markdown;charset=utf-8" },
+    json: { ext: "json", type: "application/json;charset=utf-8" },
+    html: { ext: "html", type: "text/html;charset=utf-8" },
+};
+
+// 导出来源：已保存的会话取服务端数据（含时间戳）；未保存的对话用前端消息树
+async function exportSource() {
+    const leafId = tree.leaf()?.id ?? null;
+    const local = {
+        title: (tree.path()[0]?.content || "").trim().replace(/\s+/g, " ").slice(0, 40),
+        model: modelSelect ? modelSelect.value : null,
+        settings: chatSettings,
+        messages: tree.list(),
+        leafId,
+    };
+    if (!currentConversationId) return local;
+    try {
+        const res = await fetch(`/api/conversations/${encodeURIComponent(currentConversationId)}`);
+        return res.ok ? { ...(await res.json()), leafId } : local;
+    } catch (e) {
+        console.error(e);
+        return local;
+    }
+}
+
+async function exportConversation(kind) {
+    if (isProcessing) return;
+    if (!tree.size) { alert("当前对话为空，没有可导出的内容。"); return; }
+    const source = await exportSource();
+    const byId = new Map(source.messages.map((m) => [m.id, m]));
+    const branch = tree.path().map((n) => byId.get(n.id) || n);
+    const text = kind === "json"
+        ? JSON.stringify(toJsonExport(source), null, 2)
+        : kind === "md" ? toMarkdown(source, branch) : toHtml(source, branch, renderStaticHtml);
+    const { ext, type } = EXPORT_TYPES[kind];
+    downloadFile(text, exportFileName("chat", source.model || modelSelect?.value, ext), type);
+}
+
+async function importConversationFile(file) {
+    if (isProcessing) return;
+    try {
+        const data = JSON.parse(await file.text());
+        const res = await fetch("/api/conversations/import", {
+            method: "POST",
+            headers: { "Content-Type": "application/json" },
+            body: JSON.stringify(data),
+        });
+        const created = await res.json().catch(() => ({}));
+        if (!res.ok) throw new Error(created.error || `HTTP ${res.status}`);
+        await loadConversation(created.id);
+        // 恢复导出时显示的分支
+        if (data.leafId && tree.get(data.leafId)) {
+            tree.select(data.leafId);
+            renderThread();
+        }
+        refreshConversationList();
+    } catch (e) {
+        console.error(e);
+        alert(`导入失败：${e.message}`);
+    }
+}
+
+// 导出 HTML 的正文：公式经 MathJax 转成 MathML（浏览器原生渲染），代码在导出时高亮，打开时不依赖外部脚本
+function renderStaticHtml(md) {
+    const { text, formulas } = extractMath(preprocessMath(md || ""));
+    const div = document.createElement("div");
+    const html = window.marked ? window.marked.parse(text) : `<p>${escapeHtml(text)}</p>`;
+    div.innerHTML = html.replace(MATH_PLACEHOLDER_RE, (_, i) => mathToMathMl(formulas[Number(i)]));
+    if (window.hljs) div.querySelectorAll("pre code").forEach((b) => window.hljs.highlightElement(b));
+    return div.innerHTML;
+}
+
+// MathJax 不可用或公式有误时保留 TeX 原文
+function mathToMathMl({ tex, display }) {
+    try {
+        if (window.MathJax?.tex2mml) return window.MathJax.tex2mml(tex, { display });
+    } catch (e) {
+        console.error(e);
+    }
+    const code = `<code class="math">${escapeHtml(tex)}</code>`;
+    return display ? `<p>${code}</p>` : code;
+}
+
+function downloadFile(text, fileName, type) {
+    const blob = new Blob([text], { type });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement("a");
+    a.href = url;
+    a.download = fileName;
+    document.body.appendChild(a);
+    a.click();
+    a.remove();
+    URL.revokeObjectURL(url);
+}
+
+// ========== 多模型对比（/api/chat/compare） ==========
+// 同一问题并行发给选中的 2–4 个模型，每个模型一列：流式回答 + 首字 / 总耗时与 tokens；
+// 点“👍 这个更好”或“平手”投票（可改票），“导出投票”下载 JSONL。对比结果不进入对话历史
+const COMPARE_MIN = 2;
+const COMPARE_MAX = 4;
+
+function updateCompareToggleUI() {
+    if (compareToggleBtn) {
+        compareToggleBtn.classList.toggle("active", compareMode);
+        compareToggleBtn.textContent = compareMode ? "⚖ 对比：开启" : "⚖ 对比：关闭";
+    }
+    if (compareBar) compareBar.hidden = !compareMode;
+    if (modelSelect) modelSelect.disabled = compareMode;
+}
+
+// 模型勾选框（随 /api/models 刷新）；勾选记在 localStorage
+function renderCompareModels(models) {
+    const list = compareBar?.querySelector(".compare-models");
+    if (!list) return;
+    const ids = models.map((m) => m.id);
+    let selected = compareModels.filter((id) => ids.includes(id));
+    if (selected.length < COMPARE_MIN) selected = ids.slice(0, COMPARE_MIN);
+    list.innerHTML = "";
+    for (const m of models) {
+        const label = document.createElement("label");
+        const box = document.createElement("input");
+        box.type = "checkbox";
+        box.value = m.id;
+        box.checked = selected.includes(m.id);
+        box.addEventListener("change", () => {
+            const checked = [...list.querySelectorAll("input:checked")].map((b) => b.value);
+            if (checked.length > COMPARE_MAX) { box.checked = false; return; }
+            compareModels = checked;
+            localStorage.setItem("compareModels", JSON.stringify(checked));
+        });
+        label.append(box, ` ${m.label || m.id}`);
+        list.appendChild(label);
+    }
+    compareModels = selected;
+}
+
+function modelLabel(id) {
+    return modelInfo.get(id)?.label || id;
+}
+
+async function sendComparison(message, attachments = []) {
+    if (compareModels.length < COMPARE_MIN) {
+        addMessageToChat("assistant", `请至少勾选 ${COMPARE_MIN} 个模型进行对比。`);
+        return;
+    }
+    addMessageToChat("user", message, undefined, attachments);
+    if (userInput) { userInput.value = ""; userInput.style.height = "auto"; }
+    setBusy(true);
+
+    const models = [...compareModels];
+    const row = createCompareRow(models);
+    chatMessages.appendChild(row.el);
+    chatMessages.scrollTop = chatMessages.scrollHeight;
+
+    try {
+        const response = await postChat("/api/chat/compare", {
+            models,
+            messages: [...tree.history(), { role: "user", content: messageContent({ content: message, attachments }) }],
+            ...chatSettings,
+        }, currentAbort.signal);
+        if (!response.ok || !response.body) {
+            const data = await response.json().catch(() => ({}));
+            row.fail(data.error || "服务暂时不可用。");
+            return;
+        }
+
+        const reader = response.body.getReader();
+        const decoder = new TextDecoder();
+        let sseBuffer = "";
+        while (true) {
+            const { done, value } = await reader.read();
+            if (done) break;
+            sseBuffer += decoder.decode(value, { stream: true });
+            const events = sseBuffer.split("\n\n");
+            sseBuffer = events.pop() || "";
+            for (const evt of events) {
+                const name = (evt.match(/^event:(.*)$/m)?.[1] || "").trim();
+                const data = evt.match(/^data:(.*)$/m)?.[1];
+                if (!name || !data) continue;
+                try { row.handle(name, JSON.parse(data)); } catch (e) { console.error(e); }
             }
-            if (texts.length) return texts.join("");
         }
+        row.finish();
+    } catch (err) {
+        if (err?.name !== "AbortError") console.error(err);
+        row.finish(err?.name === "AbortError" ? "⏹ 已停止生成" : "网络错误，请检查连接。");
+    } finally {
+        setBusy(false);
     }
+}
 
-    // 3) Chat Completions
-    const ch = jsonData?.choices?.[0];
-    if (ch?.delta?.content !== undefined) {
-        const content = ch.delta.content;
-        if (typeof content === "string") return content;
-        if (content && typeof content === "object") {
-            if (typeof content?.text === "string") return content.text;
-            if (typeof content?.data?.text === "string") return content.data.text;
+// 一次对比的各列；handle 按事件名与 data.model 分派
+function createCompareRow(models) {
+    const el = document.createElement("div");
+    el.className = "compare-row";
+    const grid = document.createElement("div");
+    grid.className = "compare-grid";
+    grid.style.gridTemplateColumns = `repeat(${models.length}, minmax(0, 1fr))`;
+    const footer = document.createElement("div");
+    footer.className = "compare-footer";
+    el.append(grid, footer);
+
+    let compareId = null;
+    let ended = false;
+    const columns = new Map();
+    for (const model of models) {
+        const col = document.createElement("div");
+        col.className = "compare-column";
+        const title = document.createElement("div");
+        title.className = "compare-title";
+        title.textContent = modelLabel(model);
+        const answer = document.createElement("div");
+        answer.className = "compare-answer assistant-message";
+        answer.textContent = "正在生成…";
+        const stats = document.createElement("div");
+        stats.className = "compare-stats";
+        const vote = actionButton("👍 这个更好", "选这个回答", () => castVote(model));
+        vote.className = "ghost-btn";
+        vote.hidden = true;
+        col.append(title, answer, stats, vote);
+        grid.appendChild(col);
+        columns.set(model, { col, answer, stats, vote, text: "", done: false });
+    }
+    const tie = actionButton("平手", "两个都好 / 都不好", () => castVote("tie"));
+    tie.className = "ghost-btn";
+    tie.hidden = true;
+    const note = document.createElement("span");
+    footer.append(tie, note);
+
+    async function castVote(preferred) {
+        if (!compareId) return;
+        try {
+            const res = await fetch(`/api/chat/compare/${compareId}/vote`, {
+                method: "POST",
+                headers: { "Content-Type": "application/json" },
+                body: JSON.stringify({ preferred }),
+            });
+            if (!res.ok) throw new Error(`vote failed: ${res.status}`);
+            for (const [model, c] of columns) {
+                c.col.classList.toggle("preferred", model === preferred);
+                c.vote.classList.toggle("active", model === preferred);
+            }
+            tie.classList.toggle("active", preferred === "tie");
+            note.textContent = "已记录投票，可随时改选";
+        } catch (e) {
+            console.error(e);
+            note.textContent = "投票未保存，请重试";
         }
-        return "";
     }
-    if (typeof ch?.text === "string") return ch.text;
-    if (typeof ch?.message?.content === "string") return ch.message.content;
 
-    // 4) 其它兼容
-    if (typeof jsonData?.part?.text === "string") return jsonData.part.text;
-    if (typeof jsonData?.item?.content?.[0]?.text === "string") return jsonData.item.content[0].text;
+    function handle(name, data) {
+        if (name === "compare") { compareId = data.compareId; return; }
+        if (name === "end") { ended = true; return; }
+        const c = columns.get(data.model);
+        if (!c) return;
+        if (name === "meta") {
+            markParams(c.col, data.params);
+        } else if (name === "delta") {
+            c.text += data.response || "";
+            renderAnswer(c.answer, c.text);
+        } else if (name === "moderation") {
+            c.text = extractFinalText(typeof data.response === "string" ? data.response : "");
+            renderAnswer(c.answer, c.text);
+        } else if (name === "error") {
+            showError(c.answer, describeStreamError(data), null, !!c.text.trim());
+        } else if (name === "done") {
+            c.done = true;
+            const { firstTokenMs, totalMs } = data.latency || {};
+            const usage = data.usage || {};
+            c.stats.textContent = [
+                firstTokenMs != null ? `首字 ${firstTokenMs} ms` : "无输出",
+                `总计 ${totalMs} ms`,
+                `tokens ${usage.prompt_tokens ?? "?"} → ${usage.completion_tokens ?? "?"}`,
+            ].join(" · ");
+        }
+    }
 
-    return "";
+    // 流结束：完整结束且已保存（有 compareId）时才能投票
+    function finish(message) {
+        for (const c of columns.values()) {
+            if (c.done) continue;
+            if (!c.text.trim()) c.answer.textContent = "";
+            if (message) c.stats.textContent = message;
+        }
+        if (ended && compareId) {
+            for (const c of columns.values()) c.vote.hidden = false;
+            tie.hidden = false;
+        } else if (ended) {
+            note.textContent = "未保存本次对比（刷新页面后重试即可投票）";
+        }
+    }
+
+    function fail(message) {
+        grid.remove();
+        note.textContent = message;
+    }
+
+    return { el, handle, finish, fail };
+}
+
+// ========== 分支操作：切换 / 编辑 / 重新生成 ==========
+// 气泡底部的操作条：兄弟分支切换（‹ 2/3 ›）+ 编辑（user）/ 重新生成（assistant）
+function attachMessageActions(el, node) {
+    el.querySelector(":scope > .message-actions")?.remove();
+    const bar = document.createElement("div");
+    bar.className = "message-actions";
+
+    const { index, count } = tree.siblings(node.id);
+    if (count > 1) {
+        const prev = actionButton("‹", "上一个版本", () => switchBranch(node.id, -1));
+        prev.disabled = index <= 1;
+        const label = document.createElement("span");
+        label.className = "branch-index";
+        label.textContent = `${index}/${count}`;
+        const next = actionButton("›", "下一个版本", () => switchBranch(node.id, 1));
+        next.disabled = index >= count;
+        bar.append(prev, label, next);
+    }
+    if (node.role === "user") {
+        bar.append(actionButton("✎ 编辑", "编辑后重新发送（原消息保留为另一分支）", () => editMessage(el, node)));
+    } else if (node.parentId) {
+        bar.append(actionButton("↻ 重新生成", "重新生成回答（原回答保留为另一分支）", () => regenerate(node)));
+    }
+    el.appendChild(bar);
+}
+
+function actionButton(text, title, onClick) {
+    const button = document.createElement("button");
+    button.type = "button";
+    button.textContent = text;
+    button.title = title;
+    button.addEventListener("click", () => { if (!isProcessing) onClick(); });
+    return button;
+}
+
+function switchBranch(id, delta) {
+    if (tree.step(id, delta)) renderThread();
+}
+
+function regenerate(assistantNode) {
+    const userNode = tree.get(assistantNode.parentId);
+    if (!userNode) return;
+    renderThread(userNode.id);
+    generateReply(userNode, false);
+}
+
+// 就地编辑 user 气泡；发送时作为原消息的兄弟分支
+function editMessage(el, node) {
+    const editor = document.createElement("div");
+    editor.className = "message-editor";
+    const textarea = document.createElement("textarea");
+    textarea.value = node.content;
+    textarea.rows = Math.min(8, node.content.split("\n").length + 1);
+    const save = actionButton("发送", "作为新分支发送", () => {
+        const text = textarea.value.trim();
+        if (!text && !node.attachments?.length) return;
+        // 附件沿用原消息的
+        const edited = tree.add(node.parentId, { role: "user", content: text, attachments: node.attachments });
+        renderThread(edited.id);
+        generateReply(edited, true);
+    });
+    const cancel = actionButton("取消", "放弃编辑", () => renderThread());
+    const buttons = document.createElement("div");
+    buttons.className = "message-actions";
+    buttons.append(save, cancel);
+    editor.append(textarea, buttons);
+    textarea.addEventListener("keydown", (e) => {
+        if (e.key === "Enter" && !e.shiftKey) { e.preventDefault(); save.click(); }
+        if (e.key === "Escape") cancel.click();
+    });
+    el.replaceChildren(editor);
+    textarea.focus();
+}
+
+// 回答上方的可折叠“思考过程”面板：实时追加文本并计时；正文开始后自动收起
+function createThinkingPanel(beforeEl) {
+    const panel = document.createElement("details");
+    panel.className = "thinking-panel";
+    panel.open = true;
+    const summary = document.createElement("summary");
+    const body = document.createElement("div");
+    body.className = "thinking-body";
+    panel.append(summary, body);
+    beforeEl.parentNode.insertBefore(panel, beforeEl);
+
+    const started = performance.now();
+    const seconds = () => ((performance.now() - started) / 1000).toFixed(1);
+    summary.textContent = "💭 思考中… 0.0 秒";
+    const timer = setInterval(() => { summary.textContent = `💭 思考中… ${seconds()} 秒`; }, 100);
+    let finished = false;
+
+    return {
+        append(text) {
+            body.textContent += text;
+            body.scrollTop = body.scrollHeight;
+        },
+        finish() {
+            if (finished) return;
+            finished = true;
+            clearInterval(timer);
+            summary.textContent = `💭 已思考 ${seconds()} 秒`;
+            panel.open = false;
+        },
+        remove() {
+            this.finish();
+            panel.remove();
+        },
+    };
+}
+
+// 回答上方的工具调用卡片：调用时显示参数，结果到达后补上结果 / 错误与耗时
+function createToolCards(beforeEl) {
+    const list = document.createElement("div");
+    list.className = "tool-calls";
+    beforeEl.parentNode.insertBefore(list, beforeEl);
+    const cards = new Map();
+
+    const block = (label, value) => {
+        const pre = document.createElement("pre");
+        pre.textContent = `${label}：${typeof value === "string" ? value : JSON.stringify(value, null, 2)}`;
+        return pre;
+    };
+
+    return {
+        call({ id, name, arguments: args }) {
+            const card = document.createElement("details");
+            card.className = "tool-card";
+            const summary = document.createElement("summary");
+            summary.textContent = `🛠 ${name} · 运行中…`;
+            card.append(summary, block("参数", args ?? {}));
+            list.appendChild(card);
+            cards.set(id, { card, summary, name });
+        },
+        result({ id, ok, result, error, ms }) {
+            const entry = cards.get(id);
+            if (!entry) return;
+            entry.summary.textContent = `🛠 ${entry.name} · ${ok ? "✓" : "✗ 失败"} · ${ms ?? 0} ms`;
+            entry.card.classList.toggle("failed", !ok);
+            entry.card.appendChild(ok ? block("结果", result) : block("错误", error || "未知错误"));
+        },
+        remove() {
+            list.remove();
+        },
+    };
+}
+
+const STREAM_ERROR_TEXT = {
+    upstream_error: "模型服务中途出错。",
+    upstream_malformed: "模型返回了无法解析的内容。",
+    empty_output: "模型没有返回内容。",
+};
+
+function describeStreamError(error, meta) {
+    const text = STREAM_ERROR_TEXT[error?.code] || error?.message || "生成失败。";
+    return meta?.requestId ? `${text}（请求 ID：${meta.requestId}）` : text;
 }
 
-// —— 只渲染“最后一个” <final>…</final>；过滤占位 … —— //
-function visibleTextFrom(raw) {
-    if (!raw) return "";
-    const matches = [...raw.matchAll(/<final>([\s\S]*?)<\/final>/gi)];
-    if (matches.length) {
-        const last = (matches[matches.length - 1][1] || "").trim();
-        if (last && last !== "..." && last !== "…") return last;
+// 错误说明 + 可选“重试”按钮；keepContent 为 true 时保留气泡中已生成的内容
+function showError(el, text, onRetry, keepContent = false) {
+    if (!keepContent) el.textContent = "";
+    const note = document.createElement("div");
+    note.className = "error-note";
+    note.textContent = text;
+    if (onRetry) {
+        const button = document.createElement("button");
+        button.type = "button";
+        button.className = "retry-button";
+        button.textContent = "重试";
+        button.addEventListener("click", () => {
+            if (isProcessing) return;
+            el.remove();
+            onRetry();
+        });
+        note.appendChild(button);
     }
-    return raw;
+    el.appendChild(note);
+}
+
+function renderAnswer(el, text, sources) {
+    el.innerHTML = renderMarkdown(text, sources);
+    highlightCode(el);
+    typesetMath(el);
+}
+
+// 上下文超出预算时，后端把较早的消息压缩成摘要或丢弃（响应头 X-Context-Summarized / X-Context-Dropped）
+function markContext(el, headers) {
+    const count = (name) => (headers.get(name) || "").split(",").filter(Boolean).length;
+    const summarized = count("X-Context-Summarized");
+    const dropped = count("X-Context-Dropped");
+    if (!summarized && !dropped) return;
+    const note = document.createElement("div");
+    note.className = "truncated-note";
+    note.textContent = [
+        summarized ? `较早的 ${summarized} 条消息已压缩为摘要` : "",
+        dropped ? `${dropped} 条消息超出上下文未发送` : "",
+    ].filter(Boolean).join("；");
+    el.appendChild(note);
+}
+
+// 超出模型范围被夹取 / 模型不支持而被忽略的生成参数（meta.params）
+function markParams(el, params) {
+    const clamped = params?.clamped || [];
+    const ignored = params?.ignored || [];
+    if (!clamped.length && !ignored.length) return;
+    const note = document.createElement("div");
+    note.className = "truncated-note";
+    note.textContent = [
+        clamped.length ? `参数已按模型上限调整：${clamped.map((n) => `${n}=${params[n]}`).join("、")}` : "",
+        ignored.length ? `该模型不支持：${ignored.join("、")}` : "",
+    ].filter(Boolean).join("；");
+    el.appendChild(note);
+}
+
+// 本次回答的总耗时与 token 用量（done 事件）；悬停显示首字耗时与输入 / 输出 token；cached：回答取自服务端缓存（meta.cached）
+function markStats(el, done, cached) {
+    const totalMs = done?.latency?.totalMs;
+    if (typeof totalMs !== "number") return;
+    const { firstTokenMs } = done.latency;
+    const usage = done.usage || {};
+    const footer = document.createElement("div");
+    footer.className = "answer-stats";
+    footer.textContent = [
+        `${(totalMs / 1000).toFixed(1)}s`,
+        usage.total_tokens != null ? `${usage.total_tokens} tokens` : "",
+        cached ? "缓存" : "",
+    ].filter(Boolean).join(" · ");
+    footer.title = [
+        firstTokenMs != null ? `首字 ${firstTokenMs} ms` : "无输出",
+        `tokens ${usage.prompt_tokens ?? "?"} → ${usage.completion_tokens ?? "?"}`,
+    ].join(" · ");
+    el.appendChild(footer);
+}
+
+function markTruncated(el) {
+    const note = document.createElement("div");
+    note.className = "truncated-note";
+    note.textContent = "⏹ 已停止生成";
+    el.appendChild(note);
 }
 
 // 生成下载文件名（模型名 + 时间戳）
 function makeSSEFileName() {
-    const rawModel = (modelSelect && modelSelect.value) || "model";
-    const model = rawModel.replace(/[^a-zA-Z0-9._-]/g, "-"); // 简易清洗
-    const d = new Date();
-    const pad = (n) => String(n).padStart(2, "0");
-    const stamp = `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}_${pad(d.getHours())}-${pad(d.getMinutes())}-${pad(d.getSeconds())}`;
-    return `sse_${model}_${stamp}.txt`;
+    return exportFileName("sse", modelSelect && modelSelect.value, "txt");
 }
 
 // 原始SSE复制/下载条
@@ -391,15 +1681,7 @@ function appendRawCopyBar(assistantEl, rawText) {
     downloadBtn.textContent = "下载原始SSE(.txt)";
     downloadBtn.addEventListener("click", () => {
         try {
-            const blob = new Blob([rawText], { type: "text/plain;charset=utf-8" });
-            const url = URL.createObjectURL(blob);
-            const a = document.createElement("a");
-            a.href = url;
-            a.download = makeSSEFileName();
-            document.body.appendChild(a);
-            a.click();
-            a.remove();
-            URL.revokeObjectURL(url);
+            downloadFile(rawText, makeSSEFileName(), "text/plain;charset=utf-8");
         } catch {
             downloadBtn.textContent = "下载失败";
             setTimeout(() => (downloadBtn.textContent = "下载原始SSE(.txt)"), 1200);
@@ -415,26 +1697,40 @@ function appendRawCopyBar(assistantEl, rawText) {
 }
 
 // ========== UI helpers ==========
-function addMessageToChat(role, content) {
+function addMessageToChat(role, content, sources, attachments) {
     const messageEl = document.createElement("div");
     messageEl.className = `message ${role}-message`;
     if (role === "assistant") {
-        messageEl.innerHTML = renderMarkdown(content);
+        messageEl.innerHTML = renderMarkdown(content, sources);
         typesetMath(messageEl);
     } else {
-        const p = document.createElement("p");
-        p.textContent = content;
-        messageEl.appendChild(p);
+        if (content) {
+            const p = document.createElement("p");
+            p.textContent = content;
+            messageEl.appendChild(p);
+        }
+        if (attachments?.length) {
+            const list = document.createElement("div");
+            list.className = "message-attachments";
+            list.append(...attachments.map(renderAttachmentChip));
+            messageEl.appendChild(list);
+        }
     }
     chatMessages.appendChild(messageEl);
     chatMessages.scrollTop = chatMessages.scrollHeight;
     highlightCode(messageEl);
+    return messageEl;
 }
-function renderMarkdown(md) {
+// sources：资料库片段（meta.sources），回答中的 [n] 变为上标链接，末尾附“来源”脚注
+function renderMarkdown(md, sources) {
     const safe = md || "";
     const pre = preprocessMath(safe);
-    if (window.marked) return window.marked.parse(pre);
-    const div = document.createElement("div"); div.textContent = safe; return div.innerHTML;
+    let html;
+    if (window.marked) html = window.marked.parse(pre);
+    else { const div = document.createElement("div"); div.textContent = safe; html = div.innerHTML; }
+    if (!sources?.length) return html;
+    const idPrefix = `source-${++citationSeq}`;
+    return linkCitations(html, sources, idPrefix) + renderSourceList(sources, idPrefix);
 }
 function highlightCode(el) {
     if (window.hljs) el.querySelectorAll("pre code").forEach((b) => window.hljs.highlightElement(b));
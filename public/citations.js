@@ -0,0 +1,51 @@
+/**
+ * 资料库引用的渲染（前端；纯 JS ES module，测试中直接导入）
+ * - 回答中的 [n]、[1, 2] 指 meta.sources 中 index 为 n 的片段（见 src/documents.ts 的 Citation）
+ * - linkCitations：把渲染好的 HTML 中的编号换成指向脚注的上标链接；标签、<pre>、<code> 内的文本不动，
+ *   编号不在 sources 中的方括号原样保留（如数组下标、参考文献格式）
+ * - renderSourceList：回答末尾的“来源”脚注
+ */
+
+import { escapeHtml } from "./conversation-export.js";
+
+/**
+ * @typedef {{ index: number, documentId: string, title: string, chunk: number, score: number, excerpt: string }} Citation
+ */
+
+const CITATION_RE = /\[(\d{1,2}(?:\s*[,，]\s*\d{1,2})*)\](?!\()/g;
+const SKIP_RE = /(<pre[\s\S]*?<\/pre>|<code[\s\S]*?<\/code>|<[^>]*>)/;
+
+/**
+ * @param {string} html renderMarkdown 的输出
+ * @param {Citation[]} sources
+ * @param {string} idPrefix 脚注元素 ID 前缀（同一页面内每次渲染唯一）
+ */
+export function linkCitations(html, sources, idPrefix) {
+    const known = new Set(sources.map((s) => s.index));
+    return html
+        .split(SKIP_RE)
+        .map((part, i) => (i % 2 ? part : part.replace(CITATION_RE, (match, list) => {
+            const indexes = list.split(/\s*[,，]\s*/).map(Number);
+            if (!indexes.every((n) => known.has(n))) return match;
+            return indexes
+                .map((n) => `<sup class="citation"><a href="#${idPrefix}-${n}" data-source="${n}">[${n}]</a></sup>`)
+                .join("");
+        })))
+        .join("");
+}
+
+/**
+ * @param {Citation[]} sources
+ * @param {string} idPrefix 与 linkCitations 相同
+ */
+export function renderSourceList(sources, idPrefix) {
+    if (!sources.length) return "";
+    const items = sources.map((s) => [
+        `<li id="${idPrefix}-${s.index}" value="${s.index}">`,
+        `<span class="source-title">${escapeHtml(s.title || "未命名文档")}</span>`,
+        `<span class="source-meta"> · 第 ${s.chunk + 1} 段</span>`,
+        `<blockquote>${escapeHtml(s.excerpt)}</blockquote>`,
+        "</li>",
+    ].join(""));
+    return `<div class="sources"><div class="sources-title">来源</div><ol>${items.join("")}</ol></div>`;
+}
@@ -0,0 +1,177 @@
+/**
+ * 会话导出（前端；纯 JS ES module，无依赖；Worker 的导入校验 ../src/archive.ts 共用格式常量）
+ * - JSON：全部分支（含引用与附件描述）+ 标题 / 模型 / 设置 / 时间戳，可经 POST /api/conversations/import 还原后继续对话
+ * - Markdown：当前分支的原文（公式与代码块原样保留）
+ * - HTML：当前分支，自带样式的单文件；正文由调用方渲染（公式转 MathML、代码已高亮），离线可读
+ * - 文件名沿用原始 SSE 下载的“前缀_模型_时间戳”格式
+ */
+
+export const EXPORT_FORMAT = "cf-llm-chat.conversation";
+export const EXPORT_VERSION = 1;
+
+/**
+ * @typedef {{ id: string, parentId: string | null, role: "user" | "assistant", content: string, truncated?: boolean, sources?: object[], attachments?: object[], createdAt?: number }} ExportMessage
+ * @typedef {{ title?: string, model?: string | null, settings?: object | null, createdAt?: number, updatedAt?: number, messages: ExportMessage[], leafId?: string | null }} ExportSource
+ */
+
+const ROLE_LABEL = { user: "用户", assistant: "助手" };
+
+/** 下载文件名：<prefix>_<模型>_<YYYY-MM-DD_HH-mm-ss>.<ext>（本地时间） */
+export function exportFileName(prefix, model, ext, date = new Date()) {
+    const safeModel = (model || "model").replace(/[^a-zA-Z0-9._-]/g, "-"); // 简易清洗
+    const pad = (n) => String(n).padStart(2, "0");
+    const stamp = `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}_${pad(date.getHours())}-${pad(date.getMinutes())}-${pad(date.getSeconds())}`;
+    return `${prefix}_${safeModel}_${stamp}.${ext}`;
+}
+
+/** @param {ExportSource} source */
+export function toJsonExport(source, exportedAt = Date.now()) {
+    return {
+        format: EXPORT_FORMAT,
+        version: EXPORT_VERSION,
+        exportedAt,
+        conversation: {
+            title: source.title || "",
+            model: source.model ?? null,
+            settings: source.settings ?? null,
+            createdAt: source.createdAt ?? null,
+            updatedAt: source.updatedAt ?? null,
+        },
+        leafId: source.leafId ?? null,
+        messages: source.messages.map((m) => ({
+            id: m.id,
+            parentId: m.parentId,
+            role: m.role,
+            content: m.content,
+            ...(m.truncated ? { truncated: true } : {}),
+            ...(m.sources?.length ? { sources: m.sources } : {}),
+            // 图片只导出描述：本地尚未落库的消息里带着 data URL
+            ...(m.attachments?.length ? { attachments: m.attachments.map(({ url, ...info }) => info) } : {}),
+            ...(m.createdAt != null ? { createdAt: m.createdAt } : {}),
+        })),
+    };
+}
+
+// 标题下的一行说明：模型、预设与生成参数
+function describeSource(source) {
+    const settings = source.settings || {};
+    const params = Object.entries(settings)
+        .filter(([key, value]) => key !== "preset" && value != null)
+        .map(([key, value]) => `${key}=${value}`);
+    return [
+        source.model ? `模型：${source.model}` : "",
+        settings.preset ? `预设：${settings.preset}` : "",
+        params.length ? `参数：${params.join(", ")}` : "",
+    ].filter(Boolean).join(" · ");
+}
+
+function formatTime(ms) {
+    return ms != null ? new Date(ms).toLocaleString() : "";
+}
+
+/**
+ * 当前分支（branch，根 → 叶）导出为 Markdown；正文原样写入
+ * @param {ExportSource} source
+ * @param {ExportMessage[]} branch
+ */
+export function toMarkdown(source, branch) {
+    const lines = [`# ${source.title || "对话"}`, ""];
+    const info = describeSource(source);
+    if (info) lines.push(`> ${info}`, "");
+    for (const m of branch) {
+        const time = formatTime(m.createdAt);
+        lines.push(`## ${ROLE_LABEL[m.role] || m.role}${time ? ` · ${time}` : ""}`, "", m.content.trim(), "");
+        if (m.truncated) lines.push("*（已停止生成）*", "");
+    }
+    return `${lines.join("\n").trimEnd()}\n`;
+}
+
+const MATH_RE = /\$\$([\s\S]+?)\$\$|\\\[([\s\S]+?)\\\]|\\\(([\s\S]+?)\\\)|\$([^$\n]+?)\$/g;
+
+/**
+ * 把 $$…$$、\[…\]、\(…\)、$…$ 公式换成占位符（跳过代码块与行内代码），供 Markdown 渲染后再换回公式；
+ * 调用方应先做与页面相同的公式预处理
+ * @returns {{ text: string, formulas: { tex: string, display: boolean }[] }}
+ */
+export function extractMath(md) {
+    /** @type {{ tex: string, display: boolean }[]} */
+    const formulas = [];
+    const text = md
+        .split(/(```[\s\S]*?```|`[^`\n]*`)/)
+        .map((part, i) => (i % 2 ? part : part.replace(MATH_RE, (_, block, bracket, paren, inline) => {
+            const display = block !== undefined || bracket !== undefined;
+            formulas.push({ tex: (block ?? bracket ?? paren ?? inline).trim(), display });
+            return mathPlaceholder(formulas.length - 1);
+        })))
+        .join("");
+    return { text, formulas };
+}
+
+export function mathPlaceholder(index) {
+    return `MATHPLACEHOLDER${index}END`;
+}
+
+export const MATH_PLACEHOLDER_RE = /MATHPLACEHOLDER(\d+)END/g;
+
+export function escapeHtml(text) {
+    return String(text).replace(/[&<>"']/g, (c) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" })[c]);
+}
+
+const HTML_STYLE = `
+body { max-width: 860px; margin: 2rem auto; padding: 0 1rem; font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif; color: #1f2937; line-height: 1.6; }
+header { border-bottom: 1px solid #e5e7eb; margin-bottom: 1rem; }
+header p { color: #6b7280; font-size: 0.85rem; }
+.message { margin-bottom: 1rem; padding: 0.75rem; border-radius: 8px; overflow-wrap: break-word; }
+.message.user { background: #fff2e6; }
+.message.assistant { background: #f3f4f6; }
+.message .role { font-size: 0.78rem; color: #6b7280; margin-bottom: 0.25rem; }
+.message .note { font-size: 0.78rem; color: #6b7280; }
+pre { background: #0b1020; color: #e6edf3; padding: 0.75rem; border-radius: 6px; overflow: auto; }
+:not(pre) > code { background: #e5e7eb; padding: 0.1rem 0.3rem; border-radius: 4px; font-size: 0.9em; }
+table { border-collapse: collapse; } th, td { border: 1px solid #e5e7eb; padding: 6px 10px; }
+math[display="block"] { display: block; margin: 0.5rem 0; overflow-x: auto; }
+.hljs-keyword, .hljs-selector-tag, .hljs-built_in { color: #ff7b72; }
+.hljs-string, .hljs-regexp, .hljs-attr { color: #a5d6ff; }
+.hljs-number, .hljs-literal { color: #79c0ff; }
+.hljs-comment { color: #8b949e; font-style: italic; }
+.hljs-title, .hljs-function { color: #d2a8ff; }
+.hljs-type, .hljs-params { color: #ffa657; }
+`;
+
+/**
+ * 当前分支导出为单文件 HTML（内联样式，无外部依赖）
+ * @param {ExportSource} source
+ * @param {ExportMessage[]} branch
+ * @param {(markdown: string) => string} renderContent 把一条消息正文渲染成 HTML 片段
+ */
+export function toHtml(source, branch, renderContent) {
+    const title = escapeHtml(source.title || "对话");
+    const info = describeSource(source);
+    const body = branch.map((m) => {
+        const time = formatTime(m.createdAt);
+        return [
+            `<section class="message ${m.role === "user" ? "user" : "assistant"}">`,
+            `<div class="role">${escapeHtml(ROLE_LABEL[m.role] || m.role)}${time ? ` · ${escapeHtml(time)}` : ""}</div>`,
+            m.role === "user" ? `<p>${escapeHtml(m.content).replace(/\n/g, "<br>")}</p>` : renderContent(m.content),
+            m.truncated ? `<div class="note">（已停止生成）</div>` : "",
+            `</section>`,
+        ].join("\n");
+    });
+    return `<!DOCTYPE html>
+<html lang="zh-CN">
+<head>
+<meta charset="UTF-8">
+<meta name="viewport" content="width=device-width, initial-scale=1.0">
+<title>${title}</title>
+<style>${HTML_STYLE}</style>
+</head>
+<body>
+<header>
+<h1>${title}</h1>
+${info ? `<p>${escapeHtml(info)}</p>` : ""}
+</header>
+${body.join("\n")}
+</body>
+</html>
+`;
+}
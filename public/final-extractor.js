@@ -0,0 +1,175 @@
+/**
+ * <final> 流式提取器（Worker 与前端共用；纯 JS ES module，无依赖）
+ * - 逐段 push 模型输出，只吐出回答正文；标签可被任意切分在多个片段中（大小写不敏感）
+ * - 回答 = 第一个“有内容”的 <final> 块；仅含空白 / ... / … 的占位块跳过，之后的块忽略
+ * - 未闭合的 <final>：流结束时已输出的内容即回答
+ * - 从不输出标签的模型：结束时以 <final> 之前的文本兜底（去掉 </think> 之前的思考与自述行）
+ * - preamble：<final> 之前的文本（含 <think> 内容），供“思考过程”展示
+ */
+
+const TAGS = ["<final>", "</final>", "<think>", "</think>"];
+const TAG_RE = /<\/?(?:final|think)>/i;
+const PLACEHOLDER_RE = /^[\s.…]*$/;
+const LEADING_PLACEHOLDER_RE = /^(?:[ \t.…]*\n)*\s*/;
+const SELF_TALK_RE = /^\s*(the user asks|user:|assistant:|system:|plan:)/i;
+
+/**
+ * @typedef {{ answer: string, preamble: string }} ExtractorOutput
+ */
+
+export function createFinalExtractor() {
+    /** @type {"pre" | "final" | "post"} */
+    let state = "pre";
+    let pending = "";       // 末尾可能被切断的标签前缀
+    let inThink = false;
+    let pre = "";           // <final> 之前、</think> 之后的文本（兜底回答的来源）
+    let block = "";         // 当前 <final> 块中尚未确认的内容
+    let committed = false;  // 当前块已确认为回答
+    let answer = "";
+    let sawFinal = false;
+    let ended = false;
+
+    /** @param {string} seg @param {ExtractorOutput} out */
+    function onText(seg, out) {
+        if (!seg) return;
+        if (state === "final") {
+            if (committed) {
+                answer += seg;
+                out.answer += seg;
+                return;
+            }
+            block += seg;
+            if (PLACEHOLDER_RE.test(block)) return;
+            committed = true;
+            // 去掉开头的占位行（"...\n"）与空白
+            const start = block.replace(LEADING_PLACEHOLDER_RE, "");
+            block = "";
+            answer += start;
+            out.answer += start;
+            return;
+        }
+        if (state === "pre") {
+            out.preamble += seg;
+            if (!inThink) pre += seg;
+        }
+        // post：回答块之后的文本丢弃
+    }
+
+    /** @param {string} tag */
+    function onTag(tag) {
+        if (tag === "<final>") {
+            sawFinal = true;
+            // 已有回答：后续块忽略（重复的开标签视为噪声）
+            if (answer) return;
+            state = "final";
+            block = "";
+            return;
+        }
+        if (tag === "</final>") {
+            if (state !== "final") return;
+            state = "post";
+            block = "";
+            return;
+        }
+        if (state !== "pre") return;
+        if (tag === "<think>") {
+            inThink = true;
+        } else {
+            // </think> 之前都是思考过程
+            inThink = false;
+            pre = "";
+        }
+    }
+
+    function fallback() {
+        return sawFinal ? "" : cleanFallback(pre);
+    }
+
+    return {
+        /**
+         * 追加一段模型输出
+         * @param {string} piece
+         * @returns {ExtractorOutput}
+         */
+        push(piece) {
+            /** @type {ExtractorOutput} */
+            const out = { answer: "", preamble: "" };
+            if (ended) return out;
+
+            let buf = pending + (piece || "");
+            pending = "";
+            let m;
+            while ((m = TAG_RE.exec(buf))) {
+                onText(buf.slice(0, m.index), out);
+                onTag(m[0].toLowerCase());
+                buf = buf.slice(m.index + m[0].length);
+            }
+            const lt = buf.lastIndexOf("<");
+            if (lt >= 0) {
+                const tail = buf.slice(lt).toLowerCase();
+                if (TAGS.some((t) => t.startsWith(tail))) {
+                    pending = buf.slice(lt);
+                    buf = buf.slice(0, lt);
+                }
+            }
+            onText(buf, out);
+            return out;
+        },
+
+        /**
+         * 流结束：冲刷被扣住的文本；从未出现 <final> 时输出兜底回答
+         * @returns {ExtractorOutput}
+         */
+        end() {
+            /** @type {ExtractorOutput} */
+            const out = { answer: "", preamble: "" };
+            if (ended) return out;
+            ended = true;
+            onText(pending, out);
+            pending = "";
+            if (!answer) {
+                const text = fallback();
+                answer = text;
+                out.answer += text;
+            }
+            return out;
+        },
+
+        /** 至此的回答（中断时使用；未见 <final> 时为当前兜底文本），不改变状态 */
+        result() {
+            return (answer || fallback()).trim();
+        },
+
+        /** 已输出的回答正文 */
+        get answer() {
+            return answer;
+        },
+
+        /** 是否见过 <final> 标签 */
+        get sawFinal() {
+            return sawFinal;
+        },
+    };
+}
+
+/**
+ * 整段文本一次性提取回答
+ * @param {string} text
+ * @returns {string}
+ */
+export function extractFinalText(text) {
+    const extractor = createFinalExtractor();
+    extractor.push(typeof text === "string" ? text : "");
+    extractor.end();
+    return extractor.answer.trim();
+}
+
+// 无标签兜底：逐行去掉自述 / 占位行
+/** @param {string} text */
+function cleanFallback(text) {
+    const lines = text
+        .split("\n")
+        .filter((line) => !SELF_TALK_RE.test(line) && !(line.trim() && PLACEHOLDER_RE.test(line)));
+    const cleaned = lines.join("\n").trim();
+    return PLACEHOLDER_RE.test(cleaned) ? "" : cleaned;
+}
@@ -0,0 +1,187 @@
+/**
+ * 对话消息树（前端；纯 JS ES module，无依赖）
+ * - “重新生成”与“编辑后重发”都新增兄弟节点，不覆盖原有消息
+ * - 节点 {id, parentId, role, content, truncated?, sources?, attachments?}（sources：回答引用的资料库片段；attachments：提问附带的图片 / 文件）；
+ *   同一父节点下的子节点按创建顺序排列
+ * - 每个父节点记住当前选中的子节点（缺省为最新的一个）；从根沿选中的子节点走到底即“当前分支”
+ * - 当前分支就是下一轮发送给后端的历史（history）；带附件的消息以 parts 数组发送（messageContent）
+ * - load 接收 GET /api/conversations/:id 的 messages；没有 parentId 的旧消息按顺序串成一条链
+ */
+
+/**
+ * @typedef {{ id: string, parentId: string | null, role: "user" | "assistant", content: string, truncated?: boolean, sources?: object[], attachments?: Attachment[] }} TreeNode
+ */
+
+/**
+ * 本地选择的图片带 url（data URL）；从服务端加载的图片只有描述，不再随历史发送
+ * @typedef {{ type: "image", name: string, mediaType: string, size: number, url?: string } | { type: "file", name: string, size: number, text: string }} Attachment
+ */
+
+const ROOT = "";
+
+function newId() {
+    return crypto.randomUUID();
+}
+
+/**
+ * 节点的 content：无附件时为字符串，否则为 [text, file..., image_url...] parts（见 src/attachments.ts）
+ * @param {{ content: string, attachments?: Attachment[] }} node
+ */
+export function messageContent(node) {
+    if (!node.attachments?.length) return node.content;
+    const parts = node.content ? [{ type: "text", text: node.content }] : [];
+    for (const a of node.attachments) {
+        if (a.type === "file") parts.push({ type: "file", file: { filename: a.name, text: a.text } });
+        else if (a.url) parts.push({ type: "image_url", image_url: { url: a.url }, name: a.name });
+    }
+    return parts.length ? parts : node.content;
+}
+
+export function createMessageTree() {
+    /** @type {Map<string, TreeNode>} */
+    const nodes = new Map();
+    /** @type {Map<string, string[]>} 父节点 ID（根为 ""）→ 子节点 ID */
+    const children = new Map();
+    /** @type {Map<string, string>} 父节点 ID → 选中的子节点 ID */
+    const selected = new Map();
+
+    const keyOf = (parentId) => parentId ?? ROOT;
+    const childIds = (parentId) => children.get(keyOf(parentId)) || [];
+
+    function selectedChild(parentId) {
+        const ids = childIds(parentId);
+        const id = selected.get(keyOf(parentId));
+        return id && ids.includes(id) ? id : ids[ids.length - 1] ?? null;
+    }
+
+    // 新节点成为其父节点下的选中分支；message.id 缺省时生成
+    function add(parentId, message) {
+        const id = message.id || newId();
+        if (nodes.has(id)) throw new Error(`duplicate message id ${id}`);
+        if (parentId != null && !nodes.has(parentId)) throw new Error(`unknown parent ${parentId}`);
+        /** @type {TreeNode} */
+        const node = { id, parentId: parentId ?? null, role: message.role, content: message.content };
+        if (message.truncated) node.truncated = true;
+        if (message.sources?.length) node.sources = message.sources;
+        if (message.attachments?.length) node.attachments = message.attachments;
+        nodes.set(id, node);
+        const key = keyOf(parentId);
+        children.set(key, [...childIds(parentId), id]);
+        selected.set(key, id);
+        return node;
+    }
+
+    // 删除节点及其子树（如本轮请求失败时撤回刚加入的 user 消息）；选中项回落到最新的兄弟
+    function remove(id) {
+        const node = nodes.get(id);
+        if (!node) return;
+        for (const child of childIds(id)) remove(child);
+        nodes.delete(id);
+        children.delete(id);
+        selected.delete(id);
+        const key = keyOf(node.parentId);
+        children.set(key, childIds(node.parentId).filter((c) => c !== id));
+        if (selected.get(key) === id) selected.delete(key);
+    }
+
+    /**
+     * 根 → id 的祖先链（含 id 本身）
+     * @returns {TreeNode[]}
+     */
+    function lineage(id) {
+        const out = [];
+        for (let node = nodes.get(id); node; node = node.parentId ? nodes.get(node.parentId) : undefined) out.unshift(node);
+        return out;
+    }
+
+    /**
+     * 当前分支；给出 untilId 时只到该节点为止（并把它所在的分支设为选中）
+     * @returns {TreeNode[]}
+     */
+    function path(untilId) {
+        if (untilId != null) {
+            select(untilId);
+            return lineage(untilId);
+        }
+        const out = [];
+        for (let id = selectedChild(null); id; id = selectedChild(id)) out.push(nodes.get(id));
+        return out;
+    }
+
+    function leaf() {
+        const branch = path();
+        return branch[branch.length - 1] ?? null;
+    }
+
+    /** 把 id 及其全部祖先设为各自父节点下的选中分支 */
+    function select(id) {
+        for (const node of lineage(id)) selected.set(keyOf(node.parentId), node.id);
+    }
+
+    /** 节点在兄弟中的位置（从 1 开始）与兄弟总数 */
+    function siblings(id) {
+        const node = nodes.get(id);
+        if (!node) return { index: 0, count: 0 };
+        const ids = childIds(node.parentId);
+        return { index: ids.indexOf(id) + 1, count: ids.length };
+    }
+
+    /** 切换到相邻的兄弟分支（delta = ±1）；返回新选中的节点 ID，越界时返回 null */
+    function step(id, delta) {
+        const node = nodes.get(id);
+        if (!node) return null;
+        const ids = childIds(node.parentId);
+        const next = ids[ids.indexOf(id) + delta];
+        if (!next) return null;
+        selected.set(keyOf(node.parentId), next);
+        return next;
+    }
+
+    /** 发送给后端的历史：当前分支（或根 → untilId）的 {role, content} */
+    function history(untilId) {
+        return path(untilId).map((n) => ({ role: n.role, content: messageContent(n) }));
+    }
+
+    /**
+     * 全部节点（含未选中的分支），按加入顺序；父节点总在子节点之前
+     * @returns {TreeNode[]}
+     */
+    function list() {
+        return [...nodes.values()];
+    }
+
+    function clear() {
+        nodes.clear();
+        children.clear();
+        selected.clear();
+    }
+
+    // 服务端消息按创建顺序给出；父节点总在子节点之前
+    function load(messages) {
+        clear();
+        let previous = null;
+        for (const m of messages) {
+            if (m.role !== "user" && m.role !== "assistant") continue;
+            const parentId = m.parentId === undefined ? previous : m.parentId;
+            previous = add(parentId != null && nodes.has(parentId) ? parentId : null, m).id;
+        }
+        // 选中分支缺省为各层最新的子节点
+        selected.clear();
+    }
+
+    return {
+        add,
+        remove,
+        get: (id) => nodes.get(id),
+        path,
+        leaf,
+        select,
+        siblings,
+        step,
+        history,
+        list,
+        clear,
+        load,
+        get size() { return nodes.size; },
+    };
+}
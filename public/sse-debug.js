@@ -0,0 +1,202 @@
+/**
+ * SSE 回放调试页（debug.html）
+ * - 载入一份或两份捕获（文件或粘贴），用 ./sse-replay.js 的 analyzeSse 判定每条事件，与 Worker / 聊天页的解析一致
+ * - 回放：按可调间隔逐条显示事件及判定，右侧回答随之增长；结束时若走了无 <final> 兜底，列出被自述过滤去掉的行
+ * - 对比：A → B 的回答 / 思考过程 / 原始文本差异（diffTokens）
+ */
+
+import { analyzeSse, diffTokens } from "./sse-replay.js";
+
+const VERDICT_LABEL = { kept: "保留", gated: "扣下", dropped: "丢弃", status: "状态", replaced: "替换" };
+const PIECE_PREVIEW_MAX = 400;
+
+const rows = document.getElementById("event-rows");
+const answerEl = document.getElementById("answer");
+const fallbackEl = document.getElementById("fallback");
+const slotSelect = document.getElementById("replay-slot");
+const playButton = document.getElementById("play");
+const pauseButton = document.getElementById("pause");
+const stepButton = document.getElementById("step");
+const resetButton = document.getElementById("reset");
+const delayInput = document.getElementById("delay");
+const delayLabel = document.getElementById("delay-label");
+const hideStatus = document.getElementById("hide-status");
+const diffTarget = document.getElementById("diff-target");
+const diffEl = document.getElementById("diff");
+const diffStats = document.getElementById("diff-stats");
+
+/** 每个槽位：原文与分析结果 */
+const captures = { a: { raw: "", analysis: null }, b: { raw: "", analysis: null } };
+
+// 回放状态
+let cursor = 0;
+let running = "";
+let timer = null;
+
+// ========== 载入捕获 ==========
+for (const panel of document.querySelectorAll(".capture")) {
+    const slot = panel.dataset.slot;
+    const fileInput = panel.querySelector("input[type=file]");
+    const textarea = panel.querySelector("textarea");
+    const summary = panel.querySelector(".summary");
+
+    const load = (raw) => {
+        captures[slot] = { raw, analysis: raw.trim() ? analyzeSse(raw) : null };
+        summary.textContent = describe(captures[slot].analysis);
+        if (slotSelect.value === slot) resetReplay();
+        renderDiff();
+    };
+
+    fileInput.addEventListener("change", async () => {
+        const file = fileInput.files && fileInput.files[0];
+        if (!file) return;
+        textarea.value = await file.text();
+        load(textarea.value);
+    });
+    textarea.addEventListener("input", () => load(textarea.value));
+}
+
+function describe(analysis) {
+    if (!analysis) return "未加载";
+    const { counts } = analysis;
+    const format = analysis.format === "normalized" ? "/api/chat 规范化事件" : "上游原文（源SSE）";
+    return `${format} · ${analysis.entries.length} 条：保留 ${counts.kept} / 扣下 ${counts.gated} / 丢弃 ${counts.dropped} / 状态 ${counts.status}`
+        + (counts.replaced ? ` / 审核替换 ${counts.replaced}` : "")
+        + (analysis.usage ? ` · tokens ${analysis.usage.total_tokens ?? "?"}` : "");
+}
+
+// ========== 回放 ==========
+function current() {
+    return captures[slotSelect.value].analysis;
+}
+
+function resetReplay() {
+    pause();
+    cursor = 0;
+    running = "";
+    rows.innerHTML = "";
+    answerEl.textContent = "";
+    fallbackEl.hidden = true;
+    updateButtons();
+}
+
+function step() {
+    const analysis = current();
+    if (!analysis || cursor >= analysis.entries.length) return false;
+    const entry = analysis.entries[cursor++];
+    running = entry.verdict === "replaced" ? entry.answer : running + entry.answer;
+
+    rows.querySelector("tr.current")?.classList.remove("current");
+    const row = renderRow(entry);
+    row.classList.add("current");
+    rows.appendChild(row);
+    row.scrollIntoView({ block: "nearest" });
+
+    answerEl.textContent = running;
+    if (cursor === analysis.entries.length) finishReplay(analysis);
+    updateButtons();
+    return true;
+}
+
+// 回放结束：冲刷提取器后的完整回答；无 <final> 时说明兜底过程
+function finishReplay(analysis) {
+    pause();
+    answerEl.textContent = analysis.answer;
+    if (analysis.fallback) {
+        const removed = analysis.fallback.removed;
+        fallbackEl.textContent = `未出现 <final>：回答为过滤自述后的全文兜底。`
+            + (removed.length ? `\n被过滤的行：\n${removed.map((l) => `- ${l}`).join("\n")}` : "");
+        fallbackEl.hidden = false;
+    }
+}
+
+function renderRow(entry) {
+    const tr = document.createElement("tr");
+    tr.className = entry.verdict;
+    tr.hidden = hideStatus.checked && entry.verdict === "status";
+    const piece = entry.verdict === "kept" && entry.answer !== entry.piece
+        ? `${entry.piece}\n→ ${entry.answer}`
+        : entry.piece || entry.answer || entry.data;
+    const cells = [
+        String(entry.index + 1),
+        entry.event || entry.type || "data",
+        VERDICT_LABEL[entry.verdict],
+        entry.reason,
+        piece.length > PIECE_PREVIEW_MAX ? `${piece.slice(0, PIECE_PREVIEW_MAX)}…` : piece,
+    ];
+    cells.forEach((text, i) => {
+        const td = document.createElement("td");
+        if (i === 4) {
+            td.className = "text";
+            td.title = entry.data;
+        }
+        td.textContent = text;
+        tr.appendChild(td);
+    });
+    return tr;
+}
+
+function play() {
+    if (timer || !current()) return;
+    const tick = () => {
+        timer = null;
+        if (step() && cursor < current().entries.length) timer = setTimeout(tick, Number(delayInput.value));
+        updateButtons();
+    };
+    timer = setTimeout(tick, 0);
+    updateButtons();
+}
+
+function pause() {
+    clearTimeout(timer);
+    timer = null;
+    updateButtons();
+}
+
+function updateButtons() {
+    const analysis = current();
+    const done = !analysis || cursor >= analysis.entries.length;
+    playButton.disabled = done || !!timer;
+    stepButton.disabled = done;
+    pauseButton.disabled = !timer;
+}
+
+playButton.addEventListener("click", play);
+pauseButton.addEventListener("click", pause);
+stepButton.addEventListener("click", () => { pause(); step(); });
+resetButton.addEventListener("click", resetReplay);
+slotSelect.addEventListener("change", resetReplay);
+delayInput.addEventListener("input", () => { delayLabel.textContent = `${delayInput.value} ms`; });
+hideStatus.addEventListener("change", () => {
+    for (const tr of rows.querySelectorAll("tr.status")) tr.hidden = hideStatus.checked;
+});
+
+// ========== 对比 ==========
+function diffText(slot) {
+    const { raw, analysis } = captures[slot];
+    if (diffTarget.value === "raw") return raw;
+    return analysis ? analysis[diffTarget.value] : "";
+}
+
+function renderDiff() {
+    diffEl.innerHTML = "";
+    diffStats.textContent = "";
+    if (!captures.a.analysis || !captures.b.analysis) {
+        diffEl.innerHTML = '<span class="hint">加载两份捕获后显示差异（绿色为 B 新增，红色为 B 缺少）</span>';
+        return;
+    }
+    const parts = diffTokens(diffText("a"), diffText("b"));
+    let added = 0;
+    let removed = 0;
+    for (const part of parts) {
+        const el = document.createElement(part.op === "insert" ? "ins" : part.op === "delete" ? "del" : "span");
+        el.textContent = part.text;
+        diffEl.appendChild(el);
+        if (part.op === "insert") added += part.text.length;
+        if (part.op === "delete") removed += part.text.length;
+    }
+    diffStats.textContent = added || removed ? `B 新增 ${added} 字符，缺少 ${removed} 字符` : "完全一致";
+}
+
+diffTarget.addEventListener("change", renderDiff);
+updateButtons();
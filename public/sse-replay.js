@@ -0,0 +1,266 @@
+/**
+ * SSE 捕获的解析与回放分析（Worker、聊天页与调试页 debug.html 共用；纯 JS ES module，无依赖）
+ * - normalizeChunkToText：上游 data JSON → 文本片段（Workers 原生 / Chat Completions / Responses）
+ * - analyzeSse：把一份捕获（“下载原始SSE”得到的 .txt）逐条 data 重放，判定与 Worker 的规范化（createSseNormalizer）一致：
+ *   kept（进入回答）/ gated（被 <final> 提取器扣下：<final> 之前的自述、之后的文本、标签与占位）/
+ *   dropped（思考过程、Responses 的重复全文与状态事件、无正文、无法解析）/ status（/api/chat 的 meta、done 等）/
+ *   replaced（输出审核命中，整体替换）；输出审核本身与策略相关，回放时不重做
+ * - 源SSE模式的捕获是上游原文，按上面的规则过一遍提取器；/api/chat 的捕获已是规范化事件，delta 直接计入回答
+ * - diffTokens：两段文本的差异（多行按行，单行按词 / 字），调试页用来对比两份捕获
+ */
+
+import { createFinalExtractor } from "./final-extractor.js";
+
+/**
+ * @typedef {"kept" | "gated" | "dropped" | "status" | "replaced"} Verdict
+ * @typedef {{ index: number, block: number, event: string, type: string, data: string, verdict: Verdict, reason: string, piece: string, answer: string }} ReplayEntry
+ * @typedef {{ op: "equal" | "insert" | "delete", text: string }} DiffPart
+ */
+
+// /api/chat 的规范化事件名（见 ../src/index.ts “规范化 SSE 事件”）
+const STATUS_EVENTS = new Set(["meta", "done", "error", "compare", "end", "tool_call", "tool_result"]);
+
+/**
+ * 上游事件 → 文本片段；没有正文时返回 ""
+ * @param {any} obj
+ * @returns {string}
+ */
+export function normalizeChunkToText(obj) {
+    // Workers 原生统一流：{response:"..."}
+    if (typeof obj?.response === "string") return obj.response;
+
+    // OpenAI Responses：增量
+    if (obj?.type === "response.output_text.delta" && typeof obj?.delta === "string") {
+        return obj.delta;
+    }
+
+    // OpenAI Responses：完成
+    if (obj?.type === "response.completed") {
+        const out = obj?.response?.output;
+        if (Array.isArray(out)) {
+            const texts = [];
+            for (const item of out) {
+                if (typeof item?.text === "string") texts.push(item.text);
+                if (Array.isArray(item?.content)) {
+                    for (const c of item.content) {
+                        if (typeof c?.text === "string") texts.push(c.text);
+                        else if (typeof c?.data?.text === "string") texts.push(c.data.text);
+                    }
+                }
+            }
+            if (texts.length) return texts.join("");
+        }
+    }
+
+    // Chat Completions
+    const ch = obj?.choices?.[0];
+    if (ch?.delta?.content !== undefined) {
+        const content = ch.delta.content;
+        if (typeof content === "string") return content;
+        if (content && typeof content === "object") {
+            if (typeof content?.text === "string") return content.text;
+            if (typeof content?.data?.text === "string") return content.data.text;
+        }
+        return "";
+    }
+    if (typeof ch?.text === "string") return ch.text;
+    if (typeof ch?.message?.content === "string") return ch.message.content;
+
+    // 其它兼容
+    if (typeof obj?.part?.text === "string") return obj.part.text;
+    if (typeof obj?.item?.content?.[0]?.text === "string") return obj.item.content[0].text;
+
+    return "";
+}
+
+/**
+ * 逐条重放一份 SSE 捕获
+ * @param {string} raw
+ */
+export function analyzeSse(raw) {
+    /** @type {ReplayEntry[]} */
+    const entries = [];
+    const extractor = createFinalExtractor();
+    let answer = "";
+    let reasoning = "";
+    let preamble = "";
+    let sawDelta = false;
+    let normalized = false;
+    /** @type {any} */
+    let usage = null;
+
+    const blocks = String(raw || "").replace(/\r\n/g, "\n").split("\n\n").filter((b) => b.trim());
+    blocks.forEach((block, blockIndex) => {
+        const lines = block.split("\n");
+        const event = (lines.find((l) => l.startsWith("event:")) || "").slice(6).trim();
+        const dataLines = lines.filter((l) => l.trim().startsWith("data:"));
+        /** @param {Partial<ReplayEntry>} entry */
+        const add = (entry) => entries.push({
+            index: entries.length, block: blockIndex, event, type: "", data: "",
+            verdict: "dropped", reason: "", piece: "", answer: "", ...entry,
+        });
+
+        if (!dataLines.length) return add({ data: block, reason: "没有 data 行" });
+        for (const line of dataLines) {
+            const data = line.trim().replace(/^data:\s*/, "");
+            if (data === "[DONE]") { add({ data, verdict: "status", reason: "[DONE] 结束标记" }); continue; }
+
+            let obj;
+            try {
+                obj = JSON.parse(data);
+            } catch {
+                add({ data, reason: "无法解析的 JSON" });
+                continue;
+            }
+            const type = typeof obj?.type === "string" ? obj.type : "";
+
+            // /api/chat 的规范化事件：正文已在服务端提取
+            if (event === "delta" || event === "reasoning" || event === "moderation" || STATUS_EVENTS.has(event)) {
+                normalized = true;
+                if (event === "delta") {
+                    const piece = typeof obj?.response === "string" ? obj.response : "";
+                    answer += piece;
+                    add({ data, verdict: piece ? "kept" : "dropped", reason: piece ? "" : "空 delta", piece, answer: piece });
+                } else if (event === "reasoning") {
+                    reasoning += typeof obj?.text === "string" ? obj.text : "";
+                    add({ data, reason: "思考过程（reasoning 事件）", piece: obj?.text || "" });
+                } else if (event === "moderation") {
+                    answer = typeof obj?.response === "string" ? obj.response : "";
+                    add({ data, verdict: "replaced", reason: `输出审核命中：${obj?.category || "?"}`, answer });
+                } else {
+                    if (event === "done" && obj?.usage) usage = obj.usage;
+                    add({ data, verdict: "status", reason: event });
+                }
+                continue;
+            }
+
+            if (obj?.usage) usage = obj.usage;
+            // Responses 的思考过程事件
+            if (type.startsWith("response.reasoning")) {
+                const piece = type.endsWith("text.delta") && typeof obj.delta === "string" ? obj.delta : "";
+                reasoning += piece;
+                add({ data, type, reason: "思考过程（response.reasoning*）", piece });
+                continue;
+            }
+            // Chat Completions 的 delta.reasoning_content
+            const reasoningContent = obj?.choices?.[0]?.delta?.reasoning_content;
+            if (typeof reasoningContent === "string" && reasoningContent) reasoning += reasoningContent;
+            // Responses：正文只取 output_text.delta；completed 仅在没有任何增量时兜底
+            if (type.startsWith("response.") && type !== "response.output_text.delta") {
+                if (type !== "response.completed" || sawDelta) {
+                    const full = type.endsWith(".done") || type === "response.completed";
+                    add({ data, type, reason: full ? "Responses 全文事件（已由增量输出）" : "Responses 状态事件", piece: normalizeChunkToText(obj) });
+                    continue;
+                }
+            }
+
+            const piece = normalizeChunkToText(obj);
+            if (!piece) {
+                const toolCall = Array.isArray(obj?.tool_calls) || Array.isArray(obj?.choices?.[0]?.delta?.tool_calls);
+                const reason = reasoningContent ? "思考过程（reasoning_content）" : toolCall ? "工具调用（由 Worker 执行）" : obj?.usage ? "仅用量" : "没有正文";
+                add({ data, type, reason, piece: reasoningContent || "" });
+                continue;
+            }
+            if (type === "response.output_text.delta") sawDelta = true;
+
+            const out = extractor.push(piece);
+            preamble += out.preamble;
+            answer += out.answer;
+            add({
+                data,
+                type,
+                piece,
+                answer: out.answer,
+                verdict: out.answer ? "kept" : "gated",
+                reason: out.answer ? (out.answer === piece ? "" : "部分被 <final> 扣下") : gateReason(extractor, out.preamble),
+            });
+        }
+    });
+
+    // 上游原文：冲刷提取器；从未出现 <final> 时以自述过滤后的前文兜底
+    let fallback = null;
+    if (!normalized) {
+        const sawFinal = extractor.sawFinal;
+        const tail = extractor.end();
+        answer += tail.answer;
+        if (!sawFinal && tail.answer) {
+            fallback = { preamble, answer: tail.answer, removed: removedLines(preamble, tail.answer) };
+        }
+    }
+
+    /** @type {Record<Verdict, number>} */
+    const counts = { kept: 0, gated: 0, dropped: 0, status: 0, replaced: 0 };
+    for (const e of entries) counts[e.verdict]++;
+    return { format: normalized ? "normalized" : "upstream", entries, answer: answer.trim(), reasoning, fallback, usage, counts };
+}
+
+// 被扣下的原因：已有回答之后 / <final> 之前（可能在无标签兜底时用上）
+function gateReason(extractor, preamble) {
+    if (extractor.answer) return "回答之后的文本（丢弃）";
+    if (extractor.sawFinal) return "<final> 标签或占位内容";
+    return preamble ? "<final> 之前的文本（思考 / 自述）" : "标签";
+}
+
+// 兜底时被自述过滤去掉的行
+function removedLines(preamble, answer) {
+    const kept = new Set(answer.split("\n").map((l) => l.trim()));
+    return preamble.split("\n").map((l) => l.trim()).filter((l) => l && !kept.has(l));
+}
+
+const MAX_DIFF_CELLS = 1_000_000;
+
+function tokenize(text, byLine) {
+    if (byLine) return text.match(/[^\n]*\n|[^\n]+$/g) || [];
+    return text.match(/[A-Za-z0-9_]+|\s+|[\s\S]/gu) || [];
+}
+
+/**
+ * 两段文本的最长公共子序列差异；文本过长时退化为按行，仍过长则整体替换
+ * @param {string} a
+ * @param {string} b
+ * @returns {DiffPart[]}
+ */
+export function diffTokens(a, b) {
+    const multiLine = a.includes("\n") || b.includes("\n");
+    let x = tokenize(a, multiLine);
+    let y = tokenize(b, multiLine);
+    if (x.length * y.length > MAX_DIFF_CELLS && !multiLine) {
+        x = tokenize(a, true);
+        y = tokenize(b, true);
+    }
+    if (x.length * y.length > MAX_DIFF_CELLS) {
+        return merge([{ op: "delete", text: a }, { op: "insert", text: b }].filter((p) => p.text));
+    }
+
+    // lcs[i][j]：x[i..] 与 y[j..] 的最长公共子序列长度
+    const lcs = Array.from({ length: x.length + 1 }, () => new Uint32Array(y.length + 1));
+    for (let i = x.length - 1; i >= 0; i--) {
+        for (let j = y.length - 1; j >= 0; j--) {
+            lcs[i][j] = x[i] === y[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+        }
+    }
+    /** @type {DiffPart[]} */
+    const parts = [];
+    let i = 0;
+    let j = 0;
+    while (i < x.length && j < y.length) {
+        if (x[i] === y[j]) { parts.push({ op: "equal", text: x[i] }); i++; j++; }
+        else if (lcs[i + 1][j] >= lcs[i][j + 1]) parts.push({ op: "delete", text: x[i++] });
+        else parts.push({ op: "insert", text: y[j++] });
+    }
+    while (i < x.length) parts.push({ op: "delete", text: x[i++] });
+    while (j < y.length) parts.push({ op: "insert", text: y[j++] });
+    return merge(parts);
+}
+
+/** @param {DiffPart[]} parts */
+function merge(parts) {
+    /** @type {DiffPart[]} */
+    const out = [];
+    for (const p of parts) {
+        const last = out[out.length - 1];
+        if (last && last.op === p.op) last.text += p.text;
+        else out.push({ ...p });
+    }
+    return out;
+}
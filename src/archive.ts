@@ -0,0 +1,113 @@
+/**
+ * 会话导入：校验前端导出的 JSON（格式见 ../public/conversation-export.js），供 POST /api/conversations/import 还原为新会话
+ * - 保留消息树（id / parentId）、标题、模型、设置与时间戳；父消息须在子消息之前出现
+ * - 也保留回答的资料库引用（sources，仅 assistant）与消息附件描述（attachments，仅 user；图片不含数据）
+ * - 格式或版本不符、消息不合法时返回 400 invalid_import；设置不再合法（如预设已下线）时丢弃设置，不拒绝导入
+ */
+
+import { MAX_ATTACHMENTS, MAX_FILE_BYTES, type AttachmentInfo } from "./attachments";
+import { MAX_TOP_K, type Citation } from "./documents";
+import { HttpError } from "./errors";
+import { readChatSettings, type ChatSettings } from "./params";
+import type { StoredMessage } from "./conversations";
+import { EXPORT_FORMAT, EXPORT_VERSION } from "../public/conversation-export.js";
+
+export const IMPORT_MAX_MESSAGES = 2000;
+const MESSAGE_ID_MAX = 64;
+const MODEL_ID_MAX = 100;
+
+export interface ConversationArchive {
+    title: string;
+    model: string | null;
+    settings: ChatSettings | null;
+    createdAt: number;
+    updatedAt: number;
+    messages: StoredMessage[];
+}
+
+function invalid(message: string): HttpError {
+    return new HttpError(400, "invalid_import", message);
+}
+
+const isObject = (v: unknown): v is Record<string, unknown> => typeof v === "object" && v !== null && !Array.isArray(v);
+const isTime = (v: unknown): v is number => typeof v === "number" && Number.isFinite(v) && v >= 0;
+const isCount = (v: unknown): v is number => typeof v === "number" && Number.isInteger(v) && v >= 0;
+
+function readSources(raw: unknown, at: string): Citation[] {
+    const valid = Array.isArray(raw) && raw.length <= MAX_TOP_K && raw.every((c) =>
+        isObject(c) && isCount(c.index) && typeof c.documentId === "string" && typeof c.title === "string"
+        && isCount(c.chunk) && typeof c.score === "number" && Number.isFinite(c.score) && typeof c.excerpt === "string");
+    if (!valid) throw invalid(`${at}.sources must be a list of at most ${MAX_TOP_K} citations`);
+    return raw.map(({ index, documentId, title, chunk, score, excerpt }) => ({ index, documentId, title, chunk, score, excerpt }));
+}
+
+function readAttachments(raw: unknown, at: string): AttachmentInfo[] {
+    if (!Array.isArray(raw) || raw.length > MAX_ATTACHMENTS) {
+        throw invalid(`${at}.attachments must be a list of at most ${MAX_ATTACHMENTS} attachments`);
+    }
+    return raw.map((a: unknown, i: number): AttachmentInfo => {
+        if (isObject(a) && typeof a.name === "string" && isCount(a.size)) {
+            if (a.type === "image" && typeof a.mediaType === "string") {
+                return { type: "image", name: a.name, mediaType: a.mediaType, size: a.size };
+            }
+            if (a.type === "file" && typeof a.text === "string" && new TextEncoder().encode(a.text).length <= MAX_FILE_BYTES) {
+                return { type: "file", name: a.name, size: a.size, text: a.text };
+            }
+        }
+        throw invalid(`${at}.attachments[${i}] must be an image or a file of at most ${MAX_FILE_BYTES / 1024} KB`);
+    });
+}
+
+export function readConversationArchive(raw: unknown, now = Date.now()): ConversationArchive {
+    if (!isObject(raw) || raw.format !== EXPORT_FORMAT) throw invalid("Not a conversation export");
+    if (raw.version !== EXPORT_VERSION) throw invalid(`Unsupported export version: ${String(raw.version)}`);
+    const conversation = isObject(raw.conversation) ? raw.conversation : {};
+    if (!Array.isArray(raw.messages)) throw invalid("messages must be an array");
+    if (raw.messages.length > IMPORT_MAX_MESSAGES) throw invalid(`At most ${IMPORT_MAX_MESSAGES} messages can be imported`);
+
+    const seen = new Set<string>();
+    const messages = raw.messages.map((m: unknown, i: number): StoredMessage => {
+        if (!isObject(m)) throw invalid(`messages[${i}] must be an object`);
+        const { id, parentId, role, content, truncated, sources, attachments, createdAt } = m;
+        if (typeof id !== "string" || !id || id.length > MESSAGE_ID_MAX || seen.has(id)) {
+            throw invalid(`messages[${i}].id must be a unique id of at most ${MESSAGE_ID_MAX} characters`);
+        }
+        if (parentId !== null && !(typeof parentId === "string" && seen.has(parentId))) {
+            throw invalid(`messages[${i}].parentId must be null or the id of an earlier message`);
+        }
+        if (role !== "user" && role !== "assistant") throw invalid(`messages[${i}].role must be "user" or "assistant"`);
+        if (typeof content !== "string") throw invalid(`messages[${i}].content must be a string`);
+        if (sources !== undefined && role !== "assistant") throw invalid(`messages[${i}].sources is only allowed on assistant messages`);
+        if (attachments !== undefined && role !== "user") throw invalid(`messages[${i}].attachments is only allowed on user messages`);
+        const citations = sources === undefined ? [] : readSources(sources, `messages[${i}]`);
+        const files = attachments === undefined ? [] : readAttachments(attachments, `messages[${i}]`);
+        seen.add(id);
+        return {
+            id,
+            parentId,
+            role,
+            content,
+            ...(truncated === true ? { truncated: true } : {}),
+            ...(citations.length ? { sources: citations } : {}),
+            ...(files.length ? { attachments: files } : {}),
+            createdAt: isTime(createdAt) ? createdAt : now,
+        };
+    });
+
+    let settings: ChatSettings | null = null;
+    try {
+        settings = readChatSettings(conversation.settings);
+    } catch {
+        /* 预设 / 参数在本部署中不再合法：不带设置 */
+    }
+    const model = typeof conversation.model === "string" && conversation.model.length <= MODEL_ID_MAX ? conversation.model : null;
+    const createdAt = isTime(conversation.createdAt) ? conversation.createdAt : now;
+    return {
+        title: typeof conversation.title === "string" ? conversation.title : "",
+        model,
+        settings,
+        createdAt,
+        updatedAt: isTime(conversation.updatedAt) ? Math.max(conversation.updatedAt, createdAt) : now,
+        messages,
+    };
+}
@@ -0,0 +1,206 @@
+/**
+ * 消息附件：多模态 content（见 ./types 的 MessageContent）
+ * - 请求中 content 可为字符串或 parts 数组：文本、图片（base64 data URL）、文本文件（UTF-8，取正文）；
+ *   兼容 OpenAI 线格式：text / input_text / output_text、image_url / input_image、file / input_file
+ * - 限制：每条消息至多 MAX_ATTACHMENTS 个附件，图片解码后不超过 MAX_IMAGE_BYTES，文件不超过 MAX_FILE_BYTES
+ * - 图片只发给注册表中标记 vision 的模型（见 ./models）；末条 user 消息带图而模型不支持时 400 images_not_supported
+ * - 文件正文以 “Attached file” 段落并入消息文本（contentText）：合规前置检查与 token 估算都覆盖文件内容
+ * - 落库时拆成文本 + AttachmentInfo（splitContent）：图片只留名称、类型与大小，不存数据（见 ./conversations）
+ */
+
+import { HttpError } from "./errors";
+import type { ModelInfo } from "./models";
+import type { ChatMessage, ContentPart, MessageContent } from "./types";
+
+export const MAX_ATTACHMENTS = 4;
+export const MAX_IMAGE_BYTES = 2 * 1024 * 1024;
+export const MAX_FILE_BYTES = 256 * 1024;
+/** 每张图片按此 token 数计入上下文预算（粗估，见 ./context） */
+export const IMAGE_TOKENS = 800;
+export const IMAGE_TYPES = ["image/png", "image/jpeg", "image/webp", "image/gif"];
+const NAME_MAX = 120;
+const DATA_URL_RE = /^data:([\w.+-]+\/[\w.+-]+)?(;[^,]*)?,(.*)$/s;
+
+/** 落库 / 下发给前端的附件描述（图片不含数据） */
+export type AttachmentInfo =
+    | { type: "image"; name: string; mediaType: string; size: number }
+    | { type: "file"; name: string; size: number; text: string };
+
+type ImagePart = Extract<ContentPart, { type: "image_url" }>;
+
+// ---------- 请求校验 ----------
+
+/**
+ * 读取一条消息的 content；不是字符串或数组时返回 null（该消息被忽略）
+ * 只有文本的 parts 合并为字符串；其余未知 part（如 refusal）忽略
+ */
+export function readMessageContent(raw: unknown): MessageContent | null {
+    if (typeof raw === "string") return raw;
+    if (!Array.isArray(raw)) return null;
+
+    const parts: ContentPart[] = [];
+    for (const part of raw) {
+        if (typeof part === "string") {
+            parts.push({ type: "text", text: part });
+        } else if (part?.type === "image_url" || part?.type === "input_image") {
+            parts.push(readImagePart(part));
+        } else if (part?.type === "file" || part?.type === "input_file") {
+            parts.push(readFilePart(part));
+        } else if (typeof part?.text === "string") {
+            parts.push({ type: "text", text: part.text });
+        }
+    }
+    if (parts.filter((p) => p.type !== "text").length > MAX_ATTACHMENTS) {
+        throw new HttpError(400, "too_many_attachments", `A message can have at most ${MAX_ATTACHMENTS} attachments`);
+    }
+    return parts.every((p) => p.type === "text") ? textOf(parts) : parts;
+}
+
+// {type:"image_url", image_url:{url} | url} / {type:"input_image", image_url: url}
+function readImagePart(part: any): ContentPart {
+    const url = typeof part.image_url === "string" ? part.image_url : part.image_url?.url;
+    const data = typeof url === "string" ? parseDataUrl(url) : null;
+    if (!data || !data.base64 || !IMAGE_TYPES.includes(data.mediaType)) {
+        throw new HttpError(400, "invalid_attachment", "Images must be base64 data URLs (PNG, JPEG, WebP or GIF)");
+    }
+    if (base64Bytes(data.payload) > MAX_IMAGE_BYTES) {
+        throw new HttpError(413, "attachment_too_large", `Images must be at most ${MAX_IMAGE_BYTES / 1024 / 1024} MB`);
+    }
+    const name = readName(part.name, "image");
+    return { type: "image_url", image_url: { url }, name };
+}
+
+// {type:"file", file:{filename, file_data | text}} / {type:"input_file", filename, file_data}
+function readFilePart(part: any): ContentPart {
+    const source = part.file ?? part;
+    const filename = readName(source?.filename, "file.txt");
+    let text: string;
+    if (typeof source?.text === "string") {
+        if (new TextEncoder().encode(source.text).length > MAX_FILE_BYTES) throw fileTooLarge();
+        text = source.text;
+    } else if (typeof source?.file_data === "string") {
+        const data = parseDataUrl(source.file_data);
+        const payload = data ? data.payload : source.file_data;
+        const bytes = data && !data.base64 ? decodePercent(payload) : decodeBase64(payload);
+        if (bytes.length > MAX_FILE_BYTES) throw fileTooLarge();
+        text = decodeText(bytes, filename);
+    } else {
+        throw new HttpError(400, "invalid_attachment", `File attachment "${filename}" has no content`);
+    }
+    if (text.includes("\u0000")) throw notText(filename);
+    return { type: "file", file: { filename, text } };
+}
+
+function readName(raw: unknown, fallback: string): string {
+    return typeof raw === "string" && raw.trim() ? raw.trim().slice(0, NAME_MAX) : fallback;
+}
+
+function parseDataUrl(url: string): { mediaType: string; base64: boolean; payload: string } | null {
+    const match = DATA_URL_RE.exec(url);
+    if (!match) return null;
+    return { mediaType: (match[1] || "text/plain").toLowerCase(), base64: /;base64$/i.test(match[2] || ""), payload: match[3] };
+}
+
+function base64Bytes(payload: string): number {
+    const clean = payload.replace(/\s+/g, "");
+    return Math.floor(clean.length * 3 / 4) - (clean.endsWith("==") ? 2 : clean.endsWith("=") ? 1 : 0);
+}
+
+function decodeBase64(payload: string): Uint8Array {
+    try {
+        return Uint8Array.from(atob(payload.replace(/\s+/g, "")), (c) => c.charCodeAt(0));
+    } catch {
+        throw new HttpError(400, "invalid_attachment", "file_data must be base64 or a data URL");
+    }
+}
+
+function decodePercent(payload: string): Uint8Array {
+    try {
+        return new TextEncoder().encode(decodeURIComponent(payload));
+    } catch {
+        throw new HttpError(400, "invalid_attachment", "file_data must be base64 or a data URL");
+    }
+}
+
+function decodeText(bytes: Uint8Array, filename: string): string {
+    try {
+        return new TextDecoder("utf-8", { fatal: true, ignoreBOM: false }).decode(bytes);
+    } catch {
+        throw notText(filename);
+    }
+}
+
+function fileTooLarge() {
+    return new HttpError(413, "attachment_too_large", `Files must be at most ${MAX_FILE_BYTES / 1024} KB`);
+}
+
+function notText(filename: string) {
+    return new HttpError(400, "invalid_attachment", `File "${filename}" is not UTF-8 text`);
+}
+
+// ---------- 文本视图 ----------
+
+function textOf(parts: ContentPart[]): string {
+    return parts.map((p) => (p.type === "text" ? p.text : "")).join("");
+}
+
+function fileBlock(filename: string, text: string): string {
+    return `Attached file "${filename}":\n\n${text}`;
+}
+
+/** 消息的全部文本：正文 + 各文件正文（不含图片）；用于合规检查、token 估算与摘要 */
+export function contentText(content: MessageContent): string {
+    if (typeof content === "string") return content;
+    const files = content.flatMap((p) => (p.type === "file" ? [fileBlock(p.file.filename, p.file.text)] : []));
+    return [textOf(content), ...files].filter(Boolean).join("\n\n");
+}
+
+export function countImages(content: MessageContent): number {
+    return typeof content === "string" ? 0 : content.filter((p) => p.type === "image_url").length;
+}
+
+/** 落库：正文与附件描述分开保存 */
+export function splitContent(content: MessageContent): { text: string; attachments: AttachmentInfo[] } {
+    if (typeof content === "string") return { text: content, attachments: [] };
+    const attachments: AttachmentInfo[] = [];
+    for (const p of content) {
+        if (p.type === "image_url") {
+            const data = parseDataUrl(p.image_url.url);
+            attachments.push({
+                type: "image",
+                name: p.name ?? "image",
+                mediaType: data?.mediaType ?? "image/*",
+                size: data ? base64Bytes(data.payload) : 0,
+            });
+        } else if (p.type === "file") {
+            attachments.push({ type: "file", name: p.file.filename, size: new TextEncoder().encode(p.file.text).length, text: p.file.text });
+        }
+    }
+    return { text: textOf(content), attachments };
+}
+
+// ---------- 按模型转换 ----------
+
+/**
+ * 发给上游的 messages：文件并入文本；vision 模型收到 [text, image_url...] parts，其余模型只收字符串
+ * 文本模型：末条 user 消息带图时拒绝；较早消息中的图片换成一行说明
+ */
+export function adaptMessagesToModel(messages: ChatMessage[], model: ModelInfo): ChatMessage[] {
+    const lastUser = [...messages].reverse().find((m) => m.role === "user");
+    if (!model.vision && lastUser && countImages(lastUser.content)) {
+        throw new HttpError(400, "images_not_supported", `Model does not accept images: ${model.id}`);
+    }
+    return messages.map((m) => {
+        if (typeof m.content === "string") return m;
+        const text = contentText(m.content);
+        const images = m.content.filter((p): p is ImagePart => p.type === "image_url");
+        if (!images.length) return { role: m.role, content: text };
+        if (!model.vision) {
+            const notes = images.map((p) => `[Image "${p.name ?? "image"}" omitted: this model cannot view images]`);
+            return { role: m.role, content: [text, ...notes].filter(Boolean).join("\n\n") };
+        }
+        const parts: ContentPart[] = text ? [{ type: "text", text }] : [];
+        for (const p of images) parts.push({ type: "image_url", image_url: p.image_url });
+        return { role: m.role, content: parts };
+    });
+}
@@ -0,0 +1,252 @@
+/**
+ * API 密钥鉴权 + 配额（仅作用于会调用模型的路由：/api/chat、/api/chat/raw、/v1/*）
+ * - 开关：绑定了 API_KEYS（KV）或配置了 API_KEYS_JSON（secret），或 AUTH_REQUIRED="1" 时启用；否则不鉴权
+ * - 密钥：Authorization: Bearer <key>；KV 中以 "key:<SHA-256 十六进制>" 为键存 ApiKeyRecord（不落明文）
+ * - 浏览器会话：页面先 POST /api/session 取得 HttpOnly 签名 cookie（绑定 IP、仅同源可用）；
+ *   同一 IP 的所有会话共享一份较低的配额，脚本化调用公开页面无法绕过配额
+ * - 配额在 RateLimiter Durable Object 中计数（见 ./ratelimit）；超限返回 429 + Retry-After
+ * - 管理接口（/api/admin/*）与上述开关无关：只认 ADMIN_TOKEN secret；未配置时视为不存在
+ */
+
+import { HttpError } from "./errors";
+import type { Quota, RateLimiter } from "./ratelimit";
+
+export interface ApiKeyRecord {
+    id: string;
+    name?: string;
+    rpm?: number;
+    tokensPerDay?: number;
+    disabled?: boolean;
+}
+
+export interface AuthEnv {
+    /** 可选：密钥 KV，键 "key:<sha256 hex>" → ApiKeyRecord */
+    API_KEYS?: KVNamespace;
+    /** 可选 secret：[{ "key": "sk-...", "id": "...", "rpm": 60, "tokensPerDay": 500000 }] */
+    API_KEYS_JSON?: string;
+    /** "1"：未配置任何密钥时也要求鉴权（仅浏览器会话可用） */
+    AUTH_REQUIRED?: string;
+    /** 浏览器会话 cookie 的签名密钥；未配置时不签发会话 */
+    SESSION_SECRET?: string;
+    SESSION_RPM?: string;
+    SESSION_TOKENS_PER_DAY?: string;
+    /** 管理接口（/api/admin/*）的 Bearer 令牌；未配置时管理接口不存在（404） */
+    ADMIN_TOKEN?: string;
+    RATE_LIMITER: DurableObjectNamespace<RateLimiter>;
+}
+
+export interface Caller {
+    kind: "anonymous" | "key" | "session";
+    /** 配额计数主体："key:<id>" / "ip:<hash>"；anonymous 为空串 */
+    id: string;
+    quota: Quota | null;
+}
+
+const DEFAULT_KEY_QUOTA: Quota = { rpm: 60, tokensPerDay: 500_000 };
+const DEFAULT_SESSION_QUOTA: Quota = { rpm: 10, tokensPerDay: 50_000 };
+
+const SESSION_COOKIE = "sid";
+const SESSION_TTL_S = 12 * 3600;
+
+const ANONYMOUS: Caller = { kind: "anonymous", id: "", quota: null };
+
+export function isAuthEnabled(env: AuthEnv): boolean {
+    return !!(env.API_KEYS || env.API_KEYS_JSON || env.AUTH_REQUIRED === "1");
+}
+
+/** 识别调用方：Bearer 密钥优先，其次浏览器会话；均无时抛 401 */
+export async function authenticate(request: Request, env: AuthEnv): Promise<Caller> {
+    if (!isAuthEnabled(env)) return ANONYMOUS;
+
+    const bearer = (request.headers.get("Authorization") || "").match(/^Bearer\s+(\S+)$/i)?.[1];
+    if (bearer) {
+        const record = await lookupKey(env, bearer);
+        if (!record) throw unauthorized("invalid_api_key", "Invalid API key");
+        if (record.disabled) throw new HttpError(403, "api_key_disabled", "API key is disabled");
+        return {
+            kind: "key",
+            id: `key:${record.id}`,
+            quota: {
+                rpm: record.rpm ?? DEFAULT_KEY_QUOTA.rpm,
+                tokensPerDay: record.tokensPerDay ?? DEFAULT_KEY_QUOTA.tokensPerDay,
+            },
+        };
+    }
+
+    const token = readCookie(request, SESSION_COOKIE);
+    if (!token) throw unauthorized("auth_required", "API key required");
+    if (!isSameOrigin(request)) throw new HttpError(403, "cross_site_request", "Cross-site requests are not allowed");
+
+    const ipHash = await verifySession(env, token, request);
+    if (!ipHash) throw unauthorized("session_expired", "Session expired, please reload the page");
+    return { kind: "session", id: `ip:${ipHash}`, quota: sessionQuota(env) };
+}
+
+/** 记 hits 次请求（缺省一次）；超出配额抛 429（带 Retry-After） */
+export async function enforceQuota(env: AuthEnv, caller: Caller, hits = 1): Promise<void> {
+    if (!caller.quota || hits < 1) return;
+    const result = await rateLimiter(env, caller).hit(caller.quota, hits);
+    if (result.ok) return;
+
+    console.log(JSON.stringify({
+        event: "rate_limited",
+        caller: caller.id,
+        reason: result.reason,
+        retryAfter: result.retryAfter,
+        at: new Date().toISOString(),
+    }));
+    const [code, message] = result.reason === "tokens"
+        ? ["token_quota_exceeded", "Daily token quota exceeded"]
+        : ["rate_limited", "Too many requests"];
+    throw new HttpError(429, code, message, { "Retry-After": String(result.retryAfter) });
+}
+
+/** 回答结束后的 token 计费回调；无 token 配额的调用方为空操作 */
+export function createUsageMeter(env: AuthEnv, ctx: ExecutionContext, caller: Caller): (tokens: number) => void {
+    if (!caller.quota?.tokensPerDay) return () => {};
+    const limiter = rateLimiter(env, caller);
+    return (tokens: number) => {
+        ctx.waitUntil(
+            limiter.addTokens(tokens).catch((error) => console.error("Failed to record token usage:", error)),
+        );
+    };
+}
+
+// ---------- 管理接口：Authorization: Bearer <ADMIN_TOKEN> ----------
+export function authenticateAdmin(request: Request, env: AuthEnv): void {
+    if (!env.ADMIN_TOKEN) throw new HttpError(404, "not_found", "Not found");
+    const bearer = (request.headers.get("Authorization") || "").match(/^Bearer\s+(\S+)$/i)?.[1];
+    if (!bearer || !safeEqual(bearer, env.ADMIN_TOKEN)) throw unauthorized("admin_auth_required", "Admin token required");
+}
+
+// ---------- 浏览器会话：POST /api/session ----------
+export async function issueSession(request: Request, env: AuthEnv): Promise<Response> {
+    if (!isAuthEnabled(env)) return new Response(null, { status: 204 });
+    if (!env.SESSION_SECRET) {
+        throw new HttpError(403, "session_unavailable", "Browser sessions are not enabled on this deployment");
+    }
+    if (!isSameOrigin(request)) throw new HttpError(403, "cross_site_request", "Cross-site requests are not allowed");
+
+    const expires = Math.floor(Date.now() / 1000) + SESSION_TTL_S;
+    const payload = `${expires}.${await hashIp(request)}`;
+    const token = `${payload}.${await sign(env.SESSION_SECRET, payload)}`;
+    return new Response(null, {
+        status: 204,
+        headers: {
+            "Set-Cookie": `${SESSION_COOKIE}=${token}; Path=/; HttpOnly; Secure; SameSite=Strict; Max-Age=${SESSION_TTL_S}`,
+            "Cache-Control": "no-store",
+        },
+    });
+}
+
+// 返回会话绑定的 IP 摘要；签名无效、过期或 IP 变化时返回 null
+async function verifySession(env: AuthEnv, token: string, request: Request): Promise<string | null> {
+    if (!env.SESSION_SECRET) return null;
+    const [expires, ipHash, signature] = token.split(".");
+    if (!expires || !ipHash || !signature) return null;
+
+    const expected = await sign(env.SESSION_SECRET, `${expires}.${ipHash}`);
+    if (!safeEqual(signature, expected)) return null;
+    if (Number(expires) * 1000 < Date.now()) return null;
+    if (ipHash !== await hashIp(request)) return null;
+    return ipHash;
+}
+
+function sessionQuota(env: AuthEnv): Quota {
+    return {
+        rpm: numberVar(env.SESSION_RPM, DEFAULT_SESSION_QUOTA.rpm),
+        tokensPerDay: numberVar(env.SESSION_TOKENS_PER_DAY, DEFAULT_SESSION_QUOTA.tokensPerDay),
+    };
+}
+
+// 浏览器发起的同源请求：Sec-Fetch-Site 为 same-origin；旧浏览器退化为比对 Origin
+function isSameOrigin(request: Request): boolean {
+    const site = request.headers.get("Sec-Fetch-Site");
+    if (site) return site === "same-origin";
+    const origin = request.headers.get("Origin");
+    return !!origin && origin === new URL(request.url).origin;
+}
+
+// ---------- 密钥查找 ----------
+let parsedSecretKeys: { source: string; keys: (ApiKeyRecord & { hash: string })[] } | null = null;
+
+async function lookupKey(env: AuthEnv, key: string): Promise<ApiKeyRecord | null> {
+    const hash = await sha256Hex(key);
+
+    if (env.API_KEYS_JSON) {
+        const match = (await secretKeys(env.API_KEYS_JSON)).find((k) => safeEqual(k.hash, hash));
+        if (match) return match;
+    }
+    if (env.API_KEYS) {
+        const record = await env.API_KEYS.get<ApiKeyRecord>(`key:${hash}`, "json");
+        if (record?.id) return record;
+    }
+    return null;
+}
+
+async function secretKeys(source: string) {
+    if (parsedSecretKeys?.source === source) return parsedSecretKeys.keys;
+
+    let keys: (ApiKeyRecord & { hash: string })[] = [];
+    try {
+        const list = JSON.parse(source);
+        if (!Array.isArray(list)) throw new Error("API_KEYS_JSON must be an array");
+        keys = await Promise.all(
+            list
+                .filter((k: any) => typeof k?.key === "string" && k.key && typeof k?.id === "string")
+                .map(async ({ key, ...record }: any) => ({ ...record, hash: await sha256Hex(key) })),
+        );
+    } catch (error) {
+        console.error("Invalid API_KEYS_JSON, no secret keys loaded:", error);
+    }
+    parsedSecretKeys = { source, keys };
+    return keys;
+}
+
+// ---------- 工具 ----------
+function rateLimiter(env: AuthEnv, caller: Caller) {
+    return env.RATE_LIMITER.get(env.RATE_LIMITER.idFromName(caller.id));
+}
+
+function unauthorized(code: string, message: string): HttpError {
+    return new HttpError(401, code, message, { "WWW-Authenticate": "Bearer" });
+}
+
+function readCookie(request: Request, name: string): string | null {
+    const cookie = request.headers.get("Cookie") || "";
+    return cookie.match(new RegExp(`(?:^|;\\s*)${name}=([^;]+)`))?.[1] ?? null;
+}
+
+function numberVar(value: string | undefined, fallback: number): number {
+    const n = Number(value);
+    return value !== undefined && value !== "" && Number.isFinite(n) && n >= 0 ? n : fallback;
+}
+
+async function hashIp(request: Request): Promise<string> {
+    return (await sha256Hex(request.headers.get("CF-Connecting-IP") || "")).slice(0, 32);
+}
+
+async function sha256Hex(text: string): Promise<string> {
+    const digest = await crypto.subtle.digest("SHA-256", new TextEncoder().encode(text));
+    return toHex(digest);
+}
+
+async function sign(secret: string, payload: string): Promise<string> {
+    const encoder = new TextEncoder();
+    const key = await crypto.subtle.importKey(
+        "raw", encoder.encode(secret), { name: "HMAC", hash: "SHA-256" }, false, ["sign"],
+    );
+    return toHex(await crypto.subtle.sign("HMAC", key, encoder.encode(payload)));
+}
+
+function toHex(buffer: ArrayBuffer): string {
+    return [...new Uint8Array(buffer)].map((b) => b.toString(16).padStart(2, "0")).join("");
+}
+
+export function safeEqual(a: string, b: string): boolean {
+    const encoder = new TextEncoder();
+    const x = encoder.encode(a);
+    const y = encoder.encode(b);
+    if (x.byteLength !== y.byteLength) return false;
+    return crypto.subtle.timingSafeEqual(x, y);
+}
@@ -0,0 +1,113 @@
+/**
+ * 回答缓存：相同的确定性请求直接回放上次的回答，不再调用模型
+ * - 开启：绑定 RESPONSE_CACHE（KV，见 wrangler.jsonc）；条目 TTL 为 RESPONSE_CACHE_TTL 秒（缺省 1 小时，KV 下限 60 秒）
+ * - 只缓存确定性的请求：生效的 temperature 为 0，且不启用工具、不下发思考过程（由调用方判断）；请求体 cache: false 时跳过
+ * - 键：调用方范围 + 模型 + 生效策略的内容指纹 + 发给上游的完整参数（system 指令、截断 / 摘要后的 messages、生成参数）的 SHA-256；
+ *   策略内容一变即换键，旧条目不再命中、随 TTL 过期
+ * - 按调用方隔离：范围为 API 密钥或访客 cid（由调用方给出），一个调用方的回答不会回放给另一个；没有范围时不缓存
+ * - 只存正常结束且有正文的回答；命中时 /api/chat 回放为 meta → delta → done（meta.cached 为 true），
+ *   /api/chat/raw 回放为 sseFromFinalText；两者都带响应头 X-Cache: HIT / MISS（见 ./index）
+ * - 清空：POST /api/admin/cache/purge（需 ADMIN_TOKEN，见 ./auth）
+ */
+
+import { HttpError } from "./errors";
+import type { AppliedParams } from "./params";
+import type { CompliancePolicy } from "./policy";
+import type { TokenUsage } from "./types";
+
+const KEY_PREFIX = "resp:";
+const DEFAULT_TTL_S = 3600;
+const MIN_TTL_S = 60;
+// 键格式变化时递增，旧条目随之失效
+const KEY_VERSION = 2;
+
+export interface CacheEnv {
+    /** 回答缓存 KV（见 wrangler.jsonc）；未绑定时不缓存 */
+    RESPONSE_CACHE?: KVNamespace;
+    /** 条目 TTL（秒） */
+    RESPONSE_CACHE_TTL?: string;
+}
+
+export interface CachedAnswer {
+    /** 回答正文（已去掉 <final> 标签） */
+    text: string;
+    /** 生成该回答时的用量 */
+    usage: TokenUsage;
+    model: string;
+    createdAt: number;
+}
+
+interface CacheKeyInput {
+    /** 调用方范围（"key:<id>" / "cid:<访客>"）；null 表示无法识别调用方，不缓存 */
+    scope: string | null;
+    model: string;
+    policy: CompliancePolicy;
+    /** 发给 env.AI.run 的参数 */
+    aiParams: unknown;
+    params: AppliedParams;
+}
+
+/** 请求体 cache：缺省 true；false 表示本次不读也不写缓存 */
+export function readCacheOption(raw: unknown): boolean {
+    if (raw == null) return true;
+    if (typeof raw !== "boolean") throw new HttpError(400, "invalid_parameter", "cache must be a boolean");
+    return raw;
+}
+
+/** 可缓存时返回条目的键；未开启缓存或参数不确定时返回 null */
+export async function responseCacheKey(env: CacheEnv, input: CacheKeyInput): Promise<string | null> {
+    if (!env.RESPONSE_CACHE || !input.scope || input.params.temperature !== 0) return null;
+    const source = JSON.stringify([KEY_VERSION, input.scope, input.model, policyFingerprint(input.policy), input.aiParams]);
+    return KEY_PREFIX + await sha256Hex(source);
+}
+
+// 策略的全部生效内容（提示词、规则、拒绝话术、模型与工具限制）；RegExp 按源码与标志序列化
+function policyFingerprint(policy: CompliancePolicy): string {
+    return JSON.stringify(policy, (_key, value) => (value instanceof RegExp ? `/${value.source}/${value.flags}` : value));
+}
+
+// 缓存读写失败不影响回答：只记日志，按未命中处理
+export async function readCachedAnswer(env: CacheEnv, key: string): Promise<CachedAnswer | null> {
+    try {
+        const entry = await env.RESPONSE_CACHE?.get<CachedAnswer>(key, "json");
+        return typeof entry?.text === "string" && entry.text.trim() ? entry : null;
+    } catch (error) {
+        console.error("Failed to read response cache:", error);
+        return null;
+    }
+}
+
+export async function writeCachedAnswer(env: CacheEnv, key: string, answer: CachedAnswer): Promise<void> {
+    try {
+        await env.RESPONSE_CACHE?.put(key, JSON.stringify(answer), { expirationTtl: cacheTtl(env) });
+    } catch (error) {
+        console.error("Failed to write response cache:", error);
+    }
+}
+
+function cacheTtl(env: CacheEnv): number {
+    const ttl = Number(env.RESPONSE_CACHE_TTL);
+    if (!env.RESPONSE_CACHE_TTL || !Number.isFinite(ttl)) return DEFAULT_TTL_S;
+    return Math.max(MIN_TTL_S, Math.floor(ttl));
+}
+
+// ---------- 清空：POST /api/admin/cache/purge ----------
+/** 删除全部条目，返回删除数；KV 的列举最终一致，刚写入的条目可能要稍后才能被清掉 */
+export async function purgeResponseCache(env: CacheEnv): Promise<number> {
+    const kv = env.RESPONSE_CACHE;
+    if (!kv) throw new HttpError(404, "cache_not_enabled", "Response cache is not enabled");
+    let purged = 0;
+    let cursor: string | undefined;
+    do {
+        const page = await kv.list({ prefix: KEY_PREFIX, cursor });
+        await Promise.all(page.keys.map((k) => kv.delete(k.name)));
+        purged += page.keys.length;
+        cursor = page.list_complete ? undefined : page.cursor;
+    } while (cursor);
+    return purged;
+}
+
+async function sha256Hex(text: string): Promise<string> {
+    const digest = await crypto.subtle.digest("SHA-256", new TextEncoder().encode(text));
+    return [...new Uint8Array(digest)].map((b) => b.toString(16).padStart(2, "0")).join("");
+}
@@ -0,0 +1,66 @@
+/**
+ * 多模型对比（POST /api/chat/compare，流程见 ./index 的“多模型对比”）
+ * - 同一问题并行发给 2–4 个模型；各路的规范化事件 data 带 model 标签，交错复用到同一条 SSE
+ * - 全部结束后，各路结果（回答、首字 / 总耗时、用量）作为一条 ComparisonRecord 存入访客的 ConversationStore
+ * - 投票：POST /api/chat/compare/:id/vote {preferred: <模型 ID> | "tie"}，可改票
+ * - 导出：GET /api/chat/compare/votes → JSONL（一行一条已投票的 ComparisonRecord，按投票时间），供模型选型评审
+ */
+
+import { HttpError } from "./errors";
+import type { AppliedParams } from "./params";
+import type { FinishReason, TokenUsage } from "./types";
+
+export const COMPARE_MIN_MODELS = 2;
+export const COMPARE_MAX_MODELS = 4;
+
+/** 平手（两个都好 / 都不好）时的 preferred 取值 */
+export const TIE = "tie";
+
+export interface ComparisonResult {
+    model: string;
+    answer: string;
+    finishReason: FinishReason;
+    usage: TokenUsage;
+    /** 请求发出到首个 delta 的毫秒数；没有任何输出时为 null */
+    firstTokenMs: number | null;
+    totalMs: number;
+    /** 该模型实际使用的生成参数（见 ./params） */
+    params: AppliedParams;
+}
+
+export interface ComparisonRecord {
+    id: string;
+    prompt: string;
+    policy: string;
+    preset: string | null;
+    results: ComparisonResult[];
+    /** 更好的回答所属的模型 ID，或 "tie"；未投票为 null */
+    preferred: string | null;
+    createdAt: number;
+    votedAt: number | null;
+}
+
+// 请求体 models：2–4 个不重复的模型 ID（是否可用由构参时按地区 / 策略校验）
+export function readCompareModels(raw: unknown): string[] {
+    if (!Array.isArray(raw) || raw.some((m) => typeof m !== "string" || !m)) {
+        throw new HttpError(400, "invalid_models", "models must be an array of model ids");
+    }
+    const ids = [...new Set(raw as string[])];
+    if (ids.length < COMPARE_MIN_MODELS || ids.length > COMPARE_MAX_MODELS) {
+        throw new HttpError(400, "invalid_models", `Compare ${COMPARE_MIN_MODELS}–${COMPARE_MAX_MODELS} different models`);
+    }
+    return ids;
+}
+
+// 投票 {preferred}：须为本次对比中的模型或 "tie"
+export function readVote(raw: unknown, record: ComparisonRecord): string {
+    const preferred = (raw as { preferred?: unknown } | null)?.preferred;
+    if (typeof preferred !== "string" || (preferred !== TIE && !record.results.some((r) => r.model === preferred))) {
+        throw new HttpError(400, "invalid_vote", `preferred must be one of the compared models or "${TIE}"`);
+    }
+    return preferred;
+}
+
+export function toJsonl(records: ComparisonRecord[]): string {
+    return records.map((r) => `${JSON.stringify(r)}\n`).join("");
+}
@@ -0,0 +1,267 @@
+/**
+ * 上下文窗口管理：按模型估算 token、为输出预留空间、较早轮次自动摘要
+ * - 预算 = 上下文窗口 − 输出预留（模型 maxOutputTokens）− system 提示
+ * - strategy "summarize"（默认）：历史超过预算的 summarizeAt（默认 0.75）时，较早轮次由廉价模型
+ *   （SUMMARY_MODEL_ID）压缩成一条“前情摘要” system 消息，最近的轮次保留约半个预算；摘要失败时退化为截断
+ * - strategy "truncate"：超出预算时直接丢弃最早的轮次
+ * - 带 conversationId 时摘要缓存在会话中（running summary）：下次只把新移出窗口的轮次并入已有摘要
+ * - ContextReport 报告被摘要 / 丢弃的消息下标（基于清洗后的 messages，不含无效条目）
+ */
+
+import { contentText, countImages, IMAGE_TOKENS } from "./attachments";
+import { HttpError } from "./errors";
+import { SUMMARY_MODEL_ID, type ModelInfo } from "./models";
+import type { ChatMessage, MessageContent } from "./types";
+
+export type ContextStrategy = "summarize" | "truncate";
+
+export interface ContextOptions {
+    strategy: ContextStrategy;
+    /** 历史占预算的比例超过该值时开始摘要（0.1–1） */
+    summarizeAt: number;
+}
+
+export interface ContextReport {
+    strategy: ContextStrategy;
+    /** 历史（含 system 消息）可用的 token 预算 */
+    budget: number;
+    /** 发给模型的输入 token 估算（含合规 system 提示与摘要） */
+    promptTokens: number;
+    /** 被并入摘要的消息下标 */
+    summarized: number[];
+    /** 未摘要、直接丢弃的消息下标 */
+    dropped: number[];
+    /** 本次调用摘要模型消耗的 token（复用缓存时为 0） */
+    summaryTokens: number;
+}
+
+export interface RunningSummary {
+    /** 摘要覆盖的（非 system）消息条数，从头算起 */
+    covered: number;
+    /** 被覆盖消息的 SHA-256，历史被改写时缓存失效 */
+    hash: string;
+    summary: string;
+}
+
+export interface SummaryCache {
+    get(): Promise<RunningSummary | null>;
+    set(summary: RunningSummary): Promise<unknown>;
+}
+
+export const DEFAULT_CONTEXT_OPTIONS: ContextOptions = { strategy: "summarize", summarizeAt: 0.75 };
+
+// 摘要后保留的最近轮次约占预算的比例
+const KEEP_RATIO = 0.5;
+// 末条消息过长时，输出至少保留这么多 token
+const MIN_OUTPUT_TOKENS = 256;
+const SUMMARY_MAX_TOKENS = 512;
+// 送去摘要的文本上限（单条 / 总计字符数；总计超出时保留较新的部分）
+const SUMMARY_MESSAGE_CHARS = 4_000;
+const SUMMARY_INPUT_CHARS = 24_000;
+
+const SUMMARY_PROMPT =
+    "You maintain a running summary of a chat between a user and an assistant. " +
+    "Merge the earlier summary (if any) with the new turns into one updated summary. " +
+    "Keep facts, decisions, names, numbers, code identifiers, user preferences and open questions. " +
+    "Write in the language of the conversation, at most 200 words. Output only the summary.";
+const SUMMARY_HEADER = "Summary of the earlier conversation (older turns were condensed to save context):";
+
+// 请求体 context 字段：{ strategy?: "summarize" | "truncate", summarizeAt?: number }
+export function parseContextOptions(raw: unknown): ContextOptions {
+    if (raw == null) return DEFAULT_CONTEXT_OPTIONS;
+    if (typeof raw !== "object" || Array.isArray(raw)) {
+        throw new HttpError(400, "invalid_context", "context must be an object");
+    }
+    const { strategy, summarizeAt } = raw as { strategy?: unknown; summarizeAt?: unknown };
+    if (strategy !== undefined && strategy !== "summarize" && strategy !== "truncate") {
+        throw new HttpError(400, "invalid_context", 'context.strategy must be "summarize" or "truncate"');
+    }
+    if (summarizeAt !== undefined && !(typeof summarizeAt === "number" && summarizeAt >= 0.1 && summarizeAt <= 1)) {
+        throw new HttpError(400, "invalid_context", "context.summarizeAt must be a number between 0.1 and 1");
+    }
+    return {
+        strategy: strategy ?? DEFAULT_CONTEXT_OPTIONS.strategy,
+        summarizeAt: summarizeAt ?? DEFAULT_CONTEXT_OPTIONS.summarizeAt,
+    };
+}
+
+// 粗略估算：CJK 按模型的每字 token 数，其余按模型的每 token 字符数；+4 为每条消息的角色开销
+export function estimateTokens(text: string, model?: Pick<ModelInfo, "charsPerToken" | "cjkTokensPerChar">): number {
+    const s = text || "";
+    const cjk = (s.match(/[\u3000-\u9fff\uac00-\ud7af\uff00-\uffef]/g) || []).length;
+    const cjkTokens = Math.ceil(cjk * (model?.cjkTokensPerChar ?? 1));
+    return cjkTokens + Math.ceil((s.length - cjk) / (model?.charsPerToken ?? 4)) + 4;
+}
+
+// 多模态消息：文本（含附件文件正文）+ 每张图片 IMAGE_TOKENS
+export function estimateContentTokens(content: MessageContent, model?: Pick<ModelInfo, "charsPerToken" | "cjkTokensPerChar">): number {
+    return estimateTokens(contentText(content), model) + countImages(content) * IMAGE_TOKENS;
+}
+
+interface Turn {
+    index: number;
+    message: ChatMessage;
+    tokens: number;
+}
+
+export interface FitContextInput {
+    ai: { run(model: string, params: unknown): Promise<unknown> };
+    model: ModelInfo;
+    systemPrompt: string;
+    messages: ChatMessage[];
+    options: ContextOptions;
+    /** 会话的摘要缓存；无会话时为 undefined */
+    cache?: SummaryCache;
+    /** false：不调用摘要模型（如输入已被合规拦截），超出预算时直接截断 */
+    allowSummary?: boolean;
+}
+
+export interface FittedContext {
+    /** 处理后的历史（system 消息在前，摘要作为其后的一条 system 消息） */
+    messages: ChatMessage[];
+    /** 本次请求的最大输出 token（末条消息过长时缩小，但不低于 MIN_OUTPUT_TOKENS） */
+    maxOutputTokens: number;
+    report: ContextReport;
+}
+
+export async function fitContext(input: FitContextInput): Promise<FittedContext> {
+    const { model, options } = input;
+    const count = (content: MessageContent) => estimateContentTokens(content, model);
+
+    const system: ChatMessage[] = [];
+    const turns: Turn[] = [];
+    input.messages.forEach((message, index) => {
+        if (message.role === "system") system.push(message);
+        else turns.push({ index, message, tokens: count(message.content) });
+    });
+
+    const systemTokens = system.reduce((n, m) => n + count(m.content), count(input.systemPrompt));
+    const budget = Math.max(0, model.contextTokens - model.maxOutputTokens - systemTokens);
+    const total = turns.reduce((n, t) => n + t.tokens, 0);
+
+    let kept = turns;
+    let summary = "";
+    let summarized: Turn[] = [];
+    let summaryTokens = 0;
+
+    const wantSummary = options.strategy === "summarize" && input.allowSummary !== false;
+    if (wantSummary && total > budget * options.summarizeAt && turns.length > 1) {
+        const recent = takeRecent(turns, budget * KEEP_RATIO);
+        const older = turns.slice(0, turns.length - recent.length);
+        if (older.length) {
+            const result = await summarize(input, older);
+            if (result) {
+                summary = result.summary;
+                summaryTokens = result.tokens;
+                summarized = older;
+                kept = recent;
+            }
+        }
+    }
+
+    // 摘要之后（或截断策略 / 摘要失败时）仍超出预算：从最早的轮次开始丢弃
+    const summaryMessage: ChatMessage | null = summary
+        ? { role: "system", content: `${SUMMARY_HEADER}\n${summary}` }
+        : null;
+    const historyBudget = budget - (summaryMessage ? count(summaryMessage.content) : 0);
+    const fitted = takeRecent(kept, historyBudget);
+    const dropped = kept.slice(0, kept.length - fitted.length);
+
+    const messages = [...system, ...(summaryMessage ? [summaryMessage] : []), ...fitted.map((t) => t.message)];
+    const promptTokens = messages.reduce((n, m) => n + count(m.content), count(input.systemPrompt));
+    const maxOutputTokens = Math.min(
+        model.maxOutputTokens,
+        Math.max(MIN_OUTPUT_TOKENS, model.contextTokens - promptTokens),
+    );
+
+    return {
+        messages,
+        maxOutputTokens,
+        report: {
+            strategy: options.strategy,
+            budget,
+            promptTokens,
+            summarized: summarized.map((t) => t.index),
+            dropped: dropped.map((t) => t.index),
+            summaryTokens,
+        },
+    };
+}
+
+// 从最新一轮往前保留到预算用完；最后一条无论多长都保留；须以 user 开头，避免孤立的 assistant 回复
+function takeRecent(turns: Turn[], budget: number): Turn[] {
+    let used = 0;
+    let start = turns.length;
+    while (start > 0) {
+        const cost = turns[start - 1].tokens;
+        if (start < turns.length && used + cost > budget) break;
+        used += cost;
+        start--;
+    }
+    while (start < turns.length - 1 && turns[start].message.role !== "user") start++;
+    return turns.slice(start);
+}
+
+// ---------- 摘要（running summary） ----------
+async function summarize(input: FitContextInput, older: Turn[]): Promise<{ summary: string; tokens: number } | null> {
+    const messages = older.map((t) => t.message);
+    const hash = await hashMessages(messages);
+
+    let previous: RunningSummary | null = null;
+    try {
+        previous = (await input.cache?.get()) ?? null;
+    } catch (error) {
+        console.error("Failed to read running summary:", error);
+    }
+    // 缓存覆盖的前缀须与本次历史一致（历史被编辑 / 换了会话时作废）
+    if (previous && (previous.covered > messages.length ||
+        previous.hash !== await hashMessages(messages.slice(0, previous.covered)))) {
+        previous = null;
+    }
+    if (previous?.covered === messages.length) return { summary: previous.summary, tokens: 0 };
+
+    const fresh = messages.slice(previous?.covered ?? 0);
+    const prompt = [
+        previous ? `Earlier summary:\n${previous.summary}` : "",
+        `New turns:\n${transcript(fresh)}`,
+    ].filter(Boolean).join("\n\n");
+
+    let summary = "";
+    try {
+        const result: any = await input.ai.run(SUMMARY_MODEL_ID, {
+            messages: [
+                { role: "system", content: SUMMARY_PROMPT },
+                { role: "user", content: prompt },
+            ],
+            max_tokens: SUMMARY_MAX_TOKENS,
+        });
+        summary = typeof result?.response === "string" ? result.response.trim() : "";
+    } catch (error) {
+        console.error("Summary model failed, falling back to truncation:", error);
+        return null;
+    }
+    if (!summary) return null;
+
+    try {
+        await input.cache?.set({ covered: messages.length, hash, summary });
+    } catch (error) {
+        console.error("Failed to store running summary:", error);
+    }
+    return { summary, tokens: estimateTokens(SUMMARY_PROMPT + prompt) + estimateTokens(summary) };
+}
+
+function transcript(messages: ChatMessage[]): string {
+    const lines = messages.map((m) => {
+        const text = contentText(m.content);
+        const content = text.length > SUMMARY_MESSAGE_CHARS ? `${text.slice(0, SUMMARY_MESSAGE_CHARS)}…` : text;
+        return `${m.role === "user" ? "User" : "Assistant"}: ${content}`;
+    });
+    const text = lines.join("\n\n");
+    return text.length > SUMMARY_INPUT_CHARS ? `…${text.slice(-SUMMARY_INPUT_CHARS)}` : text;
+}
+
+async function hashMessages(messages: ChatMessage[]): Promise<string> {
+    const data = new TextEncoder().encode(JSON.stringify(messages.map((m) => [m.role, m.content])));
+    const digest = await crypto.subtle.digest("SHA-256", data);
+    return [...new Uint8Array(digest)].map((b) => b.toString(16).padStart(2, "0")).join("");
+}
@@ -0,0 +1,429 @@
+/**
+ * 服务端会话存储（Durable Object，SQLite 后端）
+ * - 每个访客（cid cookie）对应一个 ConversationStore 实例，内含其全部会话
+ * - Worker 通过 RPC 调用：list / create / importConversation / exists / hasMessage / get / remove / append / updateSettings / getSummary / setSummary，
+ *   以及多模型对比的 saveComparison / voteComparison / listVotedComparisons
+ * - 消息是一棵树：每条消息有 id 与 parentId，“重新生成” / “编辑后重发”在同一父消息下新增兄弟分支；
+ *   get 按写入顺序返回全部分支，由前端（public/message-tree.js）还原当前分支
+ * - summaries：较早轮次的 running summary（见 ./context），每个会话一行
+ * - conversations.settings：设置面板按会话保存的预设与生成参数（JSON，见 ./params 的 ChatSettings）
+ * - comparisons：多模型对比的结果与投票（见 ./compare），只保留最近 COMPARISONS_MAX 条
+ * - documents：资料库文档登记（addDocument / listDocuments / hasCollection / removeDocument，向量本身在 Vectorize，见 ./documents）
+ * - messages.sources：带资料库检索的回答所引用的片段（JSON，见 ./documents 的 Citation）
+ * - messages.attachments：user 消息的附件描述（JSON，见 ./attachments 的 AttachmentInfo；图片不存数据）
+ */
+
+import { DurableObject } from "cloudflare:workers";
+import type { ConversationArchive } from "./archive";
+import type { AttachmentInfo } from "./attachments";
+import type { ComparisonRecord } from "./compare";
+import type { RunningSummary } from "./context";
+import type { Citation, StoredDocument } from "./documents";
+import type { ChatSettings } from "./params";
+import type { ChatMessage } from "./types";
+
+export interface ConversationSummary {
+    id: string;
+    title: string;
+    model: string | null;
+    settings: ChatSettings | null;
+    createdAt: number;
+    updatedAt: number;
+}
+
+export interface StoredTurnMessage extends ChatMessage {
+    /** 正文；附件见 attachments */
+    content: string;
+    /** 生成被用户中断（停止 / 断开）时为 true */
+    truncated?: boolean;
+    /** 消息 ID；缺省时生成。已存在的 ID 不重复写入（如失败后重试同一条 user 消息） */
+    id?: string;
+    /** 父消息 ID，null 为根；缺省时接在上一条之后（同批的前一条，或会话中最后写入的一条） */
+    parentId?: string | null;
+    /** 回答引用的资料库片段（仅 assistant 消息，见 ./documents） */
+    sources?: Citation[];
+    /** 消息附带的图片 / 文件（仅 user 消息，见 ./attachments） */
+    attachments?: AttachmentInfo[];
+}
+
+export interface StoredMessage extends StoredTurnMessage {
+    id: string;
+    parentId: string | null;
+    createdAt: number;
+}
+
+export interface Conversation extends ConversationSummary {
+    messages: StoredMessage[];
+}
+
+const TITLE_MAX = 40;
+const COMPARISONS_MAX = 200;
+
+type ComparisonRow = {
+    id: string;
+    prompt: string;
+    policy: string;
+    preset: string | null;
+    results: string;
+    preferred: string | null;
+    created_at: number;
+    voted_at: number | null;
+};
+
+type DocumentRow = {
+    id: string;
+    collection: string;
+    title: string;
+    chunks: number;
+    chars: number;
+    created_at: number;
+};
+
+type ConversationRow = {
+    id: string;
+    title: string;
+    model: string | null;
+    settings: string | null;
+    created_at: number;
+    updated_at: number;
+};
+
+export class ConversationStore extends DurableObject {
+    constructor(ctx: DurableObjectState, env: unknown) {
+        super(ctx, env);
+        ctx.storage.sql.exec(`
+            CREATE TABLE IF NOT EXISTS conversations (
+                id TEXT PRIMARY KEY,
+                title TEXT NOT NULL DEFAULT '',
+                model TEXT,
+                created_at INTEGER NOT NULL,
+                updated_at INTEGER NOT NULL
+            );
+            CREATE TABLE IF NOT EXISTS messages (
+                seq INTEGER PRIMARY KEY AUTOINCREMENT,
+                conversation_id TEXT NOT NULL,
+                role TEXT NOT NULL,
+                content TEXT NOT NULL,
+                created_at INTEGER NOT NULL
+            );
+            CREATE INDEX IF NOT EXISTS messages_by_conversation ON messages (conversation_id, seq);
+            CREATE TABLE IF NOT EXISTS summaries (
+                conversation_id TEXT PRIMARY KEY,
+                covered INTEGER NOT NULL,
+                hash TEXT NOT NULL,
+                summary TEXT NOT NULL,
+                updated_at INTEGER NOT NULL
+            );
+            CREATE TABLE IF NOT EXISTS comparisons (
+                id TEXT PRIMARY KEY,
+                prompt TEXT NOT NULL,
+                policy TEXT NOT NULL,
+                preset TEXT,
+                results TEXT NOT NULL,
+                preferred TEXT,
+                created_at INTEGER NOT NULL,
+                voted_at INTEGER
+            );
+            CREATE TABLE IF NOT EXISTS documents (
+                id TEXT PRIMARY KEY,
+                collection TEXT NOT NULL,
+                title TEXT NOT NULL,
+                chunks INTEGER NOT NULL,
+                chars INTEGER NOT NULL,
+                created_at INTEGER NOT NULL
+            );
+            CREATE INDEX IF NOT EXISTS documents_by_collection ON documents (collection, created_at);
+        `);
+        // v2：messages.truncated（早期实例的表中没有该列）
+        const columns = ctx.storage.sql.exec<{ name: string }>("PRAGMA table_info(messages)").toArray();
+        if (!columns.some((c) => c.name === "truncated")) {
+            ctx.storage.sql.exec("ALTER TABLE messages ADD COLUMN truncated INTEGER NOT NULL DEFAULT 0");
+        }
+        // v4：messages.node_id / parent_id（消息树）；已有消息按写入顺序串成一条链
+        if (!columns.some((c) => c.name === "node_id")) {
+            ctx.storage.sql.exec(`
+                ALTER TABLE messages ADD COLUMN node_id TEXT;
+                ALTER TABLE messages ADD COLUMN parent_id TEXT;
+                UPDATE messages SET node_id = 'm' || seq;
+                UPDATE messages SET parent_id = (
+                    SELECT 'm' || MAX(p.seq) FROM messages p
+                    WHERE p.conversation_id = messages.conversation_id AND p.seq < messages.seq
+                );
+            `);
+        }
+        ctx.storage.sql.exec("CREATE INDEX IF NOT EXISTS messages_by_node ON messages (conversation_id, node_id)");
+        // v5：messages.sources（资料库引用）
+        if (!columns.some((c) => c.name === "sources")) {
+            ctx.storage.sql.exec("ALTER TABLE messages ADD COLUMN sources TEXT");
+        }
+        // v6：messages.attachments（消息附件）
+        if (!columns.some((c) => c.name === "attachments")) {
+            ctx.storage.sql.exec("ALTER TABLE messages ADD COLUMN attachments TEXT");
+        }
+        // v3：conversations.settings
+        const conversationColumns = ctx.storage.sql.exec<{ name: string }>("PRAGMA table_info(conversations)").toArray();
+        if (!conversationColumns.some((c) => c.name === "settings")) {
+            ctx.storage.sql.exec("ALTER TABLE conversations ADD COLUMN settings TEXT");
+        }
+    }
+
+    list(): ConversationSummary[] {
+        return this.ctx.storage.sql
+            .exec<ConversationRow>("SELECT * FROM conversations ORDER BY updated_at DESC")
+            .toArray()
+            .map(toSummary);
+    }
+
+    create(init: { title?: string; model?: string; settings?: ChatSettings | null } = {}): ConversationSummary {
+        const now = Date.now();
+        const row: ConversationRow = {
+            id: crypto.randomUUID(),
+            title: (init.title || "").slice(0, TITLE_MAX),
+            model: init.model ?? null,
+            settings: init.settings ? JSON.stringify(init.settings) : null,
+            created_at: now,
+            updated_at: now,
+        };
+        this.ctx.storage.sql.exec(
+            "INSERT INTO conversations (id, title, model, settings, created_at, updated_at) VALUES (?, ?, ?, ?, ?, ?)",
+            row.id, row.title, row.model, row.settings, row.created_at, row.updated_at,
+        );
+        return toSummary(row);
+    }
+
+    /** 由导出文件还原为新会话（新 ID；消息树、设置与时间戳原样保留，见 ./archive） */
+    importConversation(archive: ConversationArchive): ConversationSummary {
+        const row: ConversationRow = {
+            id: crypto.randomUUID(),
+            title: archive.title.slice(0, TITLE_MAX),
+            model: archive.model,
+            settings: archive.settings ? JSON.stringify(archive.settings) : null,
+            created_at: archive.createdAt,
+            updated_at: archive.updatedAt,
+        };
+        this.ctx.storage.transactionSync(() => {
+            this.ctx.storage.sql.exec(
+                "INSERT INTO conversations (id, title, model, settings, created_at, updated_at) VALUES (?, ?, ?, ?, ?, ?)",
+                row.id, row.title, row.model, row.settings, row.created_at, row.updated_at,
+            );
+            for (const m of archive.messages) {
+                this.ctx.storage.sql.exec(
+                    "INSERT INTO messages (conversation_id, node_id, parent_id, role, content, truncated, sources, attachments, created_at) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)",
+                    row.id, m.id, m.parentId, m.role, m.content, m.truncated ? 1 : 0,
+                    m.sources?.length ? JSON.stringify(m.sources) : null,
+                    m.attachments?.length ? JSON.stringify(m.attachments) : null, m.createdAt,
+                );
+            }
+        });
+        return toSummary(row);
+    }
+
+    exists(id: string): boolean {
+        return !!this.findRow(id);
+    }
+
+    /** 消息是否属于该会话（校验分支的落点） */
+    hasMessage(id: string, messageId: string): boolean {
+        return !!this.findMessage(id, messageId);
+    }
+
+    get(id: string): Conversation | null {
+        const row = this.findRow(id);
+        if (!row) return null;
+        const messages = this.ctx.storage.sql
+            .exec<{ node_id: string; parent_id: string | null; role: string; content: string; truncated: number; sources: string | null; attachments: string | null; created_at: number }>(
+                "SELECT node_id, parent_id, role, content, truncated, sources, attachments, created_at FROM messages WHERE conversation_id = ? ORDER BY seq",
+                id,
+            )
+            .toArray()
+            .map((m) => ({
+                id: m.node_id,
+                parentId: m.parent_id,
+                role: m.role as ChatMessage["role"],
+                content: m.content,
+                ...(m.truncated ? { truncated: true } : {}),
+                ...(m.sources ? { sources: JSON.parse(m.sources) as Citation[] } : {}),
+                ...(m.attachments ? { attachments: JSON.parse(m.attachments) as AttachmentInfo[] } : {}),
+                createdAt: m.created_at,
+            }));
+        return { ...toSummary(row), messages };
+    }
+
+    remove(id: string): boolean {
+        if (!this.findRow(id)) return false;
+        this.ctx.storage.sql.exec("DELETE FROM messages WHERE conversation_id = ?", id);
+        this.ctx.storage.sql.exec("DELETE FROM summaries WHERE conversation_id = ?", id);
+        this.ctx.storage.sql.exec("DELETE FROM conversations WHERE id = ?", id);
+        return true;
+    }
+
+    /** 追加消息（见 StoredTurnMessage 的 id / parentId）；会话尚无标题时取首条 user 消息（无正文时取附件名）作为标题 */
+    append(id: string, messages: StoredTurnMessage[], model?: string): boolean {
+        const row = this.findRow(id);
+        if (!row) return false;
+
+        const now = Date.now();
+        let previous = this.ctx.storage.sql
+            .exec<{ node_id: string }>("SELECT node_id FROM messages WHERE conversation_id = ? ORDER BY seq DESC LIMIT 1", id)
+            .toArray()[0]?.node_id ?? null;
+        for (const m of messages) {
+            const nodeId = m.id ?? crypto.randomUUID();
+            if (!this.findMessage(id, nodeId)) {
+                this.ctx.storage.sql.exec(
+                    "INSERT INTO messages (conversation_id, node_id, parent_id, role, content, truncated, sources, attachments, created_at) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)",
+                    id, nodeId, m.parentId !== undefined ? m.parentId : previous, m.role, m.content, m.truncated ? 1 : 0,
+                    m.sources?.length ? JSON.stringify(m.sources) : null,
+                    m.attachments?.length ? JSON.stringify(m.attachments) : null, now,
+                );
+            }
+            previous = nodeId;
+        }
+        const firstUser = messages.find((m) => m.role === "user");
+        const firstText = firstUser?.content.trim() || firstUser?.attachments?.[0]?.name || "";
+        const title = row.title || firstText.replace(/\s+/g, " ").slice(0, TITLE_MAX);
+        this.ctx.storage.sql.exec(
+            "UPDATE conversations SET title = ?, model = ?, updated_at = ? WHERE id = ?",
+            title, model ?? row.model, now, id,
+        );
+        return true;
+    }
+
+    /** 覆盖会话设置（null 清空）；不更新 updated_at，避免调参打乱列表顺序 */
+    updateSettings(id: string, settings: ChatSettings | null): ConversationSummary | null {
+        const row = this.findRow(id);
+        if (!row) return null;
+        const json = settings ? JSON.stringify(settings) : null;
+        this.ctx.storage.sql.exec("UPDATE conversations SET settings = ? WHERE id = ?", json, id);
+        return toSummary({ ...row, settings: json });
+    }
+
+    getSummary(id: string): RunningSummary | null {
+        const row = this.ctx.storage.sql
+            .exec<{ covered: number; hash: string; summary: string }>(
+                "SELECT covered, hash, summary FROM summaries WHERE conversation_id = ?",
+                id,
+            )
+            .toArray()[0];
+        return row ? { covered: row.covered, hash: row.hash, summary: row.summary } : null;
+    }
+
+    /** 覆盖写入会话的 running summary；会话不存在时忽略 */
+    setSummary(id: string, summary: RunningSummary): boolean {
+        if (!this.findRow(id)) return false;
+        this.ctx.storage.sql.exec(
+            "INSERT OR REPLACE INTO summaries (conversation_id, covered, hash, summary, updated_at) VALUES (?, ?, ?, ?, ?)",
+            id, summary.covered, summary.hash, summary.summary, Date.now(),
+        );
+        return true;
+    }
+
+    /** 保存一次对比的结果（未投票）；超出 COMPARISONS_MAX 时删去最早的 */
+    saveComparison(record: ComparisonRecord): void {
+        this.ctx.storage.sql.exec(
+            "INSERT OR REPLACE INTO comparisons (id, prompt, policy, preset, results, preferred, created_at, voted_at) VALUES (?, ?, ?, ?, ?, ?, ?, ?)",
+            record.id, record.prompt, record.policy, record.preset, JSON.stringify(record.results),
+            record.preferred, record.createdAt, record.votedAt,
+        );
+        this.ctx.storage.sql.exec(
+            "DELETE FROM comparisons WHERE id NOT IN (SELECT id FROM comparisons ORDER BY created_at DESC LIMIT ?)",
+            COMPARISONS_MAX,
+        );
+    }
+
+    getComparison(id: string): ComparisonRecord | null {
+        const row = this.ctx.storage.sql.exec<ComparisonRow>("SELECT * FROM comparisons WHERE id = ?", id).toArray()[0];
+        return row ? toComparison(row) : null;
+    }
+
+    /** 记录（或改）投票；对比不存在时返回 null */
+    voteComparison(id: string, preferred: string): ComparisonRecord | null {
+        const record = this.getComparison(id);
+        if (!record) return null;
+        const votedAt = Date.now();
+        this.ctx.storage.sql.exec("UPDATE comparisons SET preferred = ?, voted_at = ? WHERE id = ?", preferred, votedAt, id);
+        return { ...record, preferred, votedAt };
+    }
+
+    /** 已投票的对比，按投票时间排列（JSONL 导出） */
+    listVotedComparisons(): ComparisonRecord[] {
+        return this.ctx.storage.sql
+            .exec<ComparisonRow>("SELECT * FROM comparisons WHERE preferred IS NOT NULL ORDER BY voted_at")
+            .toArray()
+            .map(toComparison);
+    }
+
+    /** 登记上传的文档（向量已写入，见 ./documents 的 ingestDocument） */
+    addDocument(document: StoredDocument): void {
+        this.ctx.storage.sql.exec(
+            "INSERT INTO documents (id, collection, title, chunks, chars, created_at) VALUES (?, ?, ?, ?, ?, ?)",
+            document.id, document.collection, document.title, document.chunks, document.chars, document.createdAt,
+        );
+    }
+
+    /** 全部文档或某个集合的文档，按上传时间从新到旧 */
+    listDocuments(collection?: string): StoredDocument[] {
+        const rows = collection
+            ? this.ctx.storage.sql.exec<DocumentRow>("SELECT * FROM documents WHERE collection = ? ORDER BY created_at DESC", collection)
+            : this.ctx.storage.sql.exec<DocumentRow>("SELECT * FROM documents ORDER BY created_at DESC");
+        return rows.toArray().map(toDocument);
+    }
+
+    hasCollection(collection: string): boolean {
+        return this.ctx.storage.sql.exec("SELECT 1 FROM documents WHERE collection = ? LIMIT 1", collection).toArray().length > 0;
+    }
+
+    /** 删除登记并返回该文档（调用方据此删除向量）；不存在时返回 null */
+    removeDocument(id: string): StoredDocument | null {
+        const row = this.ctx.storage.sql.exec<DocumentRow>("SELECT * FROM documents WHERE id = ?", id).toArray()[0];
+        if (!row) return null;
+        this.ctx.storage.sql.exec("DELETE FROM documents WHERE id = ?", id);
+        return toDocument(row);
+    }
+
+    private findMessage(id: string, messageId: string): { seq: number } | undefined {
+        return this.ctx.storage.sql
+            .exec<{ seq: number }>("SELECT seq FROM messages WHERE conversation_id = ? AND node_id = ?", id, messageId)
+            .toArray()[0];
+    }
+
+    private findRow(id: string): ConversationRow | undefined {
+        return this.ctx.storage.sql
+            .exec<ConversationRow>("SELECT * FROM conversations WHERE id = ?", id)
+            .toArray()[0];
+    }
+}
+
+function toSummary(row: ConversationRow): ConversationSummary {
+    return {
+        id: row.id,
+        title: row.title,
+        model: row.model,
+        settings: row.settings ? JSON.parse(row.settings) : null,
+        createdAt: row.created_at,
+        updatedAt: row.updated_at,
+    };
+}
+
+function toDocument(row: DocumentRow): StoredDocument {
+    return {
+        id: row.id,
+        collection: row.collection,
+        title: row.title,
+        chunks: row.chunks,
+        chars: row.chars,
+        createdAt: row.created_at,
+    };
+}
+
+function toComparison(row: ComparisonRow): ComparisonRecord {
+    return {
+        id: row.id,
+        prompt: row.prompt,
+        policy: row.policy,
+        preset: row.preset,
+        results: JSON.parse(row.results),
+        preferred: row.preferred,
+        createdAt: row.created_at,
+        votedAt: row.voted_at,
+    };
+}
@@ -0,0 +1,337 @@
+/**
+ * 资料库检索（RAG，见 ./index 的 /api/documents 与 buildParamsFromRequest）
+ * - 上传：文本 / Markdown / PDF 提取文本 → 规整（normalizeDocumentText）→ 切块（chunkText）→ Workers AI 向量化 → 写入向量库
+ * - 向量库：Vectorize 索引（VECTORIZE 绑定，见 wrangler.jsonc）；未绑定时上传、删除与检索返回 503，不把向量存进会丢失的内存
+ * - 命名空间 = 访客（cid）+ 集合名：不同访客、不同集合互不可见
+ * - 检索：聊天请求带 collection 时，用最后一条 user 消息检索 top-k 片段，编号后拼进 system 指令，回答以 [n] 引用；
+ *   片段以 Citation 形式随 meta.sources 下发，由前端渲染为脚注
+ * - 文档登记（标题、块数）存在访客的 ConversationStore 中（见 ./conversations），用于列出与删除向量
+ */
+
+import { HttpError } from "./errors";
+
+/** 多语言（含中文）向量模型，1024 维；Vectorize 索引需按此创建（见 README） */
+export const EMBEDDING_MODEL = "@cf/baai/bge-m3";
+
+export const CHUNK_CHARS = 800;
+/** 不超过该长度的末段会重复到下一块开头，避免答案恰好落在块边界上 */
+export const CHUNK_OVERLAP = 200;
+export const DOCUMENT_MAX_CHARS = 100_000;
+export const DEFAULT_TOP_K = 4;
+export const MAX_TOP_K = 8;
+const EMBED_BATCH = 50;
+const UPSERT_BATCH = 500;
+const TITLE_MAX = 120;
+const EXCERPT_CHARS = 240;
+// 命名空间 = 32 位访客 ID + ":" + 集合名，不超过 Vectorize 的 64 字节上限
+const COLLECTION_RE = /^[A-Za-z0-9][A-Za-z0-9_-]{0,30}$/;
+
+export type DocumentFormat = "text" | "markdown" | "pdf";
+const FORMATS: DocumentFormat[] = ["text", "markdown", "pdf"];
+
+export interface DocumentsEnv {
+    /** Vectorize 索引（维度 1024、cosine）；未绑定时资料库功能返回 503 documents_not_enabled */
+    VECTORIZE?: Vectorize;
+}
+
+type EmbeddingAi = { run(model: string, params: unknown): Promise<unknown> };
+
+export interface DocumentInput {
+    collection: string;
+    title: string;
+    text: string;
+    format: DocumentFormat;
+}
+
+/** 登记在 ConversationStore 中的文档；向量 ID 为 `${id}:${块序号}` */
+export interface StoredDocument {
+    id: string;
+    collection: string;
+    title: string;
+    chunks: number;
+    chars: number;
+    createdAt: number;
+}
+
+export interface RetrievedSource {
+    /** 在本次 system 指令中的编号（从 1 起），即回答中的 [n] */
+    index: number;
+    documentId: string;
+    title: string;
+    chunk: number;
+    score: number;
+    text: string;
+}
+
+/** 下发给前端 / 随回答落库的引用（不含片段全文） */
+export interface Citation {
+    index: number;
+    documentId: string;
+    title: string;
+    chunk: number;
+    score: number;
+    excerpt: string;
+}
+
+// ---------- 请求校验 ----------
+export function readCollection(raw: unknown): string | undefined {
+    if (raw == null || raw === "") return undefined;
+    if (typeof raw !== "string" || !COLLECTION_RE.test(raw)) {
+        throw new HttpError(400, "invalid_collection", "collection must be 1-31 letters, digits, '_' or '-'");
+    }
+    return raw;
+}
+
+export function readTopK(raw: unknown): number {
+    if (raw == null) return DEFAULT_TOP_K;
+    if (typeof raw !== "number" || !Number.isInteger(raw) || raw < 1 || raw > MAX_TOP_K) {
+        throw new HttpError(400, "invalid_top_k", `topK must be an integer between 1 and ${MAX_TOP_K}`);
+    }
+    return raw;
+}
+
+export function readDocumentInput(raw: unknown): DocumentInput {
+    if (!raw || typeof raw !== "object" || Array.isArray(raw)) {
+        throw new HttpError(400, "invalid_document", "Request body must be an object");
+    }
+    const body = raw as Record<string, unknown>;
+    const collection = readCollection(body.collection);
+    if (!collection) throw new HttpError(400, "invalid_collection", "collection is required");
+    if (typeof body.text !== "string" || !body.text.trim()) {
+        throw new HttpError(400, "invalid_document", "text must be a non-empty string");
+    }
+    if (body.text.length > DOCUMENT_MAX_CHARS) {
+        throw new HttpError(413, "document_too_large", `Document exceeds ${DOCUMENT_MAX_CHARS} characters`);
+    }
+    const format = body.format ?? "text";
+    if (!FORMATS.includes(format as DocumentFormat)) {
+        throw new HttpError(400, "invalid_document", `format must be one of: ${FORMATS.join(", ")}`);
+    }
+    if (body.title != null && typeof body.title !== "string") {
+        throw new HttpError(400, "invalid_document", "title must be a string");
+    }
+    const text = normalizeDocumentText(body.text, format as DocumentFormat);
+    const title = (body.title?.trim() || text.split("\n", 1)[0].replace(/^#+\s*/, "")).slice(0, TITLE_MAX);
+    return { collection, title, text, format: format as DocumentFormat };
+}
+
+// ---------- 文本规整与切块 ----------
+const CJK_RE = /[\u3000-\u303f\u3400-\u9fff\uff00-\uffef]/;
+
+/** 统一换行、去控制字符；PDF 提取文本合并段内折行与断词，Markdown 去掉图片 / 链接地址 */
+export function normalizeDocumentText(text: string, format: DocumentFormat): string {
+    let out = text
+        .replace(/\r\n?/g, "\n")
+        .replace(/\f/g, "\n\n")
+        .replace(/[\u0000-\u0008\u000b\u000e-\u001f]/g, "")
+        .replace(/[ \t]+\n/g, "\n");
+    if (format === "pdf") {
+        out = out
+            .replace(/([A-Za-z])-\n([a-z])/g, "$1$2")
+            // 段内折行：中文直接相连，西文补一个空格
+            .replace(/([^\n])\n(?!\n)/g, (_, prev: string) => (CJK_RE.test(prev) ? prev : `${prev} `))
+            .replace(/[ \t]{2,}/g, " ");
+    } else if (format === "markdown") {
+        out = out
+            .replace(/<!--[\s\S]*?-->/g, "")
+            .replace(/!\[([^\]]*)\]\([^)]*\)/g, "$1")
+            .replace(/\[([^\]]+)\]\([^)]*\)/g, "$1");
+    }
+    return out.replace(/\n{3,}/g, "\n\n").trim();
+}
+
+// 按句切开过长的段落（句末标点 / 换行处）；没有标点的超长句硬切
+function splitLong(paragraph: string, size: number): string[] {
+    if (paragraph.length <= size) return [paragraph];
+    const sentences = paragraph.match(/[^。！？；!?;.\n]*(?:[。！？；!?;.]+|\n|$)\s*/g)?.filter(Boolean) ?? [paragraph];
+    const parts: string[] = [];
+    let current = "";
+    for (const sentence of sentences) {
+        if (current && current.length + sentence.length > size) {
+            parts.push(current);
+            current = "";
+        }
+        for (let i = 0; i < sentence.length; i += size) {
+            const piece = sentence.slice(i, i + size);
+            if (current.length + piece.length > size) {
+                parts.push(current);
+                current = "";
+            }
+            current += piece;
+        }
+    }
+    if (current) parts.push(current);
+    return parts.map((p) => p.trim()).filter(Boolean);
+}
+
+/** 以段落为单位合并成不超过 size 字符的块；相邻块重叠一个短段（见 CHUNK_OVERLAP） */
+export function chunkText(text: string, size = CHUNK_CHARS, overlap = CHUNK_OVERLAP): string[] {
+    const pieces = text
+        .split(/\n{2,}/)
+        .map((p) => p.trim())
+        .filter(Boolean)
+        .flatMap((p) => splitLong(p, size));
+    const chunks: string[] = [];
+    let current: string[] = [];
+    let length = 0;
+    for (const piece of pieces) {
+        if (current.length && length + 2 + piece.length > size) {
+            chunks.push(current.join("\n\n"));
+            const last = current[current.length - 1];
+            current = last.length <= overlap && last.length + 2 + piece.length <= size ? [last] : [];
+            length = current.length ? last.length : 0;
+        }
+        length += (current.length ? 2 : 0) + piece.length;
+        current.push(piece);
+    }
+    if (current.length) chunks.push(current.join("\n\n"));
+    return chunks;
+}
+
+// ---------- 向量化 ----------
+export async function embedTexts(ai: EmbeddingAi, texts: string[]): Promise<number[][]> {
+    const vectors: number[][] = [];
+    for (let i = 0; i < texts.length; i += EMBED_BATCH) {
+        const batch = texts.slice(i, i + EMBED_BATCH);
+        const result: any = await ai.run(EMBEDDING_MODEL, { text: batch }).catch((error) => {
+            console.error("Embedding failed:", error);
+            return null;
+        });
+        const data = result?.data;
+        if (!Array.isArray(data) || data.length !== batch.length || !data.every((v) => Array.isArray(v) && v.length)) {
+            throw new HttpError(502, "embedding_failed", "Embedding model returned no vectors");
+        }
+        vectors.push(...data);
+    }
+    return vectors;
+}
+
+// ---------- 向量库 ----------
+export interface VectorRecord {
+    id: string;
+    values: number[];
+    metadata: Record<string, string | number>;
+}
+
+export interface VectorMatch {
+    id: string;
+    score: number;
+    metadata: Record<string, unknown>;
+}
+
+export interface VectorStore {
+    upsert(namespace: string, vectors: VectorRecord[]): Promise<void>;
+    query(namespace: string, values: number[], topK: number): Promise<VectorMatch[]>;
+    remove(ids: string[]): Promise<void>;
+}
+
+function vectorizeStore(index: Vectorize): VectorStore {
+    return {
+        async upsert(namespace, vectors) {
+            for (let i = 0; i < vectors.length; i += UPSERT_BATCH) {
+                await index.upsert(vectors.slice(i, i + UPSERT_BATCH).map((v) => ({ ...v, namespace })));
+            }
+        },
+        async query(namespace, values, topK) {
+            const { matches } = await index.query(values, { topK, namespace, returnMetadata: "all" });
+            return matches.map((m) => ({ id: m.id, score: m.score, metadata: m.metadata ?? {} }));
+        },
+        async remove(ids) {
+            for (let i = 0; i < ids.length; i += UPSERT_BATCH) await index.deleteByIds(ids.slice(i, i + UPSERT_BATCH));
+        },
+    };
+}
+
+export function vectorStore(env: DocumentsEnv): VectorStore {
+    if (!env.VECTORIZE) {
+        throw new HttpError(503, "documents_not_enabled", "Documents are not enabled: no Vectorize index is bound");
+    }
+    return vectorizeStore(env.VECTORIZE);
+}
+
+function namespaceFor(ownerId: string, collection: string): string {
+    return `${ownerId.replace(/-/g, "")}:${collection}`;
+}
+
+function vectorIds(document: Pick<StoredDocument, "id" | "chunks">): string[] {
+    return Array.from({ length: document.chunks }, (_, i) => `${document.id}:${i}`);
+}
+
+// ---------- 入库 / 删除 / 检索 ----------
+/** 切块、向量化并写入向量库；返回待登记的文档（由调用方写入 ConversationStore） */
+export async function ingestDocument(
+    env: DocumentsEnv & { AI: EmbeddingAi },
+    ownerId: string,
+    input: DocumentInput,
+): Promise<StoredDocument> {
+    const chunks = chunkText(input.text);
+    if (!chunks.length) throw new HttpError(400, "invalid_document", "Document has no text");
+    const store = vectorStore(env);
+    const values = await embedTexts(env.AI, chunks);
+    const document: StoredDocument = {
+        id: crypto.randomUUID(),
+        collection: input.collection,
+        title: input.title,
+        chunks: chunks.length,
+        chars: input.text.length,
+        createdAt: Date.now(),
+    };
+    await store.upsert(
+        namespaceFor(ownerId, input.collection),
+        chunks.map((text, i) => ({
+            id: `${document.id}:${i}`,
+            values: values[i],
+            metadata: { documentId: document.id, title: document.title, chunk: i, text },
+        })),
+    );
+    return document;
+}
+
+export async function removeDocumentVectors(env: DocumentsEnv, document: StoredDocument): Promise<void> {
+    await vectorStore(env).remove(vectorIds(document));
+}
+
+/** 检索与 query 最相近的片段；accept 返回 false 的片段（如命中合规规则）不使用，其余依次编号 */
+export async function retrieveSources(
+    env: DocumentsEnv & { AI: EmbeddingAi },
+    ownerId: string,
+    collection: string,
+    query: string,
+    topK: number,
+    accept: (text: string) => boolean = () => true,
+): Promise<RetrievedSource[]> {
+    const store = vectorStore(env);
+    const [values] = await embedTexts(env.AI, [query]);
+    const matches = await store.query(namespaceFor(ownerId, collection), values, topK);
+    const sources: RetrievedSource[] = [];
+    for (const m of matches) {
+        const { documentId, title, chunk, text } = m.metadata;
+        if (typeof text !== "string" || !accept(text)) continue;
+        sources.push({
+            index: sources.length + 1,
+            documentId: String(documentId ?? ""),
+            title: String(title ?? ""),
+            chunk: Number(chunk) || 0,
+            score: Math.round(m.score * 10_000) / 10_000,
+            text,
+        });
+    }
+    return sources;
+}
+
+const SOURCES_HEADER =
+    "Reference passages retrieved from the user's documents. Prefer them when answering and cite the passages you use " +
+    "by number in square brackets, e.g. [1] or [2][3]. If they do not contain the answer, say so; never invent citations.";
+
+/** 拼在 system 指令末尾的编号片段；没有片段时为空串 */
+export function sourcesPrompt(sources: RetrievedSource[]): string {
+    if (!sources.length) return "";
+    return [SOURCES_HEADER, ...sources.map((s) => `[${s.index}] ${s.title}\n${s.text}`)].join("\n\n");
+}
+
+export function toCitations(sources: RetrievedSource[]): Citation[] {
+    return sources.map(({ text, ...rest }) => ({
+        ...rest,
+        excerpt: text.length > EXCERPT_CHARS ? `${text.slice(0, EXCERPT_CHARS)}…` : text,
+    }));
+}
@@ -0,0 +1,16 @@
+/**
+ * 结构化错误（4xx 由调用方纠正，不记为 500）
+ * - 各路由在 catch 中按自身线格式输出：/api/* → {error, code}；/v1/* → OpenAI error 对象
+ * - headers：需要随错误一起返回的响应头（如 429 的 Retry-After）
+ */
+
+export class HttpError extends Error {
+    constructor(
+        public status: number,
+        public code: string,
+        message: string,
+        public headers: Record<string, string> = {},
+    ) {
+        super(message);
+    }
+}
@@ -0,0 +1,273 @@
+/**
+ * 请求指标：/api/chat 与 /api/chat/raw 每个请求一条（模型、地区、token、首字 / 总耗时、合规拦截、错误）
+ * - createRequestTracker：请求开始时创建，首个可见输出时 firstToken()，结束时 finish() 写出一条 RequestMetric（只写一次）
+ * - 写入：MetricsStore（Durable Object，SQLite 后端，全局单实例，保留 RETENTION_DAYS 天），供 GET /api/admin/stats 聚合；
+ *   绑定了 Analytics Engine（METRICS）时另写一个数据点，便于用 SQL API / Grafana 长期分析
+ * - /api/chat 的 done 事件带同样的 latency（见 ./index 的“规范化 SSE 事件”），前端在回答下方显示耗时与 token
+ */
+
+import { DurableObject } from "cloudflare:workers";
+import { HttpError } from "./errors";
+import type { FinishReason, TokenUsage } from "./types";
+
+const DAY_MS = 86_400_000;
+export const RETENTION_DAYS = 90;
+const DEFAULT_STATS_DAYS = 7;
+const DAY_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+export interface MetricsEnv {
+    METRICS_STORE: DurableObjectNamespace<MetricsStore>;
+    /** 可选：Analytics Engine 数据集 */
+    METRICS?: AnalyticsEngineDataset;
+}
+
+/** aborted：客户端断开（raw 直通时也包括上游中断，二者无法区分） */
+export type MetricFinishReason = FinishReason | "aborted";
+
+export interface Latency {
+    /** 首个可见输出（正文或思考过程）的耗时；没有输出时为 null */
+    firstTokenMs: number | null;
+    totalMs: number;
+}
+
+export interface RequestMetric extends Latency {
+    requestId: string;
+    route: "chat" | "raw";
+    model: string;
+    /** 请求的国家 / 地区代码（见 ./index 的 getCountry） */
+    region: string;
+    policy: string;
+    finishReason: MetricFinishReason;
+    /** 合规拦截发生的阶段 */
+    blocked: "input" | "output" | null;
+    errorCode: string | null;
+    /** 由回答缓存回放（见 ./cache）；此时 token 为 0 */
+    cached: boolean;
+    promptTokens: number;
+    completionTokens: number;
+    at: number;
+}
+
+type MetricBase = Pick<RequestMetric, "requestId" | "route" | "model" | "region" | "policy">;
+
+export interface MetricOutcome {
+    finishReason: MetricFinishReason;
+    usage: TokenUsage;
+    blocked?: "input" | "output";
+    errorCode?: string;
+    cached?: boolean;
+}
+
+export interface RequestTracker {
+    firstToken(): void;
+    /** 至此的耗时（不记录） */
+    latency(): Latency;
+    /** 请求结束：写出指标并返回其耗时；重复调用只返回首次的结果 */
+    finish(outcome: MetricOutcome): Latency;
+}
+
+// started：请求开始的时间（构参、检索等也计入总耗时）
+export function createRequestTracker(base: MetricBase, started: number, sink: (metric: RequestMetric) => void): RequestTracker {
+    let firstTokenMs: number | null = null;
+    let finished: Latency | null = null;
+
+    const latency = (): Latency => ({ firstTokenMs, totalMs: Date.now() - started });
+    return {
+        firstToken() {
+            firstTokenMs ??= Date.now() - started;
+        },
+        latency,
+        finish(outcome) {
+            if (finished) return finished;
+            finished = latency();
+            sink({
+                ...base,
+                ...finished,
+                finishReason: outcome.finishReason,
+                blocked: outcome.blocked ?? null,
+                errorCode: outcome.errorCode ?? null,
+                cached: outcome.cached ?? false,
+                promptTokens: outcome.usage.prompt_tokens,
+                completionTokens: outcome.usage.completion_tokens,
+                at: Date.now(),
+            });
+            return finished;
+        },
+    };
+}
+
+export async function recordMetric(env: MetricsEnv, metric: RequestMetric): Promise<void> {
+    env.METRICS?.writeDataPoint({
+        indexes: [metric.model],
+        blobs: [
+            metric.route, metric.model, metric.region, metric.policy, metric.finishReason,
+            metric.blocked ?? "", metric.errorCode ?? "", metric.cached ? "cached" : "",
+        ],
+        doubles: [metric.promptTokens, metric.completionTokens, metric.firstTokenMs ?? -1, metric.totalMs],
+    });
+    await metricsStore(env).record(metric);
+}
+
+export function metricsStore(env: MetricsEnv): DurableObjectStub<MetricsStore> {
+    return env.METRICS_STORE.get(env.METRICS_STORE.idFromName("global"));
+}
+
+// ---------- 聚合查询：GET /api/admin/stats ----------
+export type StatsDimension = "day" | "model" | "region";
+const DIMENSIONS: StatsDimension[] = ["day", "model", "region"];
+
+export interface StatsQuery {
+    /** UTC 日期 YYYY-MM-DD（含两端） */
+    from: string;
+    to: string;
+    groupBy: StatsDimension[];
+}
+
+export interface StatsRow {
+    day?: string;
+    model?: string;
+    region?: string;
+    requests: number;
+    /** finishReason 为 error 的请求 */
+    errors: number;
+    aborted: number;
+    inputBlocks: number;
+    outputBlocks: number;
+    cacheHits: number;
+    promptTokens: number;
+    completionTokens: number;
+    avgFirstTokenMs: number | null;
+    avgTotalMs: number | null;
+    maxTotalMs: number | null;
+}
+
+function utcDay(time: number): string {
+    return new Date(time).toISOString().slice(0, 10);
+}
+
+// ?from=&to=（缺省为含今天在内的最近 7 天）&groupBy=day,model,region（缺省三者全部）
+export function readStatsQuery(params: URLSearchParams, now = Date.now()): StatsQuery {
+    const to = params.get("to") || utcDay(now);
+    const from = params.get("from") || utcDay(Date.parse(to) - (DEFAULT_STATS_DAYS - 1) * DAY_MS);
+    for (const day of [from, to]) {
+        if (!DAY_RE.test(day) || Number.isNaN(Date.parse(day))) {
+            throw new HttpError(400, "invalid_stats_query", "from and to must be dates (YYYY-MM-DD)");
+        }
+    }
+    if (from > to) throw new HttpError(400, "invalid_stats_query", "from must not be after to");
+
+    const raw = params.get("groupBy");
+    const groupBy = raw == null ? DIMENSIONS : raw.split(",").map((d) => d.trim()).filter(Boolean);
+    const unknown = groupBy.filter((d) => !DIMENSIONS.includes(d as StatsDimension));
+    if (unknown.length) {
+        throw new HttpError(400, "invalid_stats_query", `groupBy must be a subset of ${DIMENSIONS.join(", ")}`);
+    }
+    return { from, to, groupBy: DIMENSIONS.filter((d) => groupBy.includes(d)) };
+}
+
+type AggregateRow = {
+    day?: string;
+    model?: string;
+    region?: string;
+    requests: number;
+    errors: number;
+    aborted: number;
+    input_blocks: number;
+    output_blocks: number;
+    cache_hits: number;
+    prompt_tokens: number;
+    completion_tokens: number;
+    avg_first_token_ms: number | null;
+    avg_total_ms: number | null;
+    max_total_ms: number | null;
+};
+
+const round = (n: number | null) => (n == null ? null : Math.round(n));
+
+/**
+ * 指标存储（全局单实例）：每个请求一行，按 UTC 日期索引；写入时清理超过 RETENTION_DAYS 的行
+ */
+export class MetricsStore extends DurableObject {
+    constructor(ctx: DurableObjectState, env: unknown) {
+        super(ctx, env);
+        ctx.storage.sql.exec(`
+            CREATE TABLE IF NOT EXISTS requests (
+                seq INTEGER PRIMARY KEY AUTOINCREMENT,
+                request_id TEXT NOT NULL,
+                route TEXT NOT NULL,
+                model TEXT NOT NULL,
+                region TEXT NOT NULL,
+                policy TEXT NOT NULL,
+                day TEXT NOT NULL,
+                finish_reason TEXT NOT NULL,
+                blocked TEXT,
+                error_code TEXT,
+                prompt_tokens INTEGER NOT NULL,
+                completion_tokens INTEGER NOT NULL,
+                first_token_ms INTEGER,
+                total_ms INTEGER NOT NULL,
+                created_at INTEGER NOT NULL
+            );
+            CREATE INDEX IF NOT EXISTS requests_by_day ON requests (day);
+        `);
+        // v2：requests.cached（回答缓存命中）
+        const columns = ctx.storage.sql.exec<{ name: string }>("PRAGMA table_info(requests)").toArray();
+        if (!columns.some((c) => c.name === "cached")) {
+            ctx.storage.sql.exec("ALTER TABLE requests ADD COLUMN cached INTEGER NOT NULL DEFAULT 0");
+        }
+    }
+
+    record(metric: RequestMetric): void {
+        this.ctx.storage.sql.exec(
+            `INSERT INTO requests (request_id, route, model, region, policy, day, finish_reason, blocked, error_code, cached,
+                prompt_tokens, completion_tokens, first_token_ms, total_ms, created_at)
+             VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+            metric.requestId, metric.route, metric.model, metric.region, metric.policy, utcDay(metric.at),
+            metric.finishReason, metric.blocked, metric.errorCode, metric.cached ? 1 : 0, metric.promptTokens,
+            metric.completionTokens, metric.firstTokenMs, metric.totalMs, metric.at,
+        );
+        this.ctx.storage.sql.exec("DELETE FROM requests WHERE day < ?", utcDay(metric.at - RETENTION_DAYS * DAY_MS));
+    }
+
+    /** 按 groupBy 分组的聚合（groupBy 为空时返回一行合计；区间内无数据时 requests 为 0） */
+    stats(query: StatsQuery): StatsRow[] {
+        // 维度名来自白名单（readStatsQuery），可直接拼进 SQL
+        const dims = query.groupBy.filter((d) => DIMENSIONS.includes(d));
+        const select = dims.length ? `${dims.join(", ")}, ` : "";
+        const group = dims.length ? `GROUP BY ${dims.join(", ")} ORDER BY ${dims.join(", ")}` : "";
+        return this.ctx.storage.sql
+            .exec<AggregateRow>(
+                `SELECT ${select}
+                    COUNT(*) AS requests,
+                    COALESCE(SUM(finish_reason = 'error'), 0) AS errors,
+                    COALESCE(SUM(finish_reason = 'aborted'), 0) AS aborted,
+                    COALESCE(SUM(blocked = 'input'), 0) AS input_blocks,
+                    COALESCE(SUM(blocked = 'output'), 0) AS output_blocks,
+                    COALESCE(SUM(cached), 0) AS cache_hits,
+                    COALESCE(SUM(prompt_tokens), 0) AS prompt_tokens,
+                    COALESCE(SUM(completion_tokens), 0) AS completion_tokens,
+                    AVG(first_token_ms) AS avg_first_token_ms,
+                    AVG(total_ms) AS avg_total_ms,
+                    MAX(total_ms) AS max_total_ms
+                 FROM requests WHERE day BETWEEN ? AND ? ${group}`,
+                query.from, query.to,
+            )
+            .toArray()
+            .map((r) => ({
+                ...(r.day !== undefined && { day: r.day }),
+                ...(r.model !== undefined && { model: r.model }),
+                ...(r.region !== undefined && { region: r.region }),
+                requests: r.requests,
+                errors: r.errors,
+                aborted: r.aborted,
+                inputBlocks: r.input_blocks,
+                outputBlocks: r.output_blocks,
+                cacheHits: r.cache_hits,
+                promptTokens: r.prompt_tokens,
+                completionTokens: r.completion_tokens,
+                avgFirstTokenMs: round(r.avg_first_token_ms),
+                avgTotalMs: round(r.avg_total_ms),
+                maxTotalMs: r.max_total_ms,
+            }));
+    }
+}
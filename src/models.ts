@@ -0,0 +1,129 @@
+/**
+ * 模型注册表（服务端唯一事实来源）
+ * - family   : "chat" → {messages, max_tokens}；"responses" → {instructions, input, max_output_tokens}
+ * - regions  : 允许使用的国家/地区代码；"*" 表示不限
+ * - charsPerToken / cjkTokensPerChar : 按分词器粗估 token 数（见 ./context 的 estimateTokens）
+ * - maxTemperature / supportsSeed : 生成参数的按模型夹取（见 ./params）
+ * - tools    : 支持 function calling，/api/chat 可为其运行工具循环（见 ./tools）；仅对 chat 族生效（见 supportsTools）
+ * - vision   : 接受图片输入（消息中的 image_url parts，见 ./attachments）；其余模型只收文本
+ * - GET /api/models 与 /api/chat 的模型校验均基于此表
+ */
+
+export type ModelFamily = "chat" | "responses";
+
+export interface ModelInfo {
+    id: string;
+    label: string;
+    family: ModelFamily;
+    /** 上下文窗口（输入 + 输出）token 数 */
+    contextTokens: number;
+    /** 单次回答的最大输出 token 数 */
+    maxOutputTokens: number;
+    /** 是否会输出 reasoning（思考过程）事件/内容 */
+    reasoning: boolean;
+    regions: string[];
+    /** 非 CJK 文本平均每 token 字符数（缺省 4） */
+    charsPerToken?: number;
+    /** CJK 文本平均每字 token 数（缺省 1） */
+    cjkTokensPerChar?: number;
+    /** temperature 上限（缺省 2） */
+    maxTemperature?: number;
+    /** 上游是否接受 seed */
+    supportsSeed?: boolean;
+    /** 是否支持 function calling（目前仅 chat 族：messages + tools） */
+    tools?: boolean;
+    /** 是否接受图片输入（目前仅 chat 族：content 为 parts 数组） */
+    vision?: boolean;
+}
+
+export const DEFAULT_MODEL_ID = "@cf/openai/gpt-oss-120b";
+
+/** 压缩较早轮次用的廉价模型（不在列表中供用户选择） */
+export const SUMMARY_MODEL_ID = "@cf/meta/llama-3.1-8b-instruct-fast";
+
+export const MODELS: ModelInfo[] = [
+    {
+        id: "@cf/meta/llama-3.3-70b-instruct-fp8-fast",
+        label: "llama-3.3-70b-instruct-fp8-fast",
+        family: "chat",
+        contextTokens: 24000,
+        maxOutputTokens: 2048,
+        reasoning: false,
+        regions: ["*"],
+        charsPerToken: 4,
+        cjkTokensPerChar: 1.2,
+        maxTemperature: 5,
+        supportsSeed: true,
+        tools: true,
+    },
+    {
+        id: "@cf/meta/llama-4-scout-17b-16e-instruct",
+        label: "llama-4-scout-17b-16e-instruct",
+        family: "chat",
+        contextTokens: 131000,
+        maxOutputTokens: 2048,
+        reasoning: false,
+        regions: ["*"],
+        charsPerToken: 4,
+        cjkTokensPerChar: 1.2,
+        maxTemperature: 5,
+        supportsSeed: true,
+        vision: true,
+    },
+    {
+        id: "@cf/openai/gpt-oss-120b",
+        label: "gpt-oss-120b",
+        family: "responses",
+        contextTokens: 128000,
+        maxOutputTokens: 2048,
+        reasoning: true,
+        regions: ["*"],
+        charsPerToken: 4.2,
+        cjkTokensPerChar: 0.8,
+        maxTemperature: 2,
+        supportsSeed: false,
+    },
+    {
+        id: "@cf/openai/gpt-oss-20b",
+        label: "gpt-oss-20b",
+        family: "responses",
+        contextTokens: 128000,
+        maxOutputTokens: 2048,
+        reasoning: true,
+        regions: ["*"],
+        charsPerToken: 4.2,
+        cjkTokensPerChar: 0.8,
+        maxTemperature: 2,
+        supportsSeed: false,
+    },
+    {
+        id: "@cf/deepseek-ai/deepseek-r1-distill-qwen-32b",
+        label: "deepseek-r1-distill-qwen-32b",
+        family: "chat",
+        contextTokens: 80000,
+        maxOutputTokens: 2048,
+        reasoning: true,
+        regions: ["*"],
+        charsPerToken: 3.6,
+        cjkTokensPerChar: 0.7,
+        maxTemperature: 5,
+        supportsSeed: true,
+    },
+];
+
+export function getModel(id: string): ModelInfo | undefined {
+    return MODELS.find((m) => m.id === id);
+}
+
+/** 工具循环按 chat 族的 messages 追加调用与结果；responses 族即使标记了 tools 也不提供工具 */
+export function supportsTools(model: Pick<ModelInfo, "family" | "tools">): boolean {
+    return model.tools === true && model.family === "chat";
+}
+
+export function isModelAllowedIn(model: ModelInfo, country: string): boolean {
+    return model.regions.includes("*") || model.regions.includes(country);
+}
+
+export function listModelsFor(country: string): ModelInfo[] {
+    return MODELS.filter((m) => isModelAllowedIn(m, country));
+}
@@ -0,0 +1,40 @@
+/**
+ * 输出侧流式审核
+ * - 逐段追加模型输出，对“上一段尾部 + 新片段”做匹配，覆盖跨 chunk 边界的命中
+ * - 尾部窗口需不短于禁区词的最大长度（默认 32 字符）
+ * - 片段结尾的一串字母数字可能是没写完的词（"visit Xi" 之后还有 "amen"），缓冲末尾又会被当成词边界（\b），
+ *   因此这一串留到下一段或 end() 时再查；输出结束时必须调用 end()
+ */
+
+import type { PolicyRule } from "./policy";
+
+export interface OutputModerator {
+    /** 追加一段输出；返回命中的禁区分类（此后应终止输出），未命中返回 null */
+    push(piece: string): string | null;
+    /** 输出结束：检查留到最后的结尾；返回命中的禁区分类 */
+    end(): string | null;
+}
+
+// 与正则 \b 的 \w 一致
+const TRAILING_WORD_RE = /[A-Za-z0-9_]+$/;
+
+export function createOutputModerator(rules: PolicyRule[], windowSize = 32): OutputModerator {
+    let tail = "";
+    const match = (text: string) => (text ? rules.find((r) => r.re.test(text))?.category ?? null : null);
+    return {
+        push(piece: string): string | null {
+            if (!piece) return null;
+            const text = tail + piece;
+            // 超过窗口的长串是一个长词，整词规则不会在其结尾误判，照常检查
+            const word = text.match(TRAILING_WORD_RE)?.[0] ?? "";
+            const pending = word.length < windowSize ? word.length : 0;
+            tail = text.slice(-(windowSize + pending));
+            return match(text.slice(0, text.length - pending));
+        },
+        end(): string | null {
+            const text = tail;
+            tail = "";
+            return match(text);
+        },
+    };
+}
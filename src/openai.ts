@@ -0,0 +1,193 @@
+/**
+ * OpenAI 兼容层（/v1/chat/completions、/v1/responses）
+ * - 请求：OpenAI 线格式 → 内部 {messages, model, 生成参数}（之后与 /api/chat 共用构参、校验、地区与合规逻辑）
+ * - 响应：内部规范化文本（已去掉 <final> 标签）→ chat.completion(.chunk) / Responses 对象与事件，流以 data: [DONE] 结束
+ */
+
+import { readMessageContent } from "./attachments";
+import type { RawGenerationParams } from "./params";
+import type { ChatMessage, TokenUsage } from "./types";
+
+export type OpenAiFinishReason = "stop" | "length" | "content_filter";
+
+export interface OpenAiChatRequest {
+    messages: ChatMessage[];
+    model?: string;
+    stream: boolean;
+    includeUsage: boolean;
+    /** temperature / top_p / max_tokens / seed，原样交给 ./params 校验 */
+    params: RawGenerationParams;
+}
+
+export interface OpenAiMeta {
+    id: string;
+    created: number;
+    model: string;
+}
+
+export function newMeta(prefix: "chatcmpl" | "resp", model: string): OpenAiMeta {
+    return {
+        id: `${prefix}-${crypto.randomUUID().replace(/-/g, "")}`,
+        created: Math.floor(Date.now() / 1000),
+        model,
+    };
+}
+
+// ---------- 请求翻译 ----------
+
+// content 可能是字符串或 parts 数组：文本、图片、文件（见 ./attachments；附件超限时抛出 HttpError）
+function toChatMessage(m: any): ChatMessage | null {
+    const role = m?.role === "developer" ? "system" : m?.role;
+    if (role !== "system" && role !== "user" && role !== "assistant") return null;
+    return { role, content: readMessageContent(m.content) ?? "" };
+}
+
+export function parseChatCompletionsBody(body: any): OpenAiChatRequest {
+    const messages = Array.isArray(body?.messages)
+        ? body.messages.map(toChatMessage).filter((m: ChatMessage | null): m is ChatMessage => !!m)
+        : [];
+    return {
+        messages,
+        model: typeof body?.model === "string" ? body.model : undefined,
+        stream: body?.stream === true,
+        includeUsage: body?.stream_options?.include_usage === true,
+        params: {
+            temperature: body?.temperature,
+            top_p: body?.top_p,
+            // max_tokens 已被 OpenAI 标为弃用，优先取 max_completion_tokens
+            max_tokens: body?.max_completion_tokens ?? body?.max_tokens,
+            seed: body?.seed,
+        },
+    };
+}
+
+export function parseResponsesBody(body: any): OpenAiChatRequest {
+    const messages: ChatMessage[] = [];
+    if (typeof body?.instructions === "string" && body.instructions.trim()) {
+        messages.push({ role: "system", content: body.instructions });
+    }
+    if (typeof body?.input === "string") {
+        messages.push({ role: "user", content: body.input });
+    } else if (Array.isArray(body?.input)) {
+        for (const item of body.input) {
+            // 仅接收 message 类条目（type 缺省视为 message）
+            if (item?.type && item.type !== "message") continue;
+            const m = toChatMessage(item);
+            if (m) messages.push(m);
+        }
+    }
+    return {
+        messages,
+        model: typeof body?.model === "string" ? body.model : undefined,
+        stream: body?.stream === true,
+        includeUsage: true,
+        params: {
+            temperature: body?.temperature,
+            top_p: body?.top_p,
+            max_output_tokens: body?.max_output_tokens,
+        },
+    };
+}
+
+// ---------- 响应：chat.completions ----------
+
+export function chatCompletion(meta: OpenAiMeta, text: string, finish: OpenAiFinishReason, usage: TokenUsage) {
+    return {
+        id: meta.id,
+        object: "chat.completion",
+        created: meta.created,
+        model: meta.model,
+        choices: [{
+            index: 0,
+            message: { role: "assistant", content: text },
+            finish_reason: finish,
+        }],
+        usage,
+    };
+}
+
+export function chatCompletionChunk(
+    meta: OpenAiMeta,
+    delta: { role?: "assistant"; content?: string },
+    finish: OpenAiFinishReason | null = null,
+): string {
+    const chunk = {
+        id: meta.id,
+        object: "chat.completion.chunk",
+        created: meta.created,
+        model: meta.model,
+        choices: [{ index: 0, delta, finish_reason: finish }],
+    };
+    return `data: ${JSON.stringify(chunk)}\n\n`;
+}
+
+// stream_options.include_usage：choices 为空、只带 usage 的收尾块
+export function chatCompletionUsageChunk(meta: OpenAiMeta, usage: TokenUsage): string {
+    const chunk = {
+        id: meta.id,
+        object: "chat.completion.chunk",
+        created: meta.created,
+        model: meta.model,
+        choices: [],
+        usage,
+    };
+    return `data: ${JSON.stringify(chunk)}\n\n`;
+}
+
+// ---------- 响应：responses ----------
+
+function responsesUsage(usage: TokenUsage) {
+    return {
+        input_tokens: usage.prompt_tokens,
+        output_tokens: usage.completion_tokens,
+        total_tokens: usage.total_tokens,
+    };
+}
+
+export function responseObject(
+    meta: OpenAiMeta,
+    status: "in_progress" | "completed" | "incomplete",
+    text?: string,
+    usage?: TokenUsage,
+) {
+    const output = text === undefined ? [] : [{
+        type: "message",
+        id: `msg-${meta.id.slice("resp-".length)}`,
+        status: status === "in_progress" ? "in_progress" : "completed",
+        role: "assistant",
+        content: [{ type: "output_text", text, annotations: [] }],
+    }];
+    return {
+        id: meta.id,
+        object: "response",
+        created_at: meta.created,
+        status,
+        model: meta.model,
+        output,
+        ...(status === "incomplete" ? { incomplete_details: { reason: "content_filter" } } : {}),
+        ...(usage ? { usage: responsesUsage(usage) } : {}),
+    };
+}
+
+export function responsesEvent(type: string, payload: Record<string, unknown>): string {
+    return `event: ${type}\ndata: ${JSON.stringify({ type, ...payload })}\n\n`;
+}
+
+const ERROR_TYPES: Record<number, string> = {
+    401: "authentication_error",
+    403: "permission_error",
+    429: "rate_limit_error",
+};
+
+export function openAiError(
+    status: number,
+    code: string,
+    message: string,
+    extraHeaders: Record<string, string> = {},
+): Response {
+    const type = status >= 500 ? "server_error" : ERROR_TYPES[status] ?? "invalid_request_error";
+    return new Response(JSON.stringify({ error: { message, type, code } }), {
+        status,
+        headers: { "content-type": "application/json", ...extraHeaders },
+    });
+}
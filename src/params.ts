@@ -0,0 +1,145 @@
+/**
+ * 生成参数：temperature / top_p / max_tokens / seed（/api/chat 请求体顶层，与 OpenAI 同名）
+ * - 读取时只做与模型无关的校验（类型、通用取值范围），不合法返回 400 invalid_parameter
+ * - 应用时按模型夹取：temperature ≤ 模型 maxTemperature，max_tokens ≤ 本次可用输出（见 ./context），
+ *   不支持 seed 的模型忽略 seed；被夹取 / 忽略的参数名在 meta.params 中报告
+ * - 缺省的参数不发给上游（用模型自身默认值）
+ * - ChatSettings = 预设 + 生成参数 + 资料库集合，即前端设置面板按会话保存的内容（见 ./conversations）
+ */
+
+import { readCollection } from "./documents";
+import { HttpError } from "./errors";
+import type { ModelFamily, ModelInfo } from "./models";
+import { readPreset } from "./presets";
+
+export interface GenerationParams {
+    temperature?: number;
+    top_p?: number;
+    max_tokens?: number;
+    seed?: number;
+}
+
+export type GenerationParamName = keyof GenerationParams;
+
+export interface AppliedParams extends GenerationParams {
+    /** 实际使用的最大输出 token 数（总是存在） */
+    max_tokens: number;
+    /** 超出模型范围、已夹到上限的参数 */
+    clamped: GenerationParamName[];
+    /** 模型不支持、未发给上游的参数 */
+    ignored: GenerationParamName[];
+}
+
+export interface ChatSettings extends GenerationParams {
+    /** 人设预设 ID（见 ./presets） */
+    preset?: string;
+    /** 检索的资料库集合（见 ./documents） */
+    collection?: string;
+}
+
+export type RawGenerationParams = {
+    temperature?: unknown;
+    top_p?: unknown;
+    max_tokens?: unknown;
+    /** Responses 风格的 max_tokens 别名 */
+    max_output_tokens?: unknown;
+    seed?: unknown;
+};
+
+// 未声明 maxTemperature 的模型按 OpenAI 的上限
+const DEFAULT_MAX_TEMPERATURE = 2;
+const MAX_SEED = 9_999_999_999;
+
+function invalid(message: string): HttpError {
+    return new HttpError(400, "invalid_parameter", message);
+}
+
+function readNumber(raw: RawGenerationParams, name: keyof RawGenerationParams, integer = false): number | undefined {
+    const value = raw[name];
+    if (value == null) return undefined;
+    if (typeof value !== "number" || !Number.isFinite(value) || (integer && !Number.isInteger(value))) {
+        throw invalid(`${name} must be ${integer ? "an integer" : "a number"}`);
+    }
+    return value;
+}
+
+export function readGenerationParams(raw: RawGenerationParams): GenerationParams {
+    const params: GenerationParams = {};
+
+    const temperature = readNumber(raw, "temperature");
+    if (temperature !== undefined) {
+        if (temperature < 0) throw invalid("temperature must be >= 0");
+        params.temperature = temperature;
+    }
+
+    const topP = readNumber(raw, "top_p");
+    if (topP !== undefined) {
+        if (topP <= 0 || topP > 1) throw invalid("top_p must be in (0, 1]");
+        params.top_p = topP;
+    }
+
+    const maxTokens = readNumber(raw, "max_tokens", true);
+    const maxOutputTokens = readNumber(raw, "max_output_tokens", true);
+    if (maxTokens !== undefined && maxOutputTokens !== undefined && maxTokens !== maxOutputTokens) {
+        throw invalid("max_tokens and max_output_tokens disagree");
+    }
+    const limit = maxTokens ?? maxOutputTokens;
+    if (limit !== undefined) {
+        if (limit < 1) throw invalid("max_tokens must be >= 1");
+        params.max_tokens = limit;
+    }
+
+    const seed = readNumber(raw, "seed", true);
+    if (seed !== undefined) {
+        if (seed < 0 || seed > MAX_SEED) throw invalid(`seed must be between 0 and ${MAX_SEED}`);
+        params.seed = seed;
+    }
+    return params;
+}
+
+// maxOutputTokens：本次请求可用的输出预算（模型上限与上下文剩余空间中较小者）
+export function applyGenerationParams(params: GenerationParams, model: ModelInfo, maxOutputTokens: number): AppliedParams {
+    const applied: AppliedParams = { max_tokens: maxOutputTokens, clamped: [], ignored: [] };
+
+    if (params.temperature !== undefined) {
+        applied.temperature = Math.min(params.temperature, model.maxTemperature ?? DEFAULT_MAX_TEMPERATURE);
+        if (applied.temperature !== params.temperature) applied.clamped.push("temperature");
+    }
+    if (params.top_p !== undefined) applied.top_p = params.top_p;
+    if (params.max_tokens !== undefined) {
+        applied.max_tokens = Math.min(params.max_tokens, maxOutputTokens);
+        if (applied.max_tokens !== params.max_tokens) applied.clamped.push("max_tokens");
+    }
+    if (params.seed !== undefined) {
+        if (model.supportsSeed) applied.seed = params.seed;
+        else applied.ignored.push("seed");
+    }
+    return applied;
+}
+
+/** 上游 AI.run 的生成参数字段（按模型族命名；缺省的不带） */
+export function upstreamParams(applied: AppliedParams, family: ModelFamily): Record<string, number> {
+    const out: Record<string, number> = {};
+    if (applied.temperature !== undefined) out.temperature = applied.temperature;
+    if (applied.top_p !== undefined) out.top_p = applied.top_p;
+    if (family === "responses") {
+        out.max_output_tokens = applied.max_tokens;
+    } else {
+        out.max_tokens = applied.max_tokens;
+        if (applied.seed !== undefined) out.seed = applied.seed;
+    }
+    return out;
+}
+
+// 会话设置：{ preset?, temperature?, top_p?, max_tokens?, seed? }；null 表示清空
+export function readChatSettings(raw: unknown): ChatSettings | null {
+    if (raw == null) return null;
+    if (typeof raw !== "object" || Array.isArray(raw)) throw invalid("settings must be an object");
+    const { preset, collection, ...rest } = raw as RawGenerationParams & { preset?: unknown; collection?: unknown };
+    const settings: ChatSettings = readGenerationParams(rest);
+    const selected = readPreset(preset);
+    if (selected) settings.preset = selected.id;
+    const library = readCollection(collection);
+    if (library) settings.collection = library;
+    return settings;
+}
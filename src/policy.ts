@@ -0,0 +1,143 @@
+/**
+ * 按地区的合规策略
+ * - 每条策略：适用地区、system 提示、分类禁区规则、拒绝模板 + 替代话题、模型白名单、是否允许展示思考过程、停用的工具
+ * - 来源：KV（POLICY_KV 的 "policies" 键，JSON）优先，缺省/无效时回退到内置 ./policies.json
+ * - 选择：首个 regions 含该国家/地区代码的策略；否则使用 regions 含 "*" 的默认策略
+ */
+
+import bundledPolicies from "./policies.json";
+
+export interface PolicyPatternSet {
+    category: string;
+    /** 正则源码（JSON 中需双写反斜杠） */
+    patterns: string[];
+    flags?: string;
+}
+
+export interface PolicyConfig {
+    id: string;
+    description?: string;
+    regions: string[];
+    systemPrompt: string;
+    forbidden: PolicyPatternSet[];
+    /** {topics} 会被替换为替代话题列表 */
+    refusalTemplate: string;
+    alternativeTopics: string[];
+    /** 允许的模型 ID；"*" 表示不限（仍受模型注册表的地区限制） */
+    models: string[];
+    /** 是否允许向用户展示模型的思考过程（reasoning）；缺省为 false */
+    allowReasoning?: boolean;
+    /** 本策略下停用的工具名（见 ./tools）；缺省全部可用 */
+    disabledTools?: string[];
+}
+
+export interface PolicyRule {
+    category: string;
+    re: RegExp;
+}
+
+export interface CompliancePolicy {
+    id: string;
+    regions: string[];
+    systemPrompt: string;
+    rules: PolicyRule[];
+    refusal: string;
+    models: string[];
+    allowReasoning: boolean;
+    disabledTools: string[];
+}
+
+export interface PolicyEnv {
+    POLICY_KV?: KVNamespace;
+}
+
+const POLICY_KV_KEY = "policies";
+const CACHE_TTL_MS = 60_000;
+
+let cached: { policies: CompliancePolicy[]; at: number } | null = null;
+let bundled: CompliancePolicy[] | null = null;
+
+export async function loadPolicies(env: PolicyEnv): Promise<CompliancePolicy[]> {
+    if (!env.POLICY_KV) return getBundledPolicies();
+    if (cached && Date.now() - cached.at < CACHE_TTL_MS) return cached.policies;
+
+    let policies = getBundledPolicies();
+    try {
+        const raw = await env.POLICY_KV.get(POLICY_KV_KEY, "json");
+        if (raw) policies = compilePolicies(raw);
+    } catch (error) {
+        console.error("Invalid compliance policies in KV, using bundled defaults:", error);
+    }
+    cached = { policies, at: Date.now() };
+    return policies;
+}
+
+function getBundledPolicies(): CompliancePolicy[] {
+    if (!bundled) bundled = compilePolicies(bundledPolicies);
+    return bundled;
+}
+
+export function compilePolicies(raw: unknown): CompliancePolicy[] {
+    const list = (raw as { policies?: unknown })?.policies;
+    if (!Array.isArray(list) || !list.length) throw new Error("policies must be a non-empty array");
+
+    const policies = list.map((p) => compilePolicy(p as PolicyConfig));
+    if (!policies.some((p) => p.regions.includes("*"))) {
+        throw new Error('one policy must cover region "*"');
+    }
+    return policies;
+}
+
+function compilePolicy(cfg: PolicyConfig): CompliancePolicy {
+    if (!cfg?.id || !Array.isArray(cfg.regions) || typeof cfg.systemPrompt !== "string") {
+        throw new Error(`policy ${cfg?.id ?? "?"}: id, regions and systemPrompt are required`);
+    }
+    const rules: PolicyRule[] = [];
+    for (const set of cfg.forbidden ?? []) {
+        for (const source of set.patterns ?? []) {
+            rules.push({ category: set.category, re: new RegExp(source, set.flags ?? "i") });
+        }
+    }
+    return {
+        id: cfg.id,
+        regions: cfg.regions.map((r) => r.toUpperCase()),
+        systemPrompt: cfg.systemPrompt,
+        rules,
+        refusal: renderRefusal(cfg.refusalTemplate ?? "", cfg.alternativeTopics ?? []),
+        models: cfg.models?.length ? cfg.models : ["*"],
+        allowReasoning: cfg.allowReasoning === true,
+        disabledTools: Array.isArray(cfg.disabledTools) ? cfg.disabledTools.map(String) : [],
+    };
+}
+
+function renderRefusal(template: string, topics: string[]): string {
+    const joiner = /[\u3000-\u9fff]/.test(template) ? "、" : ", ";
+    return template.replace("{topics}", topics.join(joiner));
+}
+
+export function selectPolicy(policies: CompliancePolicy[], country: string): CompliancePolicy {
+    return (
+        policies.find((p) => country && p.regions.includes(country)) ??
+        policies.find((p) => p.regions.includes("*"))!
+    );
+}
+
+// 全文按重叠窗口匹配：单次正则只作用于 MATCH_WINDOW 字符，长文本（如附件文件）也整篇检查；
+// 重叠部分保证跨窗口边界的禁区词（长度不超过 MATCH_OVERLAP）不会被切开漏检
+const MATCH_WINDOW = 4000;
+const MATCH_OVERLAP = 200;
+
+/** 返回命中的禁区分类；未命中返回 null */
+export function matchForbidden(policy: CompliancePolicy, text: string): string | null {
+    const t = text || "";
+    for (let start = 0; ; start += MATCH_WINDOW - MATCH_OVERLAP) {
+        const window = t.slice(start, start + MATCH_WINDOW);
+        const category = policy.rules.find((r) => r.re.test(window))?.category;
+        if (category) return category;
+        if (start + MATCH_WINDOW >= t.length) return null;
+    }
+}
+
+export function isModelAllowedByPolicy(policy: CompliancePolicy, modelId: string): boolean {
+    return policy.models.includes("*") || policy.models.includes(modelId);
+}
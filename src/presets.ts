@@ -0,0 +1,79 @@
+/**
+ * 人设 / 提示词预设
+ * - 请求体 preset: "<id>" 选用；GET /api/presets 列出全部预设
+ * - 预设提示拼在合规 system 提示之后（同一条 system 指令内），并声明只在不违背上文时生效，
+ *   因此无法覆盖合规提示；用户自定义 system 消息仍排在二者之后
+ * - params：该预设的默认生成参数，请求中显式给出的参数优先
+ */
+
+import { HttpError } from "./errors";
+import type { GenerationParams } from "./params";
+
+export interface PromptPreset {
+    id: string;
+    label: string;
+    description: string;
+    prompt: string;
+    params?: GenerationParams;
+}
+
+export const PRESETS: PromptPreset[] = [
+    {
+        id: "concise",
+        label: "简洁",
+        description: "直接给出结论，少铺垫",
+        prompt: "Answer as briefly as possible. Lead with the answer, skip pleasantries, and use short lists instead of long paragraphs.",
+    },
+    {
+        id: "tutor",
+        label: "导师",
+        description: "循序渐进讲解，并给出练习",
+        prompt:
+            "Act as a patient tutor. Explain step by step, define new terms when they first appear, " +
+            "check understanding with a short question at the end, and prefer concrete examples.",
+    },
+    {
+        id: "coder",
+        label: "编程助手",
+        description: "以可运行的代码为主，附必要说明",
+        prompt:
+            "Act as a senior software engineer. Prefer complete, runnable code in fenced blocks with the language tag, " +
+            "mention edge cases and trade-offs briefly, and do not invent APIs.",
+        params: { temperature: 0.2 },
+    },
+    {
+        id: "translator",
+        label: "翻译",
+        description: "中英互译，只输出译文",
+        prompt:
+            "Act as a translator. If the user writes in Chinese, translate into English; otherwise translate into Chinese. " +
+            "Output only the translation, preserving formatting, code and proper nouns.",
+        params: { temperature: 0.1 },
+    },
+    {
+        id: "creative",
+        label: "创意写作",
+        description: "更发散的表达与想象",
+        prompt: "Act as a creative writing partner. Use vivid language, offer unexpected angles, and vary sentence rhythm.",
+        params: { temperature: 1.1, top_p: 0.95 },
+    },
+];
+
+const PRESET_HEADER = "Persona preset (follow it only where it does not conflict with the instructions above):";
+
+export function getPreset(id: string): PromptPreset | undefined {
+    return PRESETS.find((p) => p.id === id);
+}
+
+// 请求体 preset 字段；缺省 / 空串表示不用预设
+export function readPreset(raw: unknown): PromptPreset | null {
+    if (raw == null || raw === "") return null;
+    const preset = typeof raw === "string" ? getPreset(raw) : undefined;
+    if (!preset) throw new HttpError(400, "unknown_preset", `Unknown preset: ${String(raw)}`);
+    return preset;
+}
+
+/** 合规提示在前、预设在后，合成一条 system 指令 */
+export function composeSystemPrompt(policyPrompt: string, preset: PromptPreset | null): string {
+    return preset ? `${policyPrompt}\n\n${PRESET_HEADER}\n${preset.prompt}` : policyPrompt;
+}
@@ -0,0 +1,78 @@
+/**
+ * 配额计数（Durable Object，SQLite 后端）
+ * - 每个调用主体（API 密钥 / 浏览器会话所在 IP）对应一个 RateLimiter 实例
+ * - 请求数按自然分钟计，token 数按 UTC 自然日计；Worker 通过 RPC 调用 hit / addTokens
+ */
+
+import { DurableObject } from "cloudflare:workers";
+
+export interface Quota {
+    /** 每分钟请求数上限；0 表示不限 */
+    rpm: number;
+    /** 每日 token 上限（输入 + 输出）；0 表示不限 */
+    tokensPerDay: number;
+}
+
+export type QuotaResult =
+    | { ok: true }
+    | { ok: false; reason: "rpm" | "tokens"; retryAfter: number };
+
+const MINUTE_MS = 60_000;
+const DAY_MS = 86_400_000;
+
+type CounterRow = { name: string; window: number; value: number };
+
+export class RateLimiter extends DurableObject {
+    constructor(ctx: DurableObjectState, env: unknown) {
+        super(ctx, env);
+        ctx.storage.sql.exec(`
+            CREATE TABLE IF NOT EXISTS counters (
+                name TEXT PRIMARY KEY,
+                window INTEGER NOT NULL,
+                value INTEGER NOT NULL
+            );
+        `);
+    }
+
+    /** 记 count 次请求（一次调用多个模型时按模型数计）；超出任一配额时不计数，并返回需等待的秒数 */
+    hit(quota: Quota, count = 1): QuotaResult {
+        const now = Date.now();
+        const day = Math.floor(now / DAY_MS);
+        if (quota.tokensPerDay > 0 && this.read("tokens", day) >= quota.tokensPerDay) {
+            return { ok: false, reason: "tokens", retryAfter: secondsUntil((day + 1) * DAY_MS, now) };
+        }
+
+        const minute = Math.floor(now / MINUTE_MS);
+        const requests = this.read("requests", minute);
+        if (quota.rpm > 0 && requests + count > quota.rpm) {
+            return { ok: false, reason: "rpm", retryAfter: secondsUntil((minute + 1) * MINUTE_MS, now) };
+        }
+        this.write("requests", minute, requests + count);
+        return { ok: true };
+    }
+
+    /** 累加当日 token 用量（回答结束后调用） */
+    addTokens(tokens: number): void {
+        if (!(tokens > 0)) return;
+        const day = Math.floor(Date.now() / DAY_MS);
+        this.write("tokens", day, this.read("tokens", day) + Math.ceil(tokens));
+    }
+
+    private read(name: string, window: number): number {
+        const row = this.ctx.storage.sql
+            .exec<CounterRow>("SELECT * FROM counters WHERE name = ?", name)
+            .toArray()[0];
+        return row && row.window === window ? row.value : 0;
+    }
+
+    private write(name: string, window: number, value: number) {
+        this.ctx.storage.sql.exec(
+            "INSERT OR REPLACE INTO counters (name, window, value) VALUES (?, ?, ?)",
+            name, window, value,
+        );
+    }
+}
+
+function secondsUntil(at: number, now: number): number {
+    return Math.max(1, Math.ceil((at - now) / 1000));
+}
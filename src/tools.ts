@@ -0,0 +1,398 @@
+/**
+ * 服务端工具注册表（function calling，见 ./index 的 /api/chat 工具循环）
+ * - 每个工具：name / description / JSON Schema 参数 + handler；内置 calculator、current_time、fetch_url
+ * - 可用工具 = 注册表 − 策略 disabledTools（见 ./policy）− 未配置的工具（fetch_url 需 TOOL_FETCH_ALLOWLIST）
+ * - 参数按 schema 做基本校验；校验失败 / 执行出错都作为 {error} 结果交回模型，不中断对话
+ * - 上游的工具调用有两种形态：Workers 原生 {tool_calls:[{name, arguments}]}（整条）与 Chat Completions 的
+ *   choices[0].delta.tool_calls（按 index 分片拼接 arguments），由 createToolCallCollector 统一
+ */
+
+import { HttpError } from "./errors";
+
+export interface JsonSchema {
+    type: "object" | "string" | "number" | "integer" | "boolean";
+    description?: string;
+    properties?: Record<string, JsonSchema>;
+    required?: string[];
+    enum?: unknown[];
+}
+
+export interface ToolEnv {
+    /** fetch_url 允许访问的主机名（逗号 / 空白分隔；子域名同样允许）；未配置时不提供 fetch_url */
+    TOOL_FETCH_ALLOWLIST?: string;
+}
+
+export interface ToolContext {
+    env: ToolEnv;
+}
+
+export interface ToolDefinition {
+    name: string;
+    description: string;
+    parameters: JsonSchema & { type: "object" };
+    /** 缺省为总是可用 */
+    available?: (env: ToolEnv) => boolean;
+    run: (args: Record<string, any>, ctx: ToolContext) => unknown | Promise<unknown>;
+}
+
+export interface ToolCall {
+    id: string;
+    name: string;
+    arguments: Record<string, unknown>;
+    /** 上游给出的参数不是 JSON 对象时的说明（此时 arguments 为 {}） */
+    invalidArguments?: string;
+}
+
+export interface ToolResult {
+    id: string;
+    name: string;
+    ok: boolean;
+    result?: unknown;
+    error?: string;
+    /** 执行耗时（毫秒） */
+    ms: number;
+}
+
+/** 工具执行中的预期错误：消息原样交给模型 */
+export class ToolError extends Error {}
+
+/** 一轮最多执行的调用数；超出的调用直接回以错误 */
+export const MAX_TOOL_CALLS_PER_ROUND = 8;
+/** 交回模型的单个结果上限（字符） */
+const TOOL_RESULT_MAX_CHARS = 4000;
+
+// ---------- calculator ----------
+const CALC_MAX_LENGTH = 200;
+const CALC_FUNCTIONS: Record<string, (...args: number[]) => number> = {
+    sqrt: Math.sqrt, abs: Math.abs, exp: Math.exp, ln: Math.log, log: Math.log10, log2: Math.log2,
+    sin: Math.sin, cos: Math.cos, tan: Math.tan, asin: Math.asin, acos: Math.acos, atan: Math.atan,
+    floor: Math.floor, ceil: Math.ceil, round: Math.round, min: Math.min, max: Math.max, pow: Math.pow,
+};
+const CALC_CONSTANTS: Record<string, number> = { pi: Math.PI, e: Math.E };
+const CALC_TOKEN_RE = /\s*(\d+(?:\.\d*)?(?:e[+-]?\d+)?|\.\d+(?:e[+-]?\d+)?|[a-z_][a-z0-9_]*|\*\*|[-+*/%^(),])/iy;
+
+/** 四则运算、%、^ / **（右结合）、括号、常用函数与 pi / e；不使用 eval */
+export function evaluateExpression(expression: string): number {
+    if (expression.length > CALC_MAX_LENGTH) throw new ToolError(`Expression is longer than ${CALC_MAX_LENGTH} characters`);
+    const tokens: string[] = [];
+    CALC_TOKEN_RE.lastIndex = 0;
+    while (CALC_TOKEN_RE.lastIndex < expression.length) {
+        if (!expression.slice(CALC_TOKEN_RE.lastIndex).trim()) break;
+        const at = CALC_TOKEN_RE.lastIndex;
+        const match = CALC_TOKEN_RE.exec(expression);
+        if (!match) throw new ToolError(`Unexpected character at position ${at + 1}`);
+        tokens.push(match[1].toLowerCase());
+    }
+    let pos = 0;
+    const peek = () => tokens[pos];
+    const expect = (token: string) => {
+        if (tokens[pos] !== token) throw new ToolError(`Expected "${token}"`);
+        pos++;
+    };
+
+    function sum(): number {
+        let value = product();
+        while (peek() === "+" || peek() === "-") value = tokens[pos++] === "+" ? value + product() : value - product();
+        return value;
+    }
+    function product(): number {
+        let value = unary();
+        while (peek() === "*" || peek() === "/" || peek() === "%") {
+            const op = tokens[pos++];
+            const right = unary();
+            value = op === "*" ? value * right : op === "/" ? value / right : value % right;
+        }
+        return value;
+    }
+    function unary(): number {
+        if (peek() === "-") { pos++; return -unary(); }
+        if (peek() === "+") { pos++; return unary(); }
+        return power();
+    }
+    function power(): number {
+        const base = primary();
+        if (peek() === "^" || peek() === "**") { pos++; return Math.pow(base, unary()); }
+        return base;
+    }
+    function primary(): number {
+        const token = tokens[pos++];
+        if (token === undefined) throw new ToolError("Unexpected end of expression");
+        if (token === "(") {
+            const value = sum();
+            expect(")");
+            return value;
+        }
+        if (/^[\d.]/.test(token)) return Number(token);
+        if (token in CALC_CONSTANTS) return CALC_CONSTANTS[token];
+        const fn = CALC_FUNCTIONS[token];
+        if (!fn) throw new ToolError(`Unknown name: ${token}`);
+        expect("(");
+        const args = [sum()];
+        while (peek() === ",") { pos++; args.push(sum()); }
+        expect(")");
+        return fn(...args);
+    }
+
+    if (!tokens.length) throw new ToolError("Expression is empty");
+    const value = sum();
+    if (pos < tokens.length) throw new ToolError(`Unexpected "${tokens[pos]}"`);
+    if (!Number.isFinite(value)) throw new ToolError("Result is not a finite number");
+    return value;
+}
+
+const calculator: ToolDefinition = {
+    name: "calculator",
+    description: "Evaluate an arithmetic expression exactly. Supports + - * / % ^, parentheses, sqrt, abs, exp, ln, log, sin, cos, tan, floor, ceil, round, min, max, pow, pi and e.",
+    parameters: {
+        type: "object",
+        properties: { expression: { type: "string", description: "For example: (3 + 4) * sqrt(16) / 2" } },
+        required: ["expression"],
+    },
+    run: ({ expression }) => ({ expression, value: evaluateExpression(expression) }),
+};
+
+// ---------- current_time ----------
+const currentTime: ToolDefinition = {
+    name: "current_time",
+    description: "Get the current date and time, optionally in an IANA time zone such as Asia/Shanghai.",
+    parameters: {
+        type: "object",
+        properties: { timezone: { type: "string", description: "IANA time zone; defaults to UTC" } },
+    },
+    run: ({ timezone = "UTC" }) => {
+        const now = new Date();
+        let local: string;
+        let weekday: string;
+        try {
+            local = new Intl.DateTimeFormat("sv-SE", { timeZone: timezone, dateStyle: "short", timeStyle: "medium" }).format(now);
+            weekday = new Intl.DateTimeFormat("en-US", { timeZone: timezone, weekday: "long" }).format(now);
+        } catch {
+            throw new ToolError(`Unknown time zone: ${timezone}`);
+        }
+        return { iso: now.toISOString(), timezone, local, weekday };
+    },
+};
+
+// ---------- fetch_url ----------
+const FETCH_TIMEOUT_MS = 5000;
+const FETCH_MAX_BYTES = 256 * 1024;
+
+export function parseAllowlist(raw: string | undefined): string[] {
+    return (raw || "").split(/[\s,]+/).map((h) => h.trim().toLowerCase()).filter(Boolean);
+}
+
+/** 仅 https、默认端口、不带凭据，且主机名在允许列表中（含其子域名） */
+export function isAllowedUrl(raw: string, allowlist: string[]): boolean {
+    let url: URL;
+    try {
+        url = new URL(raw);
+    } catch {
+        return false;
+    }
+    if (url.protocol !== "https:" || url.port || url.username || url.password) return false;
+    const host = url.hostname.toLowerCase();
+    return allowlist.some((allowed) => host === allowed || host.endsWith(`.${allowed}`));
+}
+
+// HTML 粗略转为纯文本：去掉 script / style 与标签，合并空白
+function htmlToText(html: string): string {
+    return html
+        .replace(/<(script|style|noscript)[\s\S]*?<\/\1>/gi, " ")
+        .replace(/<[^>]+>/g, " ")
+        .replace(/&nbsp;/g, " ")
+        .replace(/&amp;/g, "&")
+        .replace(/&lt;/g, "<")
+        .replace(/&gt;/g, ">")
+        .replace(/\s+/g, " ")
+        .trim();
+}
+
+async function readCapped(res: Response, maxBytes: number): Promise<string> {
+    if (!res.body) return "";
+    const reader = res.body.getReader();
+    const decoder = new TextDecoder();
+    let text = "";
+    let bytes = 0;
+    while (bytes < maxBytes) {
+        const { done, value } = await reader.read();
+        if (done) return text + decoder.decode();
+        bytes += value.byteLength;
+        text += decoder.decode(value, { stream: true });
+    }
+    await reader.cancel();
+    return text;
+}
+
+const fetchUrl: ToolDefinition = {
+    name: "fetch_url",
+    description: "Fetch a web page or JSON document over HTTPS and return its text. Only allowlisted hosts can be fetched.",
+    parameters: {
+        type: "object",
+        properties: { url: { type: "string", description: "An https:// URL on an allowlisted host" } },
+        required: ["url"],
+    },
+    available: (env) => parseAllowlist(env.TOOL_FETCH_ALLOWLIST).length > 0,
+    run: async ({ url }, { env }) => {
+        const allowlist = parseAllowlist(env.TOOL_FETCH_ALLOWLIST);
+        if (!isAllowedUrl(url, allowlist)) throw new ToolError(`URL is not allowed. Allowed hosts: ${allowlist.join(", ")}`);
+        // 不跟随重定向：目标可能不在允许列表中
+        const res = await fetch(url, {
+            redirect: "manual",
+            headers: { accept: "text/html, text/plain, application/json;q=0.9, */*;q=0.1" },
+            signal: AbortSignal.timeout(FETCH_TIMEOUT_MS),
+        }).catch((error) => {
+            throw new ToolError(error?.name === "TimeoutError" ? "Request timed out" : "Request failed");
+        });
+        if (res.status >= 300 && res.status < 400) {
+            await res.body?.cancel();
+            throw new ToolError(`Redirected to ${res.headers.get("location") || "another URL"}; redirects are not followed`);
+        }
+        const contentType = res.headers.get("content-type") || "";
+        const body = await readCapped(res, FETCH_MAX_BYTES);
+        const text = contentType.includes("html") ? htmlToText(body) : body;
+        return {
+            url,
+            status: res.status,
+            contentType,
+            content: text.slice(0, TOOL_RESULT_MAX_CHARS),
+            truncated: text.length > TOOL_RESULT_MAX_CHARS,
+        };
+    },
+};
+
+// ---------- 注册表 ----------
+export const TOOLS: ToolDefinition[] = [calculator, currentTime, fetchUrl];
+
+export function getTool(name: string): ToolDefinition | undefined {
+    return TOOLS.find((t) => t.name === name);
+}
+
+/** 本部署、本策略下可用的工具 */
+export function availableTools(policy: { disabledTools: string[] }, env: ToolEnv): ToolDefinition[] {
+    return TOOLS.filter((t) => !policy.disabledTools.includes(t.name) && (t.available?.(env) ?? true));
+}
+
+/** 请求体 tools：true（全部可用工具）或工具名数组；缺省 / false 不启用 */
+export function readToolSelection(raw: unknown): string[] | "all" | undefined {
+    if (raw == null || raw === false) return undefined;
+    if (raw === true) return "all";
+    if (!Array.isArray(raw) || !raw.every((name) => typeof name === "string")) {
+        throw new HttpError(400, "invalid_tools", "tools must be true or an array of tool names");
+    }
+    const unknown = raw.find((name) => !getTool(name));
+    if (unknown) throw new HttpError(400, "invalid_tools", `Unknown tool: ${unknown}`);
+    return raw;
+}
+
+/** 上游 tools 参数（OpenAI function 格式，Workers AI 的 chat 模型同样接受） */
+export function toUpstreamTools(tools: ToolDefinition[]) {
+    return tools.map((t) => ({
+        type: "function",
+        function: { name: t.name, description: t.description, parameters: t.parameters },
+    }));
+}
+
+// 与 schema 对照的基本校验：必填、类型、枚举；返回错误说明
+function validateArguments(schema: JsonSchema, args: Record<string, unknown>): string | null {
+    for (const name of schema.required ?? []) {
+        if (args[name] === undefined) return `Missing required argument: ${name}`;
+    }
+    for (const [name, value] of Object.entries(args)) {
+        const prop = schema.properties?.[name];
+        if (!prop) return `Unknown argument: ${name}`;
+        const ok = prop.type === "integer" ? Number.isInteger(value)
+            : prop.type === "object" ? typeof value === "object" && value !== null && !Array.isArray(value)
+            : typeof value === prop.type;
+        if (!ok) return `Argument ${name} must be of type ${prop.type}`;
+        if (prop.enum && !prop.enum.includes(value)) return `Argument ${name} must be one of ${prop.enum.join(", ")}`;
+    }
+    return null;
+}
+
+/** 执行一次调用；不在 tools 中的工具、参数错误与执行错误都返回 ok:false */
+export async function runToolCall(call: ToolCall, tools: ToolDefinition[], ctx: ToolContext): Promise<ToolResult> {
+    const started = Date.now();
+    const fail = (error: string): ToolResult => ({ id: call.id, name: call.name, ok: false, error, ms: Date.now() - started });
+
+    const tool = tools.find((t) => t.name === call.name);
+    if (!tool) return fail(`Tool not available: ${call.name}`);
+    if (call.invalidArguments) return fail(call.invalidArguments);
+    const invalid = validateArguments(tool.parameters, call.arguments);
+    if (invalid) return fail(invalid);
+    try {
+        const result = await tool.run(call.arguments, ctx);
+        return { id: call.id, name: call.name, ok: true, result, ms: Date.now() - started };
+    } catch (error) {
+        if (error instanceof ToolError) return fail(error.message);
+        console.error(`Tool ${call.name} failed:`, error);
+        return fail("Tool failed");
+    }
+}
+
+/** 交回模型的 tool 消息内容（JSON，超长截断） */
+export function toolResultContent(result: ToolResult): string {
+    const text = JSON.stringify(result.ok ? result.result ?? null : { error: result.error });
+    return text.length > TOOL_RESULT_MAX_CHARS ? `${text.slice(0, TOOL_RESULT_MAX_CHARS)}…` : text;
+}
+
+// ---------- 上游工具调用收集 ----------
+function readArguments(raw: unknown): Pick<ToolCall, "arguments" | "invalidArguments"> {
+    if (raw == null || raw === "") return { arguments: {} };
+    if (typeof raw === "object" && !Array.isArray(raw)) return { arguments: raw as Record<string, unknown> };
+    if (typeof raw === "string") {
+        try {
+            const parsed = JSON.parse(raw);
+            if (parsed && typeof parsed === "object" && !Array.isArray(parsed)) return { arguments: parsed };
+        } catch {
+            /* 落到下面的错误 */
+        }
+    }
+    return { arguments: {}, invalidArguments: "Arguments must be a JSON object" };
+}
+
+/** 一轮上游输出中的工具调用；take() 取出并清空 */
+export function createToolCallCollector() {
+    let complete: ToolCall[] = [];
+    // Chat Completions 流：按 index 累积的分片
+    let partial = new Map<number, { id?: string; name: string; args: string }>();
+
+    const newId = () => `call_${crypto.randomUUID().replace(/-/g, "").slice(0, 24)}`;
+    const add = (raw: any) => {
+        const fn = raw?.function ?? raw;
+        if (typeof fn?.name !== "string" || !fn.name) return;
+        complete.push({ id: typeof raw?.id === "string" && raw.id ? raw.id : newId(), name: fn.name, ...readArguments(fn.arguments) });
+    };
+
+    return {
+        push(obj: any) {
+            // Workers 原生（流式 / 整包）
+            if (Array.isArray(obj?.tool_calls)) obj.tool_calls.forEach(add);
+            const choice = obj?.choices?.[0];
+            // Chat Completions 整包
+            if (Array.isArray(choice?.message?.tool_calls)) choice.message.tool_calls.forEach(add);
+            // Chat Completions 流式分片
+            if (Array.isArray(choice?.delta?.tool_calls)) {
+                for (const piece of choice.delta.tool_calls) {
+                    const index = typeof piece?.index === "number" ? piece.index : partial.size;
+                    const entry = partial.get(index) ?? { name: "", args: "" };
+                    if (typeof piece?.id === "string" && piece.id) entry.id = piece.id;
+                    if (typeof piece?.function?.name === "string") entry.name += piece.function.name;
+                    if (typeof piece?.function?.arguments === "string") entry.args += piece.function.arguments;
+                    else if (piece?.function?.arguments && typeof piece.function.arguments === "object") {
+                        entry.args = JSON.stringify(piece.function.arguments);
+                    }
+                    partial.set(index, entry);
+                }
+            }
+        },
+        take(): ToolCall[] {
+            for (const [, entry] of [...partial].sort(([a], [b]) => a - b)) {
+                add({ id: entry.id, function: { name: entry.name, arguments: entry.args } });
+            }
+            const calls = complete;
+            complete = [];
+            partial = new Map();
+            return calls;
+        },
+    };
+}
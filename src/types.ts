@@ -14,12 +14,26 @@ export interface Env {
   ASSETS: { fetch: (request: Request) => Promise<Response> };
 }
 
+/**
+ * One part of a multimodal message. Images are base64 `data:` URLs; text
+ * files carry their decoded text (see `src/attachments.ts`).
+ */
+export type ContentPart =
+  | { type: "text"; text: string }
+  | { type: "image_url"; image_url: { url: string }; name?: string }
+  | { type: "file"; file: { filename: string; text: string } };
+
+/**
+ * Message content: plain text, or text plus image / file parts.
+ */
+export type MessageContent = string | ContentPart[];
+
 /**
  * Represents a chat message.
  */
 export interface ChatMessage {
   role: "system" | "user" | "assistant";
-  content: string;
+  content: MessageContent;
 }
 
 /**
@@ -32,3 +46,18 @@ export type AiRunParams =
   | { input: ChatMessage[]; max_tokens: number }
   | { messages: ChatMessage[]; max_output_tokens: number }
   | { input: ChatMessage[]; max_output_tokens: number };
+
+/**
+ * Token usage in OpenAI chat-completions shape. Upstream Responses-style
+ * usage (`input_tokens`/`output_tokens`) is mapped onto these fields.
+ */
+export interface TokenUsage {
+  prompt_tokens: number;
+  completion_tokens: number;
+  total_tokens: number;
+}
+
+/**
+ * Why a normalized `/api/chat` stream ended (the `done` event).
+ */
+export type FinishReason = "stop" | "content_filter" | "error";
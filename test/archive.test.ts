@@ -0,0 +1,178 @@
+import { describe, expect, it } from "vitest";
+import {
+    EXPORT_FORMAT,
+    exportFileName,
+    extractMath,
+    toHtml,
+    toJsonExport,
+    toMarkdown,
+    type ExportSource,
+} from "../public/conversation-export.js";
+import { readConversationArchive } from "../src/archive";
+import { callWorker, postJson } from "./helpers";
+
+const LLAMA = "@cf/meta/llama-3.3-70b-instruct-fp8-fast";
+
+// u1 → a1 ┬ u2 → a2
+//         └ u2b（编辑后的兄弟分支）
+function source(): ExportSource {
+    return {
+        title: "傅里叶",
+        model: LLAMA,
+        settings: { preset: "tutor", temperature: 0.4 },
+        createdAt: 1_000,
+        updatedAt: 5_000,
+        leafId: "a2",
+        messages: [
+            { id: "u1", parentId: null, role: "user", content: "什么是傅里叶变换？", createdAt: 1_000 },
+            { id: "a1", parentId: "u1", role: "assistant", content: "公式：$$X(\\omega)=\\int x(t)e^{-j\\omega t}dt$$\n\n```py\nprint('$5')\n```", createdAt: 2_000 },
+            { id: "u2", parentId: "a1", role: "user", content: "举个例子", createdAt: 3_000 },
+            { id: "a2", parentId: "u2", role: "assistant", content: "例如 $\\delta(t)$", truncated: true, createdAt: 4_000 },
+            { id: "u2b", parentId: "a1", role: "user", content: "再简单点", createdAt: 5_000 },
+        ],
+    };
+}
+
+const branch = (s: ExportSource) => s.messages.filter((m) => ["u1", "a1", "u2", "a2"].includes(m.id));
+
+// 改动导出中的第 i 条消息
+const withMessage = (json: ReturnType<typeof toJsonExport>, i: number, patch: Record<string, unknown>) =>
+    ({ ...json, messages: json.messages.map((m, j) => (j === i ? { ...m, ...patch } : m)) });
+
+describe("conversation export formats", () => {
+    it("names files by prefix, model and local timestamp", () => {
+        expect(exportFileName("chat", "@cf/openai/gpt-oss-120b", "md", new Date(2025, 0, 2, 3, 4, 5)))
+            .toBe("chat_-cf-openai-gpt-oss-120b_2025-01-02_03-04-05.md");
+    });
+
+    it("writes the current branch as Markdown with math and code untouched", () => {
+        const md = toMarkdown(source(), branch(source()));
+        expect(md.startsWith("# 傅里叶\n\n> 模型：@cf/meta/llama-3.3-70b-instruct-fp8-fast · 预设：tutor · 参数：temperature=0.4\n")).toBe(true);
+        expect(md).toContain("$$X(\\omega)=\\int x(t)e^{-j\\omega t}dt$$");
+        expect(md).toContain("```py\nprint('$5')\n```");
+        expect(md).toContain("*（已停止生成）*");
+        expect(md).not.toContain("再简单点");
+    });
+
+    it("keeps every branch in JSON", () => {
+        const json = toJsonExport(source(), 9_000);
+        expect(json).toMatchObject({ format: EXPORT_FORMAT, version: 1, exportedAt: 9_000, leafId: "a2" });
+        expect(json.messages.map((m) => m.id)).toEqual(["u1", "a1", "u2", "a2", "u2b"]);
+        expect(json.messages[3]).toEqual({ id: "a2", parentId: "u2", role: "assistant", content: "例如 $\\delta(t)$", truncated: true, createdAt: 4_000 });
+    });
+
+    it("pulls formulas out of prose but not out of code", () => {
+        const { text, formulas } = extractMath("a $x^2$ b \\[y\\] c `$d$`\n```\n$e$\n```");
+        expect(formulas).toEqual([{ tex: "x^2", display: false }, { tex: "y", display: true }]);
+        expect(text).toBe("a MATHPLACEHOLDER0END b MATHPLACEHOLDER1END c `$d$`\n```\n$e$\n```");
+    });
+
+    it("builds a standalone HTML page and escapes user text", () => {
+        const s = { ...source(), messages: [{ id: "u", parentId: null, role: "user" as const, content: "<b>hi</b>" }, source().messages[1]] };
+        const html = toHtml(s, s.messages, (md) => `<div class="rendered">${md.length}</div>`);
+        expect(html).toContain("<title>傅里叶</title>");
+        expect(html).toContain("&lt;b&gt;hi&lt;/b&gt;");
+        expect(html).toContain('<div class="rendered">');
+        expect(html).not.toMatch(/<script|<link/);
+    });
+});
+
+describe("readConversationArchive", () => {
+    it("rejects other files and broken trees", () => {
+        const good = toJsonExport(source());
+        for (const bad of [
+            null,
+            { ...good, format: "something-else" },
+            { ...good, version: 2 },
+            { ...good, messages: [{ ...good.messages[1] }] },
+            { ...good, messages: [good.messages[0], good.messages[0]] },
+            { ...good, messages: [{ ...good.messages[0], role: "system" }] },
+        ]) {
+            expect(() => readConversationArchive(bad)).toThrowError(expect.objectContaining({ status: 400, code: "invalid_import" }));
+        }
+    });
+
+    it("keeps citations on answers, and checks them", () => {
+        const citation = { index: 1, documentId: "d1", title: "手册", chunk: 0, score: 0.82, excerpt: "傅里叶变换把信号分解为频率。" };
+        const s = source();
+        s.messages[1] = { ...s.messages[1], sources: [citation] };
+        const json = toJsonExport(s);
+
+        const { messages } = readConversationArchive(json);
+        expect(messages[1].sources).toEqual([citation]);
+        expect(messages[2]).not.toHaveProperty("sources");
+
+        for (const bad of [
+            withMessage(json, 1, { sources: [{ ...citation, score: "high" }] }),
+            withMessage(json, 1, { sources: "d1" }),
+            withMessage(json, 1, { sources: Array(9).fill(citation) }),
+            withMessage(json, 0, { sources: [citation] }),
+        ]) {
+            expect(() => readConversationArchive(bad)).toThrowError(expect.objectContaining({ status: 400, code: "invalid_import" }));
+        }
+    });
+
+    it("keeps attachment descriptions on user messages, and checks them", () => {
+        const image = { type: "image", name: "plot.png", mediaType: "image/png", size: 2048 };
+        const file = { type: "file", name: "notes.txt", size: 5, text: "hello" };
+        const s = source();
+        s.messages[0] = { ...s.messages[0], attachments: [{ ...image, url: "data:image/png;base64,AAAA" }, file] };
+        const json = toJsonExport(s);
+        expect(json.messages[0].attachments).toEqual([image, file]);
+        expect(readConversationArchive(json).messages[0].attachments).toEqual([image, file]);
+
+        for (const bad of [
+            withMessage(json, 0, { attachments: [{ ...file, type: "video" }] }),
+            withMessage(json, 0, { attachments: [{ ...file, text: "x".repeat(256 * 1024 + 1) }] }),
+            withMessage(json, 0, { attachments: Array(5).fill(image) }),
+            withMessage(json, 1, { attachments: [image] }),
+        ]) {
+            expect(() => readConversationArchive(bad)).toThrowError(expect.objectContaining({ status: 400, code: "invalid_import" }));
+        }
+    });
+
+    it("drops settings this deployment no longer accepts", () => {
+        const json = toJsonExport({ ...source(), settings: { preset: "retired" } });
+        expect(readConversationArchive(json).settings).toBeNull();
+    });
+});
+
+describe("POST /api/conversations/import", () => {
+    it("restores an export as a new conversation that can be continued", async () => {
+        const headers = { Cookie: `cid=${crypto.randomUUID()}` };
+        const imported = await callWorker(postJson("/api/conversations/import", toJsonExport(source()), { headers }));
+        expect(imported.response.status).toBe(201);
+        const summary = JSON.parse(imported.body);
+        expect(summary).toMatchObject({ title: "傅里叶", model: LLAMA, settings: { preset: "tutor", temperature: 0.4 }, createdAt: 1_000, updatedAt: 5_000 });
+
+        const get = await callWorker(new Request(`https://chat.test/api/conversations/${summary.id}`, { headers }));
+        const { messages } = JSON.parse(get.body);
+        expect(messages).toEqual(source().messages);
+
+        // 引用与附件描述随导出 / 导入往返
+        const rich = source();
+        rich.messages[0] = { ...rich.messages[0], attachments: [{ type: "file", name: "a.txt", size: 3, text: "abc" }] };
+        rich.messages[1] = { ...rich.messages[1], sources: [{ index: 1, documentId: "d", title: "t", chunk: 2, score: 0.5, excerpt: "e" }] };
+        const copy = JSON.parse((await callWorker(postJson("/api/conversations/import", toJsonExport(rich), { headers }))).body);
+        const restored = JSON.parse((await callWorker(new Request(`https://chat.test/api/conversations/${copy.id}`, { headers }))).body);
+        expect(restored.messages).toEqual(rich.messages);
+
+        // 接在导入的分支后继续
+        const userId = crypto.randomUUID();
+        const next = await callWorker(postJson("/api/chat", {
+            model: LLAMA,
+            conversationId: summary.id,
+            messages: [{ role: "user", content: "继续" }],
+            turn: { userId, assistantId: crypto.randomUUID(), parentId: "a2" },
+        }, { headers }));
+        expect(next.response.status).toBe(200);
+        const after = JSON.parse((await callWorker(new Request(`https://chat.test/api/conversations/${summary.id}`, { headers }))).body);
+        expect(after.messages.find((m: { id: string }) => m.id === userId)?.parentId).toBe("a2");
+    });
+
+    it("rejects invalid exports", async () => {
+        const { response, body } = await callWorker(postJson("/api/conversations/import", { format: "nope" }));
+        expect(response.status).toBe(400);
+        expect(JSON.parse(body).code).toBe("invalid_import");
+    });
+});
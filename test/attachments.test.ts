@@ -0,0 +1,187 @@
+import { env } from "cloudflare:test";
+import { describe, expect, it } from "vitest";
+import { createMessageTree, messageContent } from "../public/message-tree.js";
+import { contentText, MAX_FILE_BYTES, MAX_IMAGE_BYTES, readMessageContent } from "../src/attachments";
+import { HttpError } from "../src/errors";
+import { loadPolicies, matchForbidden, selectPolicy } from "../src/policy";
+import { answerOf, callWorker, fakeAi, parseEvents, postJson } from "./helpers";
+
+const LLAMA = "@cf/meta/llama-3.3-70b-instruct-fp8-fast";
+const SCOUT = "@cf/meta/llama-4-scout-17b-16e-instruct";
+const PNG = "data:image/png;base64,iVBORw0KGgo=";
+
+const image = (url = PNG, name = "chart.png") => ({ type: "image_url", image_url: { url }, name });
+const file = (text: string, filename = "notes.txt") => ({ type: "file", file: { filename, text } });
+
+function codeOf(fn: () => unknown): string | undefined {
+    try {
+        fn();
+    } catch (error) {
+        return error instanceof HttpError ? `${error.status} ${error.code}` : String(error);
+    }
+    return undefined;
+}
+
+describe("readMessageContent", () => {
+    it("accepts text, image and file parts in both OpenAI shapes", () => {
+        expect(readMessageContent("hi")).toBe("hi");
+        expect(readMessageContent([{ type: "input_text", text: "a" }, "b", { type: "refusal", refusal: "x" }])).toBe("ab");
+        expect(readMessageContent({ text: "no" })).toBeNull();
+
+        const utf8 = btoa(String.fromCharCode(...new TextEncoder().encode("第一行\nline 2")));
+        const parts = readMessageContent([
+            { type: "text", text: "look" },
+            { type: "input_image", image_url: PNG },
+            { type: "input_file", filename: "a.txt", file_data: `data:text/plain;base64,${utf8}` },
+            { type: "file", file: { filename: "b.csv", file_data: btoa("x,y") } },
+        ]);
+        expect(parts).toEqual([
+            { type: "text", text: "look" },
+            { type: "image_url", image_url: { url: PNG }, name: "image" },
+            { type: "file", file: { filename: "a.txt", text: "第一行\nline 2" } },
+            { type: "file", file: { filename: "b.csv", text: "x,y" } },
+        ]);
+        expect(contentText(parts!)).toBe('look\n\nAttached file "a.txt":\n\n第一行\nline 2\n\nAttached file "b.csv":\n\nx,y');
+    });
+
+    it("enforces types, sizes and counts", () => {
+        expect(codeOf(() => readMessageContent([image("https://x.test/a.png")]))).toBe("400 invalid_attachment");
+        expect(codeOf(() => readMessageContent([image("data:image/svg+xml;base64,PHN2Zz4=")]))).toBe("400 invalid_attachment");
+        const big = "A".repeat(Math.ceil(MAX_IMAGE_BYTES * 4 / 3) + 4);
+        expect(codeOf(() => readMessageContent([image(`data:image/png;base64,${big}`)]))).toBe("413 attachment_too_large");
+        expect(codeOf(() => readMessageContent([file("x".repeat(MAX_FILE_BYTES + 1))]))).toBe("413 attachment_too_large");
+        expect(codeOf(() => readMessageContent([{ type: "file", file: { filename: "a.bin", file_data: btoa("\xff\xfe\x00") } }])))
+            .toBe("400 invalid_attachment");
+        expect(codeOf(() => readMessageContent([{ type: "file", file: { filename: "empty" } }]))).toBe("400 invalid_attachment");
+        expect(codeOf(() => readMessageContent(Array.from({ length: 5 }, () => image())))).toBe("400 too_many_attachments");
+    });
+});
+
+describe("/api/chat with attachments", () => {
+    const ask = (content: unknown, model: string, options: { region?: string; headers?: Record<string, string> } = {}, extra = {}) =>
+        postJson("/api/chat", { model, messages: [{ role: "user", content }], ...extra }, options);
+
+    it("passes images to vision models and folds files into the text", async () => {
+        const ai = fakeAi();
+        const { response } = await callWorker(ask([{ type: "text", text: "compare" }, image(), file("a,b")], SCOUT), ai);
+        expect(response.status).toBe(200);
+        const [, user] = ai.calls[0].params.messages;
+        expect(user).toEqual({
+            role: "user",
+            content: [
+                { type: "text", text: 'compare\n\nAttached file "notes.txt":\n\na,b' },
+                { type: "image_url", image_url: { url: PNG } },
+            ],
+        });
+
+        // 文本模型：只有文件时发送字符串
+        const text = fakeAi();
+        await callWorker(ask([{ type: "text", text: "sum" }, file("1\n2")], LLAMA), text);
+        expect(text.calls[0].params.messages[1].content).toBe('sum\n\nAttached file "notes.txt":\n\n1\n2');
+    });
+
+    it("rejects images for text-only models but keeps older ones as a note", async () => {
+        const ai = fakeAi();
+        const rejected = await callWorker(ask([image()], LLAMA), ai);
+        expect(rejected.response.status).toBe(400);
+        expect(JSON.parse(rejected.body).code).toBe("images_not_supported");
+        expect(ai.calls).toHaveLength(0);
+
+        await callWorker(postJson("/api/chat", {
+            model: LLAMA,
+            messages: [
+                { role: "user", content: [{ type: "text", text: "what is this?" }, image()] },
+                { role: "assistant", content: "A chart." },
+                { role: "user", content: "thanks" },
+            ],
+        }), ai);
+        expect(ai.calls[0].params.messages[1].content)
+            .toBe('what is this?\n\n[Image "chart.png" omitted: this model cannot view images]');
+    });
+
+    it("runs the CN pre-check on attached file text", async () => {
+        const ai = fakeAi();
+        const { response, body } = await callWorker(ask([{ type: "text", text: "总结一下" }, file("赌博技巧大全")], LLAMA, { region: "CN" }), ai);
+        expect(ai.calls).toHaveLength(0);
+        expect(response.headers.get("X-Compliance-Category")).toBe("illegal_dangerous");
+        expect(answerOf(parseEvents(body))).toMatch(/^抱歉/);
+    });
+
+    it("checks the whole attached file, not only its beginning", async () => {
+        const ai = fakeAi();
+        // 禁区词在 4000 字之后
+        const text = "这是一份很长的旅行笔记。".repeat(400) + "赌博技巧";
+        expect(text.length).toBeGreaterThan(4000);
+        const { response } = await callWorker(ask([{ type: "text", text: "总结一下" }, file(text, "long.txt")], LLAMA, { region: "CN" }), ai);
+        expect(ai.calls).toHaveLength(0);
+        expect(response.headers.get("X-Compliance-Category")).toBe("illegal_dangerous");
+
+        const clean = fakeAi();
+        await callWorker(ask([{ type: "text", text: "总结一下" }, file("这是一份很长的旅行笔记。".repeat(400), "long.txt")], LLAMA, { region: "CN" }), clean);
+        expect(clean.calls).toHaveLength(1);
+
+        // 跨在窗口边界上的禁区词同样命中
+        const cn = selectPolicy(await loadPolicies({}), "CN");
+        expect(matchForbidden(cn, "a".repeat(3998) + "赌博")).toBe("illegal_dangerous");
+        expect(matchForbidden(cn, "a".repeat(3999) + "赌博" + "a".repeat(5000))).toBe("illegal_dangerous");
+    });
+
+    it("stores attachment descriptions without image data", async () => {
+        const ownerId = crypto.randomUUID();
+        const store = env.CONVERSATIONS.get(env.CONVERSATIONS.idFromName(ownerId));
+        const { id: conversationId } = await store.create({});
+        await callWorker(ask([image(), file("a,b", "data.csv")], SCOUT, { headers: { Cookie: `cid=${ownerId}` } }, { conversationId }));
+
+        const conversation = (await store.get(conversationId))!;
+        expect(conversation.title).toBe("chart.png");
+        expect(conversation.messages[0]).toMatchObject({
+            role: "user",
+            content: "",
+            attachments: [
+                { type: "image", name: "chart.png", mediaType: "image/png", size: 8 },
+                { type: "file", name: "data.csv", size: 3, text: "a,b" },
+            ],
+        });
+        expect(JSON.stringify(conversation)).not.toContain("iVBOR");
+    });
+
+    it("accepts image parts on /v1/chat/completions", async () => {
+        const ai = fakeAi();
+        const body = (model: string) => ({
+            model,
+            messages: [{ role: "user", content: [{ type: "text", text: "describe" }, { type: "image_url", image_url: { url: PNG } }] }],
+        });
+        expect((await callWorker(postJson("/v1/chat/completions", body(SCOUT)), ai)).response.status).toBe(200);
+        expect(ai.calls[0].params.messages[1].content[1]).toEqual({ type: "image_url", image_url: { url: PNG } });
+
+        const rejected = await callWorker(postJson("/v1/chat/completions", body(LLAMA)), ai);
+        expect(rejected.response.status).toBe(400);
+        expect(JSON.parse(rejected.body).error.code).toBe("images_not_supported");
+    });
+
+    it("marks vision models in /api/models", async () => {
+        const { models } = JSON.parse((await callWorker(new Request("https://chat.test/api/models"))).body);
+        expect(models.filter((m: { vision?: boolean }) => m.vision).map((m: { id: string }) => m.id)).toEqual([SCOUT]);
+    });
+});
+
+describe("message tree attachments", () => {
+    it("sends local images and file text, but not images loaded without data", () => {
+        const tree = createMessageTree();
+        const attachments = [
+            { type: "image", name: "a.png", mediaType: "image/png", size: 8, url: PNG },
+            { type: "file", name: "n.txt", size: 2, text: "hi" },
+        ];
+        const user = tree.add(null, { role: "user", content: "look", attachments });
+        expect(tree.history(user.id)).toEqual([{
+            role: "user",
+            content: [
+                { type: "text", text: "look" },
+                { type: "image_url", image_url: { url: PNG }, name: "a.png" },
+                { type: "file", file: { filename: "n.txt", text: "hi" } },
+            ],
+        }]);
+        expect(messageContent({ content: "", attachments: [{ type: "image", name: "a.png", mediaType: "image/png", size: 8 }] })).toBe("");
+        expect(messageContent({ content: "plain" })).toBe("plain");
+    });
+});
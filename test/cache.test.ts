@@ -0,0 +1,137 @@
+import { env } from "cloudflare:test";
+import { describe, expect, it } from "vitest";
+import { responseCacheKey } from "../src/cache";
+import { applyGenerationParams } from "../src/params";
+import { loadPolicies, selectPolicy } from "../src/policy";
+import { getModel } from "../src/models";
+import { answerOf, callWorker, fakeAi, fixture, parseEvents, postJson, replay } from "./helpers";
+
+const LLAMA = "@cf/meta/llama-3.3-70b-instruct-fp8-fast";
+const CACHE = { RESPONSE_CACHE: env.RESPONSE_CACHE, ADMIN_TOKEN: "admin-secret" };
+// 条目按调用方隔离：缺省以同一个访客 cid 提问
+const VISITOR = { Cookie: `cid=${crypto.randomUUID()}` };
+
+const ask = (extra: Record<string, unknown> = {}, path = "/api/chat", headers: Record<string, string> = VISITOR) =>
+    postJson(path, { model: LLAMA, messages: [{ role: "user", content: "What is 2 + 2?" }], temperature: 0, ...extra }, { headers });
+
+function purge(token = CACHE.ADMIN_TOKEN, extraEnv: Record<string, unknown> = CACHE) {
+    const request = new Request("https://chat.test/api/admin/cache/purge", {
+        method: "POST",
+        headers: { Authorization: `Bearer ${token}` },
+    });
+    return callWorker(request, fakeAi(), extraEnv);
+}
+
+describe("response cache", () => {
+    it("replays a deterministic answer without calling the model", async () => {
+        const ai = fakeAi();
+        const first = await callWorker(ask(), ai, CACHE);
+        expect(first.response.headers.get("X-Cache")).toBe("MISS");
+        expect(parseEvents(first.body)[0].data.cached).toBe(false);
+
+        const second = await callWorker(ask(), ai, CACHE);
+        expect(ai.calls).toHaveLength(1);
+        expect(second.response.headers.get("X-Cache")).toBe("HIT");
+        const events = parseEvents(second.body);
+        expect(events.map((e) => e.event)).toEqual(["meta", "delta", "done"]);
+        expect(events[0].data.cached).toBe(true);
+        expect(answerOf(events)).toBe(answerOf(parseEvents(first.body)));
+        expect(events[2].data).toMatchObject({ finishReason: "stop", usage: parseEvents(first.body).pop()!.data.usage });
+
+        // /api/chat/raw 共用同一条目，以 <final> 回放
+        const raw = await callWorker(ask({}, "/api/chat/raw"), ai, CACHE);
+        expect(ai.calls).toHaveLength(1);
+        expect(raw.response.headers.get("X-Cache")).toBe("HIT");
+        expect(parseEvents(raw.body)[0].data.response).toBe(`<final>${answerOf(events)}</final>`);
+
+        // 指标：命中不计 token
+        const stats = await callWorker(new Request("https://chat.test/api/admin/stats?groupBy=", {
+            headers: { Authorization: `Bearer ${CACHE.ADMIN_TOKEN}` },
+        }), ai, CACHE);
+        const { totals } = JSON.parse(stats.body);
+        expect(totals).toMatchObject({ requests: 3, cacheHits: 2, completionTokens: parseEvents(first.body).pop()!.data.usage.completion_tokens });
+    });
+
+    it("covers only deterministic requests that the caller did not opt out of", async () => {
+        const ai = fakeAi();
+        for (const extra of [{ temperature: 0.7 }, { temperature: undefined }, { cache: false }, { reasoning: true, model: "@cf/openai/gpt-oss-120b" }]) {
+            const { response } = await callWorker(ask(extra), ai, CACHE);
+            expect(response.headers.get("X-Cache")).toBeNull();
+        }
+        // 未绑定 KV：不缓存
+        await callWorker(ask(), ai);
+        await callWorker(ask(), ai);
+        expect(ai.calls).toHaveLength(6);
+        const invalid = await callWorker(ask({ cache: "yes" }), ai, CACHE);
+        expect(JSON.parse(invalid.body).code).toBe("invalid_parameter");
+    });
+
+    it("does not store failed or moderated answers", async () => {
+        const ai = fakeAi(() => replay(fixture("llama-tagged"), { error: true }));
+        await callWorker(ask(), ai, CACHE);
+        await callWorker(ask(), ai, CACHE);
+        expect(ai.calls).toHaveLength(2);
+
+        const moderated = fakeAi(() => replay(fixture("moderation-cn")));
+        const cn = () => postJson("/api/chat", { model: LLAMA, messages: [{ role: "user", content: "讲讲历史" }], temperature: 0 }, { region: "CN", headers: VISITOR });
+        await callWorker(cn(), moderated, CACHE);
+        const again = await callWorker(cn(), moderated, CACHE);
+        expect(again.response.headers.get("X-Cache")).toBe("MISS");
+        expect(moderated.calls).toHaveLength(2);
+    });
+
+    it("changes the key when the policy or the prompt changes", async () => {
+        const policy = selectPolicy(await loadPolicies({}), "US");
+        const model = getModel(LLAMA)!;
+        const params = applyGenerationParams({ temperature: 0 }, model, 1024);
+        const aiParams = { messages: [{ role: "user", content: "hi" }] };
+        const key = (overrides: Record<string, unknown> = {}) =>
+            responseCacheKey(CACHE, { scope: "cid:a", model: LLAMA, policy: { ...policy, ...overrides }, aiParams, params });
+
+        const base = await key();
+        expect(base).toMatch(/^resp:[0-9a-f]{64}$/);
+        expect(await key()).toBe(base);
+        expect(await key({ systemPrompt: policy.systemPrompt + "!" })).not.toBe(base);
+        expect(await key({ rules: [{ category: "x", re: /forbidden/i }] })).not.toBe(base);
+        expect(await key({ refusal: "no" })).not.toBe(base);
+        expect(await responseCacheKey(CACHE, { scope: "cid:a", model: LLAMA, policy, aiParams: { messages: [] }, params })).not.toBe(base);
+        expect(await responseCacheKey(CACHE, { scope: "cid:b", model: LLAMA, policy, aiParams, params })).not.toBe(base);
+        expect(await responseCacheKey(CACHE, { scope: null, model: LLAMA, policy, aiParams, params })).toBeNull();
+        expect(await responseCacheKey({}, { scope: "cid:a", model: LLAMA, policy, aiParams, params })).toBeNull();
+    });
+
+    it("never replays one caller's answer to another", async () => {
+        const ai = fakeAi();
+        await callWorker(ask(), ai, CACHE);
+        const other = await callWorker(ask({}, "/api/chat", { Cookie: `cid=${crypto.randomUUID()}` }), ai, CACHE);
+        expect(other.response.headers.get("X-Cache")).toBe("MISS");
+
+        // API 密钥按密钥隔离，与访客 cid 无关
+        const keys = { ...CACHE, API_KEYS_JSON: JSON.stringify([{ key: "sk-a", id: "a" }, { key: "sk-b", id: "b" }]) };
+        const withKey = (key: string) => ask({}, "/api/chat", { ...VISITOR, Authorization: `Bearer ${key}` });
+        expect((await callWorker(withKey("sk-a"), ai, keys)).response.headers.get("X-Cache")).toBe("MISS");
+        expect((await callWorker(withKey("sk-a"), ai, keys)).response.headers.get("X-Cache")).toBe("HIT");
+        expect((await callWorker(withKey("sk-b"), ai, keys)).response.headers.get("X-Cache")).toBe("MISS");
+
+        // 无法识别调用方（既无密钥也无 cid）：不缓存
+        const anonymous = await callWorker(ask({}, "/api/chat", {}), ai, CACHE);
+        expect(anonymous.response.headers.get("X-Cache")).toBeNull();
+        expect(ai.calls).toHaveLength(5);
+    });
+
+    it("purges entries with the admin token", async () => {
+        const ai = fakeAi();
+        await callWorker(ask(), ai, CACHE);
+        await callWorker(ask({ messages: [{ role: "user", content: "Another question" }] }), ai, CACHE);
+
+        expect((await purge("nope")).response.status).toBe(401);
+        expect((await purge(CACHE.ADMIN_TOKEN, { ADMIN_TOKEN: CACHE.ADMIN_TOKEN })).response.status).toBe(404);
+        const { response, body } = await purge();
+        expect(response.status).toBe(200);
+        expect(JSON.parse(body)).toEqual({ purged: 2 });
+
+        const after = await callWorker(ask(), ai, CACHE);
+        expect(after.response.headers.get("X-Cache")).toBe("MISS");
+        expect(ai.calls).toHaveLength(3);
+    });
+});
@@ -0,0 +1,136 @@
+import { describe, expect, it } from "vitest";
+import { callWorker, fakeAi, fixture, parseEvents, postJson, replay, type AiCall } from "./helpers";
+
+const LLAMA = "@cf/meta/llama-3.3-70b-instruct-fp8-fast";
+const GPT_OSS = "@cf/openai/gpt-oss-120b";
+
+// 每个模型回放各自的录制流；gpt-oss 按 64 字节分块，与 llama 的事件交错
+function compareAi(overrides: Record<string, () => unknown> = {}) {
+    return fakeAi((call: AiCall) => {
+        if (overrides[call.model]) return overrides[call.model]();
+        return call.model === GPT_OSS
+            ? replay(fixture("gpt-oss-responses"), { chunkSize: 64 })
+            : replay(fixture("llama-tagged"));
+    });
+}
+
+function compare(body: Record<string, unknown>, options?: Parameters<typeof postJson>[2]) {
+    return postJson("/api/chat/compare", { models: [LLAMA, GPT_OSS], messages: [{ role: "user", content: "hi" }], ...body }, options);
+}
+
+const byModel = (events: { event: string; data: any }[], model: string) => events.filter((e) => e.data.model === model);
+const answerFor = (events: { event: string; data: any }[], model: string) =>
+    byModel(events, model).filter((e) => e.event === "delta").map((e) => e.data.response).join("");
+
+describe("/api/chat/compare", () => {
+    it("streams every model tagged on one SSE", async () => {
+        const ai = compareAi();
+        const { response, body } = await callWorker(compare({ temperature: 0.5 }), ai);
+        expect(response.headers.get("content-type")).toContain("text/event-stream");
+        expect(ai.calls.map((c) => c.model).sort()).toEqual([GPT_OSS, LLAMA].sort());
+        expect(ai.calls.every((c) => c.params.temperature === 0.5)).toBe(true);
+
+        const events = parseEvents(body);
+        expect(events[0]).toMatchObject({ event: "compare", data: { compareId: null, models: [LLAMA, GPT_OSS], policy: "global" } });
+        expect(events[events.length - 1]).toEqual({ event: "end", data: { compareId: null } });
+
+        for (const [model, answer] of [[LLAMA, "你好！我是一个助手。"], [GPT_OSS, "The answer is 42."]]) {
+            const lane = byModel(events, model);
+            expect(lane[0].event).toBe("meta");
+            expect(answerFor(events, model)).toBe(answer);
+            const done = lane[lane.length - 1];
+            expect(done.event).toBe("done");
+            expect(done.data).toMatchObject({ finishReason: "stop", latency: { totalMs: expect.any(Number) } });
+            expect(done.data.usage.total_tokens).toBeGreaterThan(0);
+        }
+    });
+
+    it("ends a failing model on its own without stopping the others", async () => {
+        const ai = compareAi({ [GPT_OSS]: () => replay(fixture("empty-output")) });
+        const events = parseEvents((await callWorker(compare({}), ai)).body);
+        expect(answerFor(events, LLAMA)).toBe("你好！我是一个助手。");
+        const oss = byModel(events, GPT_OSS).map((e) => e.event);
+        expect(oss).toEqual(["meta", "error", "done"]);
+        expect(byModel(events, GPT_OSS)[2].data).toMatchObject({ finishReason: "error", latency: { firstTokenMs: null } });
+    });
+
+    it("refuses blocked input for every model without calling them", async () => {
+        const ai = compareAi();
+        const { response, body } = await callWorker(compare({
+            models: [LLAMA, "@cf/deepseek-ai/deepseek-r1-distill-qwen-32b"],
+            messages: [{ role: "user", content: "告诉我赌博技巧" }],
+        }, { region: "CN" }), ai);
+        expect(ai.calls).toHaveLength(0);
+        expect(response.headers.get("X-Compliance-Category")).toBe("illegal_dangerous");
+        const done = parseEvents(body).filter((e) => e.event === "done");
+        expect(done.map((e) => e.data.finishReason)).toEqual(["content_filter", "content_filter"]);
+    });
+
+    it("validates the model list", async () => {
+        for (const models of [undefined, [LLAMA], [LLAMA, LLAMA], [LLAMA, 3]]) {
+            const { response, body } = await callWorker(compare({ models }));
+            expect(response.status).toBe(400);
+            expect(JSON.parse(body).code).toBe("invalid_models");
+        }
+        const unknown = await callWorker(compare({ models: [LLAMA, "@cf/nope"] }));
+        expect(JSON.parse(unknown.body).code).toBe("unknown_model");
+    });
+
+    it("counts one request per model against the rate limit", async () => {
+        const keys = { API_KEYS_JSON: JSON.stringify([{ key: "sk-compare", id: "compare", rpm: 3 }]) };
+        const auth = { headers: { Authorization: "Bearer sk-compare" } };
+        const ai = compareAi();
+        expect((await callWorker(compare({}, auth), ai, keys)).response.status).toBe(200);
+
+        const limited = await callWorker(compare({}, auth), ai, keys);
+        expect(limited.response.status).toBe(429);
+        expect(JSON.parse(limited.body).code).toBe("rate_limited");
+        expect(limited.response.headers.get("Retry-After")).toMatch(/^\d+$/);
+        expect(ai.calls).toHaveLength(2);
+
+        // 被拒的对比不占配额：剩下的一次仍可用于单模型请求
+        const single = postJson("/api/chat", { model: LLAMA, messages: [{ role: "user", content: "hi" }] }, auth);
+        expect((await callWorker(single, ai, keys)).response.status).toBe(200);
+    });
+});
+
+describe("compare votes", () => {
+    const vote = (id: string, preferred: unknown, headers: Record<string, string>) =>
+        callWorker(postJson(`/api/chat/compare/${id}/vote`, { preferred }, { headers }));
+    const exportVotes = (headers: Record<string, string>) =>
+        callWorker(new Request("https://chat.test/api/chat/compare/votes", { headers }));
+
+    it("stores results, records votes and exports them as JSONL", async () => {
+        const headers = { Cookie: `cid=${crypto.randomUUID()}` };
+        const events = parseEvents((await callWorker(compare({ preset: "concise" }, { headers }), compareAi())).body);
+        const { compareId } = events[0].data;
+        expect(compareId).toMatch(/^[0-9a-f-]{36}$/);
+        expect((await exportVotes(headers)).body).toBe("");
+
+        expect((await vote(compareId, "gpt-5", headers)).response.status).toBe(400);
+        const voted = await vote(compareId, GPT_OSS, headers);
+        expect(JSON.parse(voted.body)).toMatchObject({ id: compareId, preferred: GPT_OSS, votedAt: expect.any(Number) });
+
+        const { response, body } = await exportVotes(headers);
+        expect(response.headers.get("content-type")).toContain("application/x-ndjson");
+        const lines = body.trim().split("\n").map((l) => JSON.parse(l));
+        expect(lines).toHaveLength(1);
+        expect(lines[0]).toMatchObject({ id: compareId, prompt: "hi", policy: "global", preset: "concise", preferred: GPT_OSS });
+        expect(lines[0].results.map((r: { model: string; answer: string }) => [r.model, r.answer])).toEqual([
+            [LLAMA, "你好！我是一个助手。"],
+            [GPT_OSS, "The answer is 42."],
+        ]);
+
+        // 改票
+        await vote(compareId, "tie", headers);
+        expect(JSON.parse((await exportVotes(headers)).body).preferred).toBe("tie");
+    });
+
+    it("only lets the visitor who ran the comparison vote on it", async () => {
+        const headers = { Cookie: `cid=${crypto.randomUUID()}` };
+        const { compareId } = parseEvents((await callWorker(compare({}, { headers }), compareAi())).body)[0].data;
+        const other = await vote(compareId, LLAMA, { Cookie: `cid=${crypto.randomUUID()}` });
+        expect(other.response.status).toBe(404);
+        expect(JSON.parse(other.body).code).toBe("comparison_not_found");
+    });
+});
@@ -0,0 +1,222 @@
+import { env } from "cloudflare:test";
+import { describe, expect, it } from "vitest";
+import {
+    DEFAULT_CONTEXT_OPTIONS,
+    estimateTokens,
+    fitContext,
+    parseContextOptions,
+    type FitContextInput,
+    type RunningSummary,
+} from "../src/context";
+import { getModel, SUMMARY_MODEL_ID, type ModelInfo } from "../src/models";
+import type { ChatMessage } from "../src/types";
+import { callWorker, fakeAi, parseEvents, postJson, replay, fixture, type AiCall } from "./helpers";
+
+const LLAMA = "@cf/meta/llama-3.3-70b-instruct-fp8-fast";
+
+// 小窗口模型：预算 = 1000 − 200 − system（约 10）
+const small: ModelInfo = { ...getModel(LLAMA)!, contextTokens: 1000, maxOutputTokens: 200, charsPerToken: 4 };
+
+// 每条约 100 token
+function turns(count: number): ChatMessage[] {
+    return Array.from({ length: count }, (_, i) => ({
+        role: i % 2 ? "assistant" : "user",
+        content: `${i}:`.padEnd(384, "x"),
+    }) as ChatMessage);
+}
+
+function summaryAi(text = "They talked about x.") {
+    return fakeAi((call: AiCall) => (call.model === SUMMARY_MODEL_ID ? { response: text } : replay(fixture("llama-tagged"))));
+}
+
+function memoryCache(initial: RunningSummary | null = null) {
+    const cache = {
+        value: initial,
+        get: async () => cache.value,
+        set: async (summary: RunningSummary) => { cache.value = summary; },
+    };
+    return cache;
+}
+
+function fit(messages: ChatMessage[], overrides: Partial<FitContextInput> = {}) {
+    return fitContext({
+        ai: summaryAi(),
+        model: small,
+        systemPrompt: "Be helpful.",
+        messages,
+        options: DEFAULT_CONTEXT_OPTIONS,
+        ...overrides,
+    });
+}
+
+describe("estimateTokens", () => {
+    it("uses the model's tokenizer ratios", () => {
+        const text = "你好世界".repeat(25);
+        const qwen = getModel("@cf/deepseek-ai/deepseek-r1-distill-qwen-32b")!;
+        expect(estimateTokens(text)).toBe(104);
+        expect(estimateTokens(text, getModel(LLAMA))).toBe(124);
+        expect(estimateTokens(text, qwen)).toBe(74);
+        expect(estimateTokens("abcdefgh", { charsPerToken: 2 })).toBe(8);
+    });
+});
+
+describe("parseContextOptions", () => {
+    it("applies defaults and validates", () => {
+        expect(parseContextOptions(undefined)).toEqual(DEFAULT_CONTEXT_OPTIONS);
+        expect(parseContextOptions({ strategy: "truncate" })).toEqual({ strategy: "truncate", summarizeAt: 0.75 });
+        expect(parseContextOptions({ summarizeAt: 0.5 })).toEqual({ strategy: "summarize", summarizeAt: 0.5 });
+        for (const bad of ["x", [], { strategy: "drop" }, { summarizeAt: 0 }, { summarizeAt: "0.5" }]) {
+            expect(() => parseContextOptions(bad)).toThrowError(expect.objectContaining({ status: 400, code: "invalid_context" }));
+        }
+    });
+});
+
+describe("fitContext", () => {
+    it("keeps short histories untouched", async () => {
+        const ai = summaryAi();
+        const messages = [{ role: "system", content: "custom" }, ...turns(3)] as ChatMessage[];
+        const { messages: out, maxOutputTokens, report } = await fit(messages, { ai });
+        expect(out).toEqual(messages);
+        expect(maxOutputTokens).toBe(200);
+        expect(report).toMatchObject({ strategy: "summarize", summarized: [], dropped: [], summaryTokens: 0 });
+        expect(ai.calls).toHaveLength(0);
+    });
+
+    it("summarizes older turns once history passes the threshold", async () => {
+        const ai = summaryAi();
+        const { messages, report } = await fit(turns(7), { ai });
+
+        expect(ai.calls).toHaveLength(1);
+        expect(ai.calls[0].model).toBe(SUMMARY_MODEL_ID);
+        expect(ai.calls[0].params.messages[1].content).toContain("User: 0:");
+
+        expect(report.summarized).toEqual([0, 1, 2, 3]);
+        expect(report.dropped).toEqual([]);
+        expect(report.summaryTokens).toBeGreaterThan(0);
+        expect(messages[0].role).toBe("system");
+        expect(messages[0].content).toContain("They talked about x.");
+        expect(messages.slice(1).map((m) => m.content.slice(0, 2))).toEqual(["4:", "5:", "6:"]);
+    });
+
+    it("respects a per-request threshold", async () => {
+        const ai = summaryAi();
+        const { report } = await fit(turns(5), { ai, options: { strategy: "summarize", summarizeAt: 0.9 } });
+        expect(report.summarized).toEqual([]);
+        const lower = await fit(turns(5), { ai, options: { strategy: "summarize", summarizeAt: 0.3 } });
+        expect(lower.report.summarized.length).toBeGreaterThan(0);
+    });
+
+    it("extends a cached running summary with newly condensed turns only", async () => {
+        const cache = memoryCache();
+        await fit(turns(7), { cache });
+        expect(cache.value).toMatchObject({ covered: 4, summary: "They talked about x." });
+
+        // 同一前缀：直接复用
+        const reuse = summaryAi();
+        const again = await fit(turns(7), { ai: reuse, cache });
+        expect(reuse.calls).toHaveLength(0);
+        expect(again.report.summarized).toEqual([0, 1, 2, 3]);
+        expect(again.report.summaryTokens).toBe(0);
+
+        // 又有轮次移出窗口：只把新轮次并入已有摘要
+        const extend = summaryAi("Updated.");
+        const longer = await fit(turns(9), { ai: extend, cache });
+        const prompt = extend.calls[0].params.messages[1].content;
+        expect(prompt).toContain("Earlier summary:\nThey talked about x.");
+        expect(prompt).not.toContain("User: 0:");
+        expect(prompt).toContain("User: 4:");
+        expect(longer.report.summarized).toEqual([0, 1, 2, 3, 4, 5]);
+        expect(cache.value).toMatchObject({ covered: 6, summary: "Updated." });
+    });
+
+    it("ignores a cached summary when the history was rewritten", async () => {
+        const cache = memoryCache({ covered: 2, hash: "stale", summary: "Old." });
+        const ai = summaryAi();
+        await fit(turns(7), { ai, cache });
+        expect(ai.calls[0].params.messages[1].content).not.toContain("Old.");
+    });
+
+    it("falls back to truncation when the summary model fails", async () => {
+        const ai = fakeAi(() => { throw new Error("down"); });
+        const { messages, report } = await fit(turns(9), { ai });
+        expect(report.summarized).toEqual([]);
+        expect(report.dropped).toEqual([0, 1]);
+        expect((messages[0].content as string).startsWith("2:")).toBe(true);
+    });
+
+    it("truncates without calling the summary model when asked to", async () => {
+        for (const overrides of [
+            { options: { strategy: "truncate" as const, summarizeAt: 0.75 } },
+            { allowSummary: false },
+        ]) {
+            const ai = summaryAi();
+            const { report } = await fit(turns(9), { ai, ...overrides });
+            expect(ai.calls).toHaveLength(0);
+            expect(report.dropped).toEqual([0, 1]);
+        }
+    });
+
+    it("shrinks the output reservation when the last message alone is too long", async () => {
+        const model = { ...small, maxOutputTokens: 600 };
+        const { maxOutputTokens, report } = await fit([{ role: "user", content: "x".repeat(2_400) }], { model });
+        expect(report.promptTokens).toBeGreaterThan(model.contextTokens - model.maxOutputTokens);
+        expect(maxOutputTokens).toBe(model.contextTokens - report.promptTokens);
+
+        const huge = await fit([{ role: "user", content: "x".repeat(8_000) }], { model });
+        expect(huge.maxOutputTokens).toBe(256);
+    });
+});
+
+describe("/api/chat context report", () => {
+    const long = (i: number) => `${i}:`.padEnd(40_000, "x");
+    const history: ChatMessage[] = [
+        { role: "user", content: long(0) },
+        { role: "assistant", content: long(1) },
+        { role: "user", content: long(2) },
+        { role: "assistant", content: "ok" },
+        { role: "user", content: "now?" },
+    ];
+
+    it("reports summarized turns in meta and headers and caches the summary per conversation", async () => {
+        const owner = crypto.randomUUID();
+        const store = env.CONVERSATIONS.get(env.CONVERSATIONS.idFromName(owner));
+        const { id } = await store.create({});
+        const request = () => postJson("/api/chat", { model: LLAMA, conversationId: id, messages: history }, {
+            headers: { Cookie: `cid=${owner}` },
+        });
+
+        const ai = summaryAi();
+        const { response, body } = await callWorker(request(), ai);
+        const meta = parseEvents(body)[0].data;
+        expect(meta.context).toMatchObject({ strategy: "summarize", summarized: [0, 1], dropped: [] });
+        expect(response.headers.get("X-Context-Summarized")).toBe("0,1");
+        expect(ai.calls.map((c) => c.model)).toEqual([SUMMARY_MODEL_ID, LLAMA]);
+        expect(ai.calls[1].params.messages[1].content).toContain("They talked about x.");
+        expect(await store.getSummary(id)).toMatchObject({ covered: 2 });
+
+        const second = summaryAi();
+        await callWorker(request(), second);
+        expect(second.calls.map((c) => c.model)).toEqual([LLAMA]);
+    });
+
+    it("truncates instead when the request asks for it", async () => {
+        const ai = summaryAi();
+        const { response, body } = await callWorker(postJson("/api/chat", {
+            model: LLAMA,
+            messages: history,
+            context: { strategy: "truncate" },
+        }), ai);
+        expect(ai.calls.map((c) => c.model)).toEqual([LLAMA]);
+        expect(parseEvents(body)[0].data.context.dropped.length).toBeGreaterThan(0);
+        expect(response.headers.get("X-Context-Dropped")).toBeTruthy();
+    });
+
+    it("rejects invalid context options", async () => {
+        const { response, body } = await callWorker(postJson("/api/chat", {
+            messages: history,
+            context: { strategy: "nope" },
+        }));
+        expect(response.status).toBe(400);
+        expect(JSON.parse(body).code).toBe("invalid_context");
+    });
+});
@@ -0,0 +1,64 @@
+import { env } from "cloudflare:test";
+import { describe, expect, it } from "vitest";
+import { callWorker, postJson } from "./helpers";
+
+const LLAMA = "@cf/meta/llama-3.3-70b-instruct-fp8-fast";
+const ANSWER = "你好！我是一个助手。";
+
+async function setup() {
+    const owner = crypto.randomUUID();
+    const store = env.CONVERSATIONS.get(env.CONVERSATIONS.idFromName(owner));
+    const { id } = await store.create({});
+    const send = (messages: { role: string; content: string }[], turn?: Record<string, unknown>) =>
+        callWorker(postJson("/api/chat", { model: LLAMA, conversationId: id, messages, turn }, {
+            headers: { Cookie: `cid=${owner}` },
+        }));
+    return { store, id, send };
+}
+
+describe("conversation message tree", () => {
+    it("chains turns without ids, as before", async () => {
+        const { store, id, send } = await setup();
+        await send([{ role: "user", content: "q1" }]);
+        await send([{ role: "user", content: "q1" }, { role: "assistant", content: ANSWER }, { role: "user", content: "q2" }]);
+        const messages = (await store.get(id))!.messages;
+        expect(messages.map((m) => m.content)).toEqual(["q1", ANSWER, "q2", ANSWER]);
+        messages.forEach((m, i) => expect(m.parentId).toBe(i ? messages[i - 1].id : null));
+    });
+
+    it("records regenerated answers and edited questions as siblings", async () => {
+        const { store, id, send } = await setup();
+        const u1 = crypto.randomUUID();
+        const a1 = crypto.randomUUID();
+        await send([{ role: "user", content: "q1" }], { userId: u1, assistantId: a1, parentId: null });
+
+        const a1b = crypto.randomUUID();
+        await send([{ role: "user", content: "q1" }], { userId: u1, assistantId: a1b, regenerate: true });
+
+        const u1b = crypto.randomUUID();
+        await send([{ role: "user", content: "q1 edited" }], { userId: u1b, assistantId: crypto.randomUUID(), parentId: null });
+
+        const messages = (await store.get(id))!.messages;
+        const byId = Object.fromEntries(messages.map((m) => [m.id, m]));
+        expect(messages).toHaveLength(5);
+        expect(byId[a1].parentId).toBe(u1);
+        expect(byId[a1b].parentId).toBe(u1);
+        expect(byId[u1b]).toMatchObject({ parentId: null, content: "q1 edited" });
+        expect(messages.filter((m) => m.content === "q1")).toHaveLength(1);
+    });
+
+    it("rejects turns that do not fit the conversation", async () => {
+        const { send } = await setup();
+        const bad = await send([{ role: "user", content: "q" }], { userId: "x", assistantId: crypto.randomUUID() });
+        expect(bad.response.status).toBe(400);
+        expect(JSON.parse(bad.body).code).toBe("invalid_turn");
+
+        const missing = await send([{ role: "user", content: "q" }], {
+            userId: crypto.randomUUID(),
+            assistantId: crypto.randomUUID(),
+            regenerate: true,
+        });
+        expect(missing.response.status).toBe(400);
+        expect(JSON.parse(missing.body).error).toContain("Message not found");
+    });
+});
@@ -0,0 +1,205 @@
+import { env } from "cloudflare:test";
+import { describe, expect, it } from "vitest";
+import { linkCitations, renderSourceList } from "../public/citations.js";
+import { chunkText, EMBEDDING_MODEL, normalizeDocumentText } from "../src/documents";
+import { callWorker, fakeAi, fixture, parseEvents, postJson, replay, type AiCall } from "./helpers";
+
+const LLAMA = "@cf/meta/llama-3.3-70b-instruct-fp8-fast";
+
+// 确定性的假向量：词 / 汉字哈希到 64 维，词重合越多余弦越高
+function fakeEmbedding(text: string): number[] {
+    const vector = new Array(64).fill(0);
+    for (const token of text.toLowerCase().match(/[a-z0-9]+|[\u4e00-\u9fff]/g) ?? []) {
+        let h = 0;
+        for (const c of token) h = (h * 31 + c.charCodeAt(0)) >>> 0;
+        vector[h % 64] += 1;
+    }
+    return vector;
+}
+
+function ragAi() {
+    return fakeAi((call: AiCall) => call.model === EMBEDDING_MODEL
+        ? { shape: [call.params.text.length, 64], data: call.params.text.map(fakeEmbedding) }
+        : replay(fixture("llama-tagged")));
+}
+
+function owner() {
+    const id = crypto.randomUUID();
+    return { id, headers: { Cookie: `cid=${id}` } };
+}
+
+const HANDBOOK = [
+    "# Office handbook",
+    "The office opens at 9am and closes at 6pm on weekdays.",
+    "Parking is available in garage B for employees with a badge.",
+    "Lunch is served in the cafeteria on the third floor from noon.",
+].join("\n\n");
+
+async function upload(headers: Record<string, string>, body: Record<string, unknown>, ai = ragAi()) {
+    const { response, body: text } = await callWorker(postJson("/api/documents", { collection: "handbook", ...body }, { headers }), ai);
+    return { status: response.status, data: text ? JSON.parse(text) : null };
+}
+
+describe("document chunking", () => {
+    it("packs paragraphs into chunks and splits long ones by sentence", () => {
+        const paragraphs = ["a".repeat(300), "b".repeat(300), "c".repeat(100), "d".repeat(300)];
+        const chunks = chunkText(paragraphs.join("\n\n"), 800, 200);
+        // 第二块以上一块的短末段（c…）开头
+        expect(chunks).toEqual([paragraphs.slice(0, 3).join("\n\n"), paragraphs.slice(2).join("\n\n")]);
+
+        const long = "这是一句话。".repeat(300);
+        const pieces = chunkText(long, 800);
+        expect(pieces.every((p) => p.length <= 800)).toBe(true);
+        expect(pieces.join("")).toBe(long);
+        expect(pieces.every((p) => p.endsWith("。"))).toBe(true);
+        expect(chunkText("  \n\n ")).toEqual([]);
+    });
+
+    it("normalizes PDF-extracted text and Markdown", () => {
+        expect(normalizeDocumentText("The quick brown fox jum-\nped over\nthe dog.\f第一页的\n内容", "pdf"))
+            .toBe("The quick brown fox jumped over the dog.\n\n第一页的内容");
+        expect(normalizeDocumentText("See ![chart](a.png) and [docs](https://x.test)\r\n\r\n\r\n<!-- note -->End", "markdown"))
+            .toBe("See chart and docs\n\nEnd");
+    });
+});
+
+describe("/api/documents", () => {
+    it("embeds, lists and deletes documents per visitor", async () => {
+        const { headers } = owner();
+        const ai = ragAi();
+        const { status, data } = await upload(headers, { text: HANDBOOK, format: "markdown" }, ai);
+        expect(status).toBe(201);
+        expect(data).toMatchObject({ collection: "handbook", title: "Office handbook", chunks: 1 });
+        expect(ai.calls).toEqual([{ model: EMBEDDING_MODEL, params: { text: [expect.stringContaining("garage B")] }, options: undefined }]);
+
+        const list = async (h: Record<string, string>) =>
+            JSON.parse((await callWorker(new Request("https://chat.test/api/documents?collection=handbook", { headers: h }))).body).documents;
+        expect((await list(headers)).map((d: { id: string }) => d.id)).toEqual([data.id]);
+        expect(await list(owner().headers)).toEqual([]);
+
+        const del = (id: string) => callWorker(new Request(`https://chat.test/api/documents/${id}`, { method: "DELETE", headers }));
+        expect((await del(data.id)).response.status).toBe(204);
+        expect((await del(data.id)).response.status).toBe(404);
+        expect(await list(headers)).toEqual([]);
+    });
+
+    it("rejects bad uploads", async () => {
+        const { headers } = owner();
+        expect((await upload(headers, { collection: "no spaces", text: "x" })).data.code).toBe("invalid_collection");
+        expect((await upload(headers, { text: "   " })).data.code).toBe("invalid_document");
+        expect((await upload(headers, { text: "x", format: "docx" })).data.code).toBe("invalid_document");
+        expect(await upload(headers, { text: "x".repeat(100_001) })).toMatchObject({ status: 413, data: { code: "document_too_large" } });
+        const broken = fakeAi(() => ({}));
+        expect(await upload(headers, { text: "hello" }, broken)).toMatchObject({ status: 502, data: { code: "embedding_failed" } });
+    });
+
+    it("returns 503 without a Vectorize binding and stores nothing", async () => {
+        const { headers } = owner();
+        const ai = ragAi();
+        const { response, body } = await callWorker(
+            postJson("/api/documents", { collection: "handbook", text: HANDBOOK }, { headers }), ai, { VECTORIZE: undefined });
+        expect(response.status).toBe(503);
+        expect(JSON.parse(body).code).toBe("documents_not_enabled");
+        expect(ai.calls).toEqual([]);
+        const list = await callWorker(new Request("https://chat.test/api/documents", { headers }));
+        expect(JSON.parse(list.body).documents).toEqual([]);
+        const del = await callWorker(
+            new Request(`https://chat.test/api/documents/${crypto.randomUUID()}`, { method: "DELETE", headers }), ai, { VECTORIZE: undefined });
+        expect(del.response.status).toBe(503);
+    });
+});
+
+describe("/api/chat with a collection", () => {
+    it("puts the closest chunks into the prompt and reports them in meta", async () => {
+        const { id: ownerId, headers } = owner();
+        // 每段约 500 字：各成一块
+        const text = HANDBOOK.split("\n\n").map((p) => p + " " + "filler ".repeat(60)).join("\n\n");
+        const { data: doc } = await upload(headers, { title: "Handbook", text });
+        expect(doc.chunks).toBeGreaterThan(1);
+
+        const store = env.CONVERSATIONS.get(env.CONVERSATIONS.idFromName(ownerId));
+        const { id: conversationId } = await store.create({});
+        const ai = ragAi();
+        const { body } = await callWorker(postJson("/api/chat", {
+            model: LLAMA,
+            conversationId,
+            messages: [{ role: "user", content: "where is parking for employees with a badge?" }],
+            collection: "handbook",
+            topK: 2,
+        }, { headers }), ai);
+
+        const meta = parseEvents(body)[0].data;
+        expect(meta.sources).toHaveLength(2);
+        expect(meta.sources[0]).toMatchObject({ index: 1, documentId: doc.id, title: "Handbook" });
+        expect(meta.sources[0].excerpt).toContain("garage B");
+        expect(meta.sources[0].excerpt.length).toBeLessThanOrEqual(241);
+
+        const [embed, chat] = ai.calls;
+        expect(embed.params.text).toEqual(["where is parking for employees with a badge?"]);
+        const system = chat.params.messages[0].content;
+        expect(system).toContain("cite the passages you use");
+        expect(system).toMatch(/\[1\] Handbook\n[^[]*garage B/);
+
+        const [, answer] = (await store.get(conversationId))!.messages;
+        expect(answer.sources).toEqual(meta.sources);
+    });
+
+    it("requires the collection to belong to the visitor", async () => {
+        const { headers } = owner();
+        await upload(headers, { text: HANDBOOK });
+        const ask = (h: Record<string, string>, extra: Record<string, unknown> = {}) => callWorker(postJson("/api/chat", {
+            model: LLAMA,
+            messages: [{ role: "user", content: "parking?" }],
+            collection: "handbook",
+            ...extra,
+        }, { headers: h }), ragAi());
+
+        const other = await ask(owner().headers);
+        expect(other.response.status).toBe(404);
+        expect(JSON.parse(other.body).code).toBe("collection_not_found");
+        expect(JSON.parse((await ask(headers, { topK: 20 })).body).code).toBe("invalid_top_k");
+
+        // 未带 collection：不检索
+        const ai = ragAi();
+        const plain = await callWorker(postJson("/api/chat", { model: LLAMA, messages: [{ role: "user", content: "hi" }] }, { headers }), ai);
+        expect(parseEvents(plain.body)[0].data.sources).toEqual([]);
+        expect(ai.calls.map((c) => c.model)).toEqual([LLAMA]);
+    });
+
+    it("leaves out chunks that the region's policy forbids", async () => {
+        const { headers } = owner();
+        await upload(headers, { text: ["赌博技巧大全", "办公室早上九点开门"].join("\n\n"), title: "杂项" }, ragAi());
+        // 两段合成一块：整块命中规则而被排除
+        const ai = ragAi();
+        const { body } = await callWorker(postJson("/api/chat", {
+            model: LLAMA,
+            messages: [{ role: "user", content: "办公室几点开门？" }],
+            collection: "handbook",
+        }, { region: "CN", headers }), ai);
+        expect(parseEvents(body)[0].data.sources).toEqual([]);
+        expect(ai.calls[1].params.messages[0].content).not.toContain("Reference passages");
+    });
+});
+
+describe("citation rendering", () => {
+    const sources = [1, 2].map((index) => ({ index, documentId: "d", title: `Doc <${index}>`, chunk: index - 1, score: 0.9, excerpt: `excerpt ${index}` }));
+
+    it("links known citation numbers outside code", () => {
+        const html = "<p>Open at 9 [1][2], see [1, 2] and [3].</p><pre><code>a[1]</code></pre><p><code>[2]</code></p>";
+        const linked = linkCitations(html, sources, "s");
+        expect(linked).toBe(
+            '<p>Open at 9 <sup class="citation"><a href="#s-1" data-source="1">[1]</a></sup>' +
+            '<sup class="citation"><a href="#s-2" data-source="2">[2]</a></sup>, see ' +
+            '<sup class="citation"><a href="#s-1" data-source="1">[1]</a></sup>' +
+            '<sup class="citation"><a href="#s-2" data-source="2">[2]</a></sup> and [3].</p>' +
+            "<pre><code>a[1]</code></pre><p><code>[2]</code></p>",
+        );
+    });
+
+    it("renders escaped footnotes", () => {
+        const list = renderSourceList(sources, "s");
+        expect(list).toContain('<li id="s-2" value="2"><span class="source-title">Doc &lt;2&gt;</span>');
+        expect(list).toContain("第 2 段");
+        expect(renderSourceList([], "s")).toBe("");
+    });
+});
@@ -0,0 +1,4 @@
+// cloudflare:test 的 env 即 wrangler.jsonc 中的绑定（类型见 worker-configuration.d.ts）
+declare module "cloudflare:test" {
+    interface ProvidedEnv extends Env {}
+}
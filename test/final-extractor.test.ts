@@ -0,0 +1,175 @@
+import { describe, expect, it } from "vitest";
+import { createFinalExtractor, extractFinalText } from "../public/final-extractor.js";
+import { fixture } from "./helpers";
+
+// SSE → 正文片段（与 Worker 的取文规则一致：Responses 只取 output_text.delta，无 delta 时以 completed 兜底）
+function ssePieces(raw: string): string[] {
+    const pieces: string[] = [];
+    let completed = "";
+    let sawDelta = false;
+    for (const block of raw.split(/\n\n+/)) {
+        const data = block.split("\n").find((line) => line.startsWith("data:"))?.slice(5).trim();
+        if (!data || data === "[DONE]") continue;
+        const obj = JSON.parse(data);
+        if (typeof obj.response === "string") {
+            pieces.push(obj.response);
+        } else if (obj.type === "response.output_text.delta") {
+            sawDelta = true;
+            pieces.push(obj.delta);
+        } else if (obj.type === "response.completed") {
+            completed = obj.response.output
+                .flatMap((item: any) => item.content ?? [])
+                .map((c: any) => c.text ?? "")
+                .join("");
+        } else if (typeof obj.choices?.[0]?.delta?.content === "string") {
+            pieces.push(obj.choices[0].delta.content);
+        }
+    }
+    if (!sawDelta && completed) pieces.push(completed);
+    return pieces;
+}
+
+function run(pieces: string[]) {
+    const extractor = createFinalExtractor();
+    let answer = "";
+    let preamble = "";
+    for (const piece of pieces) {
+        const out = extractor.push(piece);
+        answer += out.answer;
+        preamble += out.preamble;
+    }
+    const out = extractor.end();
+    return { answer: answer + out.answer, preamble: preamble + out.preamble, extractor };
+}
+
+// 确定性伪随机切分（mulberry32）
+function randomSplit(text: string, seed: number): string[] {
+    let s = seed;
+    const rand = () => {
+        s = (s + 0x6d2b79f5) | 0;
+        let t = Math.imul(s ^ (s >>> 15), 1 | s);
+        t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+    const pieces: string[] = [];
+    for (let i = 0; i < text.length;) {
+        const n = 1 + Math.floor(rand() * 6);
+        pieces.push(text.slice(i, i + n));
+        i += n;
+    }
+    return pieces;
+}
+
+const cases: { name: string; answer: string; preamble?: string }[] = [
+    { name: "llama-tagged", answer: "你好！我是一个助手。" },
+    { name: "uppercase-tags", answer: "Hello there." },
+    { name: "deepseek-think", answer: "2 + 2 = **4**", preamble: "The user asks for 2+2" },
+    { name: "deepseek-untagged", answer: "3 × 7 = 21。" },
+    { name: "untagged-selftalk", answer: "Paris is the capital of France." },
+    { name: "multiple-finals", answer: "真正的回答" },
+    { name: "unclosed-final", answer: "Step 1: boil water.\nStep 2: add tea." },
+    { name: "placeholder-only", answer: "" },
+    { name: "literal-angle", answer: "if a < b && b <= c then a < c; also <b>bold</b>" },
+    { name: "chat-completions", answer: "Bonjour，世界" },
+    { name: "gpt-oss-responses", answer: "The answer is 42." },
+];
+
+describe("createFinalExtractor: recorded streams", () => {
+    for (const { name, answer, preamble } of cases) {
+        describe(name, () => {
+            const pieces = ssePieces(fixture(name));
+            const text = pieces.join("");
+
+            it("as recorded", () => {
+                const result = run(pieces);
+                expect(result.answer.trim()).toBe(answer);
+                expect(result.extractor.result()).toBe(answer);
+                if (preamble) expect(result.preamble).toContain(preamble);
+            });
+
+            it("whole text at once", () => {
+                expect(run([text]).answer.trim()).toBe(answer);
+                expect(extractFinalText(text)).toBe(answer);
+            });
+
+            it("one character at a time", () => {
+                expect(run([...text]).answer.trim()).toBe(answer);
+            });
+
+            it("random splits", () => {
+                for (let seed = 1; seed <= 20; seed++) {
+                    expect(run(randomSplit(text, seed)).answer.trim()).toBe(answer);
+                }
+            });
+        });
+    }
+});
+
+describe("createFinalExtractor: streaming behaviour", () => {
+    it("emits answer text as it arrives and never emits tags", () => {
+        const extractor = createFinalExtractor();
+        expect(extractor.push("<final>Hel").answer).toBe("Hel");
+        expect(extractor.push("lo</fin").answer).toBe("lo");
+        expect(extractor.push("al>ignored").answer).toBe("");
+        expect(extractor.end().answer).toBe("");
+        expect(extractor.answer).toBe("Hello");
+    });
+
+    it("holds back a placeholder block until real content arrives", () => {
+        const extractor = createFinalExtractor();
+        expect(extractor.push("<final>  ..").answer).toBe("");
+        expect(extractor.push(".\n").answer).toBe("");
+        expect(extractor.push("Answer").answer).toBe("Answer");
+    });
+
+    it("does not stream untagged text before the end", () => {
+        const extractor = createFinalExtractor();
+        expect(extractor.push("Plain answer").answer).toBe("");
+        expect(extractor.result()).toBe("Plain answer");
+        expect(extractor.end().answer).toBe("Plain answer");
+        expect(extractor.sawFinal).toBe(false);
+    });
+
+    it("keeps think text out of the fallback answer but in the preamble", () => {
+        const extractor = createFinalExtractor();
+        expect(extractor.push("<think>secret plan").preamble).toBe("secret plan");
+        expect(extractor.push("</think>Visible").preamble).toBe("Visible");
+        expect(extractor.end().answer).toBe("Visible");
+    });
+
+    it("result() reports the partial answer of an interrupted stream", () => {
+        const extractor = createFinalExtractor();
+        extractor.push("thinking...<final>Partial ans");
+        expect(extractor.result()).toBe("Partial ans");
+        expect(extractor.answer).toBe("Partial ans");
+    });
+
+    it("ignores input after end()", () => {
+        const extractor = createFinalExtractor();
+        extractor.push("<final>Done</final>");
+        extractor.end();
+        expect(extractor.push("<final>more</final>")).toEqual({ answer: "", preamble: "" });
+        expect(extractor.end()).toEqual({ answer: "", preamble: "" });
+    });
+
+    it("flushes a dangling partial tag as text at the end", () => {
+        expect(extractFinalText("<final>a <")).toBe("a <");
+        expect(extractFinalText("<final>x</fin")).toBe("x</fin");
+    });
+});
+
+describe("extractFinalText", () => {
+    it("handles non-string and empty input", () => {
+        expect(extractFinalText(undefined as unknown as string)).toBe("");
+        expect(extractFinalText("")).toBe("");
+        expect(extractFinalText("…")).toBe("");
+    });
+
+    it("returns the first non-placeholder block", () => {
+        expect(extractFinalText("<final>...</final>x<final>A</final><final>B</final>")).toBe("A");
+    });
+
+    it("returns empty when only placeholder blocks were tagged", () => {
+        expect(extractFinalText("draft<final> … </final>")).toBe("");
+    });
+});
@@ -0,0 +1,151 @@
+/**
+ * 测试工具：录制的 SSE fixture + 可回放的假 AI 绑定 + 直接调用 Worker
+ * - fixture：test/fixtures/*.sse，即页面“下载原始SSE”得到的文件（源SSE模式下为上游原文）
+ * - fakeAi：替换 env.AI，记录每次 run 的参数，并按 responder 返回回放流 / JSON
+ */
+
+import { createExecutionContext, env, waitOnExecutionContext } from "cloudflare:test";
+import worker from "../src/index";
+
+type WorkerEnv = Parameters<typeof worker.fetch>[1];
+
+const fixtures = import.meta.glob<string>("./fixtures/*.sse", { query: "?raw", import: "default", eager: true });
+
+export function fixture(name: string): string {
+    const raw = fixtures[`./fixtures/${name}.sse`];
+    if (raw === undefined) throw new Error(`missing fixture ${name}`);
+    return raw;
+}
+
+export interface ReplayOptions {
+    /** 每块字节数；缺省按 SSE 事件分块（与上游一致） */
+    chunkSize?: number;
+    /** 回放完后以错误结束流（模拟上游中断） */
+    error?: boolean;
+}
+
+/** 把录制的 SSE 回放成 text/event-stream 响应 */
+export function replay(raw: string, options: ReplayOptions = {}): Response {
+    const chunks = options.chunkSize
+        ? splitEvery(new TextEncoder().encode(raw), options.chunkSize)
+        : (raw.match(/[\s\S]*?(?:\n\n|$)/g) || []).filter(Boolean).map((e) => new TextEncoder().encode(e));
+    let i = 0;
+    const body = new ReadableStream<Uint8Array>({
+        pull(controller) {
+            if (i < chunks.length) return controller.enqueue(chunks[i++]);
+            if (options.error) controller.error(new Error("upstream reset"));
+            else controller.close();
+        },
+    });
+    return new Response(body, { headers: { "content-type": "text/event-stream" } });
+}
+
+function splitEvery(bytes: Uint8Array, size: number): Uint8Array[] {
+    const out: Uint8Array[] = [];
+    for (let i = 0; i < bytes.length; i += size) out.push(bytes.slice(i, i + size));
+    return out;
+}
+
+export interface AiCall {
+    model: string;
+    params: any;
+    options: any;
+}
+
+export type FakeAi = { run: (model: string, params: any, options?: any) => Promise<any>; calls: AiCall[] };
+
+/** 假 AI 绑定：responder 缺省时回放 llama-tagged；非流式调用（如摘要模型）可直接返回结果对象 */
+export function fakeAi(responder: (call: AiCall) => unknown = () => replay(fixture("llama-tagged"))): FakeAi {
+    const calls: AiCall[] = [];
+    return {
+        calls,
+        async run(model, params, options) {
+            const call = { model, params, options };
+            calls.push(call);
+            return responder(call);
+        },
+    };
+}
+
+type StoredVector = { id: string; namespace?: string; values: number[]; metadata?: Record<string, unknown> };
+
+/** 假 Vectorize 绑定：向量存在内存中，按命名空间做余弦相似度检索（与生产索引的 metric 一致） */
+export function fakeVectorize() {
+    const vectors = new Map<string, StoredVector>();
+    return {
+        async upsert(items: StoredVector[]) {
+            for (const v of items) vectors.set(v.id, v);
+            return { ids: items.map((v) => v.id), count: items.length };
+        },
+        async query(values: number[], { topK = 5, namespace }: { topK?: number; namespace?: string } = {}) {
+            const matches = [...vectors.values()]
+                .filter((v) => v.namespace === namespace)
+                .map((v) => ({ id: v.id, score: cosine(values, v.values), metadata: v.metadata }))
+                .sort((a, b) => b.score - a.score)
+                .slice(0, topK);
+            return { matches, count: matches.length };
+        },
+        async deleteByIds(ids: string[]) {
+            for (const id of ids) vectors.delete(id);
+            return { ids, count: ids.length };
+        },
+    };
+}
+
+function cosine(a: number[], b: number[]): number {
+    let dot = 0;
+    let na = 0;
+    let nb = 0;
+    for (let i = 0; i < Math.min(a.length, b.length); i++) {
+        dot += a[i] * b[i];
+        na += a[i] * a[i];
+        nb += b[i] * b[i];
+    }
+    return na && nb ? dot / Math.sqrt(na * nb) : 0;
+}
+
+// Vectorize 在本地没有模拟实现，测试共用一个假索引
+const testVectorize = fakeVectorize();
+
+/**
+ * Worker 的 env：wrangler.jsonc 中的绑定，AI 换成假绑定，VECTORIZE 换成假索引；
+ * 回答缓存缺省不绑定，缓存测试经 extraEnv 传入 env.RESPONSE_CACHE
+ */
+export function workerEnv(ai: FakeAi = fakeAi(), extraEnv: Record<string, unknown> = {}): WorkerEnv {
+    return { ...env, VECTORIZE: testVectorize, RESPONSE_CACHE: undefined, ...extraEnv, AI: ai } as unknown as WorkerEnv;
+}
+
+/** 用假 AI 直接调用 Worker 的 fetch，读完响应体并等待 waitUntil（落库 / 计费）完成 */
+export async function callWorker(request: Request, ai: FakeAi = fakeAi(), extraEnv: Record<string, unknown> = {}) {
+    const ctx = createExecutionContext();
+    const response = await worker.fetch(request, workerEnv(ai, extraEnv), ctx);
+    const body = await response.text();
+    await waitOnExecutionContext(ctx);
+    return { response, body };
+}
+
+/** POST JSON；地区经 CF-IPCountry 头指定（测试中没有 request.cf） */
+export function postJson(path: string, body: unknown, { region = "US", headers = {} as Record<string, string> } = {}) {
+    return new Request(`https://chat.test${path}`, {
+        method: "POST",
+        headers: { "content-type": "application/json", "CF-IPCountry": region, ...headers },
+        body: JSON.stringify(body),
+    });
+}
+
+/** 解析规范化 SSE（/api/chat）为 {event, data} 列表 */
+export function parseEvents(text: string): { event: string; data: any }[] {
+    return text
+        .split("\n\n")
+        .filter((block) => block.trim())
+        .map((block) => {
+            const event = block.match(/^event: (.*)$/m)?.[1] ?? "message";
+            const data = block.match(/^data: (.*)$/m)?.[1] ?? "";
+            return { event, data: data === "[DONE]" ? data : JSON.parse(data) };
+        });
+}
+
+/** 拼出 /api/chat 流中的回答正文 */
+export function answerOf(events: { event: string; data: any }[]): string {
+    return events.filter((e) => e.event === "delta").map((e) => e.data.response).join("");
+}
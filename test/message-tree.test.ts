@@ -0,0 +1,80 @@
+import { describe, expect, it } from "vitest";
+import { createMessageTree } from "../public/message-tree.js";
+
+// u1 → a1 ┬ (a1 的兄弟) a1b
+//         └ u2 → a2
+function sample() {
+    const tree = createMessageTree();
+    tree.add(null, { id: "u1", role: "user", content: "q1" });
+    tree.add("u1", { id: "a1", role: "assistant", content: "r1" });
+    tree.add("a1", { id: "u2", role: "user", content: "q2" });
+    tree.add("u2", { id: "a2", role: "assistant", content: "r2" });
+    return tree;
+}
+
+const ids = (nodes: { id: string }[]) => nodes.map((n) => n.id);
+
+describe("createMessageTree", () => {
+    it("follows the newest branch and sends it as history", () => {
+        const tree = sample();
+        expect(ids(tree.path())).toEqual(["u1", "a1", "u2", "a2"]);
+        expect(tree.leaf()?.id).toBe("a2");
+        expect(tree.history("u2")).toEqual([
+            { role: "user", content: "q1" },
+            { role: "assistant", content: "r1" },
+            { role: "user", content: "q2" },
+        ]);
+    });
+
+    it("adds regenerated answers as siblings and switches between them", () => {
+        const tree = sample();
+        tree.add("u1", { id: "a1b", role: "assistant", content: "r1 again" });
+        expect(tree.siblings("a1b")).toEqual({ index: 2, count: 2 });
+        expect(ids(tree.path())).toEqual(["u1", "a1b"]);
+
+        expect(tree.step("a1b", -1)).toBe("a1");
+        expect(ids(tree.path())).toEqual(["u1", "a1", "u2", "a2"]);
+        expect(tree.step("a1", -1)).toBeNull();
+        expect(tree.step("a1", 1)).toBe("a1b");
+    });
+
+    it("keeps the edited question as a sibling and selects a branch by node", () => {
+        const tree = sample();
+        const edited = tree.add("a1", { role: "user", content: "q2 edited" });
+        expect(tree.siblings(edited.id)).toEqual({ index: 2, count: 2 });
+        expect(ids(tree.path())).toEqual(["u1", "a1", edited.id]);
+
+        expect(ids(tree.path("a2"))).toEqual(["u1", "a1", "u2", "a2"]);
+        expect(tree.leaf()?.id).toBe("a2");
+    });
+
+    it("removes a subtree and falls back to the newest remaining sibling", () => {
+        const tree = sample();
+        const edited = tree.add("a1", { role: "user", content: "q2 edited" });
+        tree.remove(edited.id);
+        expect(tree.get(edited.id)).toBeUndefined();
+        expect(tree.leaf()?.id).toBe("a2");
+        tree.remove("u2");
+        expect(tree.size).toBe(2);
+        expect(tree.leaf()?.id).toBe("a1");
+    });
+
+    it("loads stored messages, chaining ones without a parent", () => {
+        const tree = createMessageTree();
+        tree.load([
+            { id: "m1", role: "user", content: "q1" },
+            { id: "m2", role: "assistant", content: "r1", truncated: true },
+            { id: "x1", parentId: "m1", role: "assistant", content: "r1b" },
+            { id: "x2", parentId: null, role: "system", content: "ignored" },
+        ]);
+        expect(ids(tree.path())).toEqual(["m1", "x1"]);
+        expect(tree.siblings("m2")).toEqual({ index: 1, count: 2 });
+        expect(tree.get("m2")?.truncated).toBe(true);
+    });
+
+    it("rejects duplicate ids and unknown parents", () => {
+        const tree = sample();
+        expect(() => tree.add(null, { id: "u1", role: "user", content: "x" })).toThrow();
+        expect(() => tree.add("nope", { role: "user", content: "x" })).toThrow();
+    });
+});
@@ -0,0 +1,94 @@
+import { describe, expect, it } from "vitest";
+import { HttpError } from "../src/errors";
+import { createRequestTracker, readStatsQuery, type RequestMetric } from "../src/metrics";
+import { callWorker, fakeAi, fixture, parseEvents, postJson, replay } from "./helpers";
+
+const LLAMA = "@cf/meta/llama-3.3-70b-instruct-fp8-fast";
+const ADMIN = { ADMIN_TOKEN: "admin-secret" };
+
+function stats(query = "", token = ADMIN.ADMIN_TOKEN, extraEnv: Record<string, unknown> = ADMIN) {
+    const headers = token ? { Authorization: `Bearer ${token}` } : undefined;
+    return callWorker(new Request(`https://chat.test/api/admin/stats${query}`, { headers }), fakeAi(), extraEnv);
+}
+
+const chat = (path: string, content: string, region: string) =>
+    postJson(path, { model: LLAMA, messages: [{ role: "user", content }] }, { region });
+
+describe("request tracker", () => {
+    it("records one metric with the first-token and total latency", () => {
+        const metrics: RequestMetric[] = [];
+        const tracker = createRequestTracker(
+            { requestId: "r", route: "chat", model: LLAMA, region: "US", policy: "default" },
+            Date.now() - 50,
+            (m) => metrics.push(m),
+        );
+        expect(tracker.latency().firstTokenMs).toBeNull();
+        tracker.firstToken();
+        const first = tracker.latency().firstTokenMs;
+        tracker.firstToken();
+        expect(tracker.latency().firstTokenMs).toBe(first);
+
+        const usage = { prompt_tokens: 10, completion_tokens: 5, total_tokens: 15 };
+        const latency = tracker.finish({ finishReason: "stop", usage });
+        expect(latency.totalMs).toBeGreaterThanOrEqual(50);
+        expect(tracker.finish({ finishReason: "aborted", usage })).toBe(latency);
+        expect(metrics).toEqual([expect.objectContaining({
+            finishReason: "stop",
+            blocked: null,
+            errorCode: null,
+            promptTokens: 10,
+            completionTokens: 5,
+            firstTokenMs: first,
+        })]);
+    });
+
+    it("reads the stats query", () => {
+        const now = Date.parse("2026-03-10T12:00:00Z");
+        expect(readStatsQuery(new URLSearchParams(), now)).toEqual({
+            from: "2026-03-04",
+            to: "2026-03-10",
+            groupBy: ["day", "model", "region"],
+        });
+        expect(readStatsQuery(new URLSearchParams("to=2026-01-02&groupBy=region, model"), now))
+            .toEqual({ from: "2025-12-27", to: "2026-01-02", groupBy: ["model", "region"] });
+        expect(readStatsQuery(new URLSearchParams("groupBy="), now).groupBy).toEqual([]);
+        for (const bad of ["from=2026-1-1", "from=2026-03-11&to=2026-03-10", "groupBy=policy"]) {
+            expect(() => readStatsQuery(new URLSearchParams(bad), now)).toThrow(HttpError);
+        }
+    });
+});
+
+describe("request metrics", () => {
+    it("reports latency in done and aggregates by model and region", async () => {
+        const { body } = await callWorker(chat("/api/chat", "hi", "DE"));
+        const events = parseEvents(body);
+        const done = events[events.length - 1];
+        expect(done.event).toBe("done");
+        expect(done.data.latency).toEqual({ firstTokenMs: expect.any(Number), totalMs: expect.any(Number) });
+
+        await callWorker(chat("/api/chat/raw", "hi", "DE"));
+        await callWorker(chat("/api/chat", "hi", "DE"), fakeAi(() => replay(fixture("llama-tagged"), { error: true })));
+        await callWorker(chat("/api/chat", "赌博技巧大全", "CN"));
+
+        const { response, body: json } = await stats("?groupBy=model,region");
+        expect(response.status).toBe(200);
+        const { rows, totals, groupBy } = JSON.parse(json);
+        expect(groupBy).toEqual(["model", "region"]);
+        const de = rows.find((r: { region: string }) => r.region === "DE");
+        expect(de).toMatchObject({ model: LLAMA, requests: 3, errors: 1, aborted: 0, inputBlocks: 0, outputBlocks: 0 });
+        expect(de.promptTokens).toBeGreaterThan(0);
+        expect(de.completionTokens).toBeGreaterThan(0);
+        expect(rows.find((r: { region: string }) => r.region === "CN")).toMatchObject({ requests: 1, inputBlocks: 1 });
+        expect(totals.requests).toBeGreaterThanOrEqual(4);
+        expect(totals).not.toHaveProperty("model");
+    });
+
+    it("requires the admin token", async () => {
+        expect((await stats("", "admin-secret", {})).response.status).toBe(404);
+        const wrong = await stats("", "nope");
+        expect(wrong.response.status).toBe(401);
+        expect(JSON.parse(wrong.body).code).toBe("admin_auth_required");
+        expect((await stats("", "")).response.status).toBe(401);
+        expect(JSON.parse((await stats("?from=yesterday")).body).code).toBe("invalid_stats_query");
+    });
+});
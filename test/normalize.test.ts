@@ -0,0 +1,51 @@
+import { describe, expect, it } from "vitest";
+import { normalizeChunkToText } from "../src/index";
+
+describe("normalizeChunkToText", () => {
+    it("reads Workers AI native chunks", () => {
+        expect(normalizeChunkToText({ response: "hi" })).toBe("hi");
+        expect(normalizeChunkToText({ response: "", usage: { prompt_tokens: 1 } })).toBe("");
+    });
+
+    it("reads Responses output_text deltas", () => {
+        expect(normalizeChunkToText({ type: "response.output_text.delta", delta: "a" })).toBe("a");
+        expect(normalizeChunkToText({ type: "response.output_text.delta", delta: 1 })).toBe("");
+    });
+
+    it("reads the full text of response.completed", () => {
+        const completed = (output: unknown) => ({ type: "response.completed", response: { output } });
+        expect(normalizeChunkToText(completed([
+            { type: "reasoning", content: [{ type: "reasoning_text", text: "think " }] },
+            { type: "message", content: [{ type: "output_text", text: "answer" }] },
+        ]))).toBe("think answer");
+        expect(normalizeChunkToText(completed([{ type: "message", text: "flat" }]))).toBe("flat");
+        expect(normalizeChunkToText(completed([{ content: [{ data: { text: "nested" } }] }]))).toBe("nested");
+        expect(normalizeChunkToText(completed([]))).toBe("");
+    });
+
+    it("reads Chat Completions deltas", () => {
+        const delta = (content: unknown) => ({ choices: [{ index: 0, delta: { content } }] });
+        expect(normalizeChunkToText(delta("x"))).toBe("x");
+        expect(normalizeChunkToText(delta({ text: "obj" }))).toBe("obj");
+        expect(normalizeChunkToText(delta({ data: { text: "data" } }))).toBe("data");
+        expect(normalizeChunkToText(delta(null))).toBe("");
+        expect(normalizeChunkToText({ choices: [{ delta: { role: "assistant" } }] })).toBe("");
+    });
+
+    it("reads Chat Completions full messages and legacy completions", () => {
+        expect(normalizeChunkToText({ choices: [{ text: "legacy" }] })).toBe("legacy");
+        expect(normalizeChunkToText({ choices: [{ message: { role: "assistant", content: "full" } }] })).toBe("full");
+    });
+
+    it("reads Responses part / item events", () => {
+        expect(normalizeChunkToText({ type: "response.content_part.done", part: { text: "part" } })).toBe("part");
+        expect(normalizeChunkToText({ type: "response.output_item.done", item: { content: [{ text: "item" }] } })).toBe("item");
+    });
+
+    it("returns an empty string for anything else", () => {
+        expect(normalizeChunkToText(null)).toBe("");
+        expect(normalizeChunkToText({})).toBe("");
+        expect(normalizeChunkToText({ type: "response.created", response: { output: [] } })).toBe("");
+        expect(normalizeChunkToText({ choices: [] })).toBe("");
+    });
+});
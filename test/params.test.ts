@@ -0,0 +1,175 @@
+import { describe, expect, it } from "vitest";
+import { buildParamsFromRequest } from "../src/index";
+import { getModel } from "../src/models";
+import { applyGenerationParams, readChatSettings, readGenerationParams } from "../src/params";
+import { composeSystemPrompt, getPreset } from "../src/presets";
+import { callWorker, fakeAi, parseEvents, postJson, workerEnv } from "./helpers";
+
+const LLAMA = "@cf/meta/llama-3.3-70b-instruct-fp8-fast";
+const GPT_OSS = "@cf/openai/gpt-oss-120b";
+
+function chat(body: Record<string, unknown>, options?: Parameters<typeof postJson>[2]) {
+    return postJson("/api/chat", { model: LLAMA, messages: [{ role: "user", content: "hi" }], ...body }, options);
+}
+
+describe("readGenerationParams", () => {
+    it("accepts valid values and leaves missing ones out", () => {
+        expect(readGenerationParams({})).toEqual({});
+        expect(readGenerationParams({ temperature: 0.7, top_p: 1, max_tokens: 100, seed: 0 }))
+            .toEqual({ temperature: 0.7, top_p: 1, max_tokens: 100, seed: 0 });
+        expect(readGenerationParams({ max_output_tokens: 50, temperature: null })).toEqual({ max_tokens: 50 });
+    });
+
+    it("rejects wrong types and out-of-domain values", () => {
+        for (const bad of [
+            { temperature: "0.5" },
+            { temperature: -1 },
+            { top_p: 0 },
+            { top_p: 1.5 },
+            { max_tokens: 1.5 },
+            { max_tokens: 0 },
+            { max_tokens: 10, max_output_tokens: 20 },
+            { seed: -1 },
+            { seed: Number.NaN },
+        ]) {
+            expect(() => readGenerationParams(bad)).toThrowError(expect.objectContaining({ status: 400, code: "invalid_parameter" }));
+        }
+    });
+});
+
+describe("applyGenerationParams", () => {
+    it("clamps to the model and reports what changed", () => {
+        const applied = applyGenerationParams({ temperature: 4, max_tokens: 9999, seed: 7 }, getModel(GPT_OSS)!, 2048);
+        expect(applied).toEqual({ temperature: 2, max_tokens: 2048, clamped: ["temperature", "max_tokens"], ignored: ["seed"] });
+
+        const llama = applyGenerationParams({ temperature: 4, max_tokens: 100, seed: 7 }, getModel(LLAMA)!, 2048);
+        expect(llama).toEqual({ temperature: 4, max_tokens: 100, seed: 7, clamped: [], ignored: [] });
+    });
+});
+
+describe("readChatSettings", () => {
+    it("validates the preset and parameters", () => {
+        expect(readChatSettings(null)).toBeNull();
+        expect(readChatSettings({ preset: "coder", top_p: 0.9 })).toEqual({ preset: "coder", top_p: 0.9 });
+        expect(readChatSettings({ preset: "" })).toEqual({});
+        expect(() => readChatSettings({ preset: "pirate" })).toThrowError(expect.objectContaining({ code: "unknown_preset" }));
+        expect(() => readChatSettings([])).toThrowError(expect.objectContaining({ code: "invalid_parameter" }));
+    });
+});
+
+describe("generation params in requests", () => {
+    it("passes chat params upstream by model family", async () => {
+        const llama = await buildParamsFromRequest(chat({ temperature: 0.3, top_p: 0.9, max_tokens: 64, seed: 42 }), workerEnv());
+        expect(llama.aiParams).toMatchObject({ temperature: 0.3, top_p: 0.9, max_tokens: 64, seed: 42 });
+
+        const oss = await buildParamsFromRequest(chat({ model: GPT_OSS, temperature: 3, max_tokens: 64, seed: 42 }), workerEnv());
+        expect(oss.aiParams).toMatchObject({ temperature: 2, max_output_tokens: 64 });
+        expect(oss.aiParams.seed).toBeUndefined();
+        expect(oss.aiParams.max_tokens).toBeUndefined();
+        expect(oss.params).toMatchObject({ clamped: ["temperature"], ignored: ["seed"] });
+    });
+
+    it("leaves sampling params to the model when none are given", async () => {
+        const params = await buildParamsFromRequest(chat({}), workerEnv());
+        expect(params.aiParams.temperature).toBeUndefined();
+        expect(params.aiParams.top_p).toBeUndefined();
+        expect(params.params).toEqual({ max_tokens: params.model.maxOutputTokens, clamped: [], ignored: [] });
+    });
+
+    it("reports applied params in meta and rejects invalid ones", async () => {
+        const { body } = await callWorker(chat({ temperature: 9, max_tokens: 100 }));
+        expect(parseEvents(body)[0].data.params).toEqual({ temperature: 5, max_tokens: 100, clamped: ["temperature"], ignored: [] });
+
+        const bad = await callWorker(chat({ top_p: "high" }));
+        expect(bad.response.status).toBe(400);
+        expect(JSON.parse(bad.body)).toEqual({ error: "top_p must be a number", code: "invalid_parameter" });
+    });
+
+    it("maps OpenAI params on /v1", async () => {
+        const completions = fakeAi();
+        await callWorker(postJson("/v1/chat/completions", {
+            model: LLAMA,
+            messages: [{ role: "user", content: "hi" }],
+            temperature: 0.5,
+            max_completion_tokens: 32,
+            seed: 1,
+        }), completions);
+        expect(completions.calls[0].params).toMatchObject({ temperature: 0.5, max_tokens: 32, seed: 1 });
+
+        const bad = await callWorker(postJson("/v1/responses", { model: GPT_OSS, input: "hi", temperature: -1 }));
+        expect(bad.response.status).toBe(400);
+        expect(JSON.parse(bad.body).error).toMatchObject({ code: "invalid_parameter" });
+    });
+});
+
+describe("presets", () => {
+    it("lists presets", async () => {
+        const { body } = await callWorker(new Request("https://chat.test/api/presets"));
+        const ids = JSON.parse(body).presets.map((p: { id: string }) => p.id);
+        expect(ids).toContain("coder");
+    });
+
+    it("sits under the compliance prompt and before custom system messages", async () => {
+        const coder = getPreset("coder")!;
+        const params = await buildParamsFromRequest(chat({
+            preset: "coder",
+            messages: [{ role: "system", content: "Be terse." }, { role: "user", content: "hi" }],
+        }, { region: "CN" }), workerEnv());
+        const [system, custom] = params.aiParams.messages;
+        expect(system.content).toBe(composeSystemPrompt(params.policy.systemPrompt, coder));
+        expect(system.content.startsWith(params.policy.systemPrompt)).toBe(true);
+        expect(system.content.endsWith(coder.prompt)).toBe(true);
+        expect(custom).toEqual({ role: "system", content: "Be terse." });
+        expect(params.preset).toBe("coder");
+    });
+
+    it("applies preset defaults unless the request overrides them", async () => {
+        const preset = await buildParamsFromRequest(chat({ preset: "translator" }), workerEnv());
+        expect(preset.aiParams.temperature).toBe(0.1);
+        const override = await buildParamsFromRequest(chat({ preset: "translator", temperature: 0.8 }), workerEnv());
+        expect(override.aiParams.temperature).toBe(0.8);
+    });
+
+    it("rejects unknown presets", async () => {
+        const { response, body } = await callWorker(chat({ preset: "pirate" }));
+        expect(response.status).toBe(400);
+        expect(JSON.parse(body).code).toBe("unknown_preset");
+    });
+});
+
+describe("conversation settings", () => {
+    const cookie = () => ({ Cookie: `cid=${crypto.randomUUID()}` });
+    const patch = (id: string, body: unknown, headers: Record<string, string>) =>
+        new Request(`https://chat.test/api/conversations/${id}`, {
+            method: "PATCH",
+            headers: { "content-type": "application/json", ...headers },
+            body: JSON.stringify(body),
+        });
+
+    it("stores settings on create and update", async () => {
+        const headers = cookie();
+        const created = await callWorker(postJson("/api/conversations", { settings: { preset: "tutor", temperature: 0.4 } }, { headers }));
+        const { id, settings } = JSON.parse(created.body);
+        expect(settings).toEqual({ preset: "tutor", temperature: 0.4 });
+
+        const updated = await callWorker(patch(id, { settings: { seed: 3 } }, headers));
+        expect(JSON.parse(updated.body).settings).toEqual({ seed: 3 });
+
+        const get = await callWorker(new Request(`https://chat.test/api/conversations/${id}`, { headers }));
+        expect(JSON.parse(get.body).settings).toEqual({ seed: 3 });
+
+        const cleared = await callWorker(patch(id, { settings: null }, headers));
+        expect(JSON.parse(cleared.body).settings).toBeNull();
+    });
+
+    it("validates settings and unknown conversations", async () => {
+        const headers = cookie();
+        const { id } = JSON.parse((await callWorker(postJson("/api/conversations", {}, { headers }))).body);
+        const bad = await callWorker(patch(id, { settings: { temperature: "hot" } }, headers));
+        expect(bad.response.status).toBe(400);
+        expect(JSON.parse(bad.body).code).toBe("invalid_parameter");
+
+        const missing = await callWorker(patch(crypto.randomUUID(), { settings: {} }, headers));
+        expect(missing.response.status).toBe(404);
+    });
+});
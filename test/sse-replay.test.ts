@@ -0,0 +1,126 @@
+import { describe, expect, it } from "vitest";
+import { analyzeSse, diffTokens } from "../public/sse-replay.js";
+import { answerOf, callWorker, fakeAi, fixture, parseEvents, postJson, replay } from "./helpers";
+
+const LLAMA = "@cf/meta/llama-3.3-70b-instruct-fp8-fast";
+
+async function chatCapture(name: string) {
+    const { body } = await callWorker(
+        postJson("/api/chat", { model: LLAMA, messages: [{ role: "user", content: "hi" }] }),
+        fakeAi(() => replay(fixture(name), { chunkSize: 17 })),
+    );
+    return body;
+}
+
+describe("analyzeSse", () => {
+    it.each([
+        "llama-tagged",
+        "gpt-oss-responses",
+        "chat-completions",
+        "deepseek-think",
+        "untagged-selftalk",
+        "multiple-finals",
+        "uppercase-tags",
+    ])("replays %s to the answer /api/chat streams", async (name) => {
+        const body = await chatCapture(name);
+        const expected = answerOf(parseEvents(body)).trim();
+        expect(expected).not.toBe("");
+
+        const upstream = analyzeSse(fixture(name));
+        expect(upstream.format).toBe("upstream");
+        expect(upstream.answer).toBe(expected);
+
+        const normalized = analyzeSse(body);
+        expect(normalized.format).toBe("normalized");
+        expect(normalized.answer).toBe(expected);
+        expect(normalized.counts.gated).toBe(0);
+    });
+
+    it("labels what each upstream event contributed", () => {
+        const raw = [
+            `data: {"type":"response.reasoning_text.delta","delta":"hmm"}`,
+            `data: {"type":"response.output_text.delta","delta":"plan <final>Hi"}`,
+            `data: {"type":"response.output_text.delta","delta":" there</final> bye"}`,
+            `data: {"type":"response.output_text.done","text":"plan <final>Hi there</final> bye"}`,
+            `data: not json`,
+            `data: [DONE]`,
+        ].join("\n\n");
+        const { entries, answer, reasoning, counts } = analyzeSse(raw);
+        expect(entries.map((e) => e.verdict)).toEqual(["dropped", "kept", "kept", "dropped", "dropped", "status"]);
+        expect(entries[1]).toMatchObject({ piece: "plan <final>Hi", answer: "Hi", reason: "部分被 <final> 扣下" });
+        expect(entries[3].reason).toContain("全文");
+        expect(entries[4].reason).toContain("JSON");
+        expect(answer).toBe("Hi there");
+        expect(reasoning).toBe("hmm");
+        expect(counts).toEqual({ kept: 2, gated: 0, dropped: 3, status: 1, replaced: 0 });
+    });
+
+    it("drops lines that are not JSON", () => {
+        const { entries, answer } = analyzeSse(fixture("malformed"));
+        expect(entries.map((e) => [e.verdict, e.reason])).toEqual([
+            ["dropped", "无法解析的 JSON"],
+            ["dropped", "无法解析的 JSON"],
+            ["status", "[DONE] 结束标记"],
+        ]);
+        expect(answer).toBe("");
+    });
+
+    it("marks text held before <final> as gated", () => {
+        const raw = [`data: {"response":"thinking..."}`, `data: {"response":"<final>ok</final>"}`].join("\n\n");
+        const { entries, answer, fallback } = analyzeSse(raw);
+        expect(entries[0]).toMatchObject({ verdict: "gated", answer: "" });
+        expect(answer).toBe("ok");
+        expect(fallback).toBeNull();
+    });
+
+    it("explains the self-talk fallback when no <final> arrives", () => {
+        const { answer, fallback } = analyzeSse(fixture("untagged-selftalk"));
+        expect(fallback?.answer.trim()).toBe(answer);
+        expect(fallback?.removed.length).toBeGreaterThan(0);
+    });
+
+    it("reports output moderation in /api/chat captures", () => {
+        const raw = [
+            `event: meta\ndata: {"requestId":"r"}`,
+            `event: delta\ndata: {"response":"bad"}`,
+            `event: moderation\ndata: {"category":"illegal_dangerous","response":"无法回答"}`,
+            `event: done\ndata: {"finishReason":"content_filter"}`,
+        ].join("\n\n");
+        const { entries, answer } = analyzeSse(raw);
+        expect(entries.map((e) => e.verdict)).toEqual(["status", "kept", "replaced", "status"]);
+        expect(answer).toBe("无法回答");
+    });
+});
+
+describe("diffTokens", () => {
+    it("diffs single lines by word and character", () => {
+        expect(diffTokens("the answer is 42", "the answer was 42")).toEqual([
+            { op: "equal", text: "the answer " },
+            { op: "delete", text: "is" },
+            { op: "insert", text: "was" },
+            { op: "equal", text: " 42" },
+        ]);
+        expect(diffTokens("你好世界", "你好，世界")).toEqual([
+            { op: "equal", text: "你好" },
+            { op: "insert", text: "，" },
+            { op: "equal", text: "世界" },
+        ]);
+    });
+
+    it("diffs multi-line text by line", () => {
+        expect(diffTokens("a\nb\nc\n", "a\nc\nd\n")).toEqual([
+            { op: "equal", text: "a\n" },
+            { op: "delete", text: "b\n" },
+            { op: "equal", text: "c\n" },
+            { op: "insert", text: "d\n" },
+        ]);
+    });
+
+    it("falls back to coarser pieces for huge inputs", () => {
+        const words = ["x ".repeat(2000), "y ".repeat(2000)];
+        expect(diffTokens(words[0], words[1])).toEqual([{ op: "delete", text: words[0] }, { op: "insert", text: words[1] }]);
+        const lines = ["x\n".repeat(1500), "x\n".repeat(1499) + "y\n"];
+        expect(diffTokens(lines[0], lines[1])).toEqual([{ op: "delete", text: lines[0] }, { op: "insert", text: lines[1] }]);
+        expect(diffTokens("", "")).toEqual([]);
+    });
+});
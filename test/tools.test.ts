@@ -0,0 +1,170 @@
+import { describe, expect, it } from "vitest";
+import {
+    availableTools,
+    createToolCallCollector,
+    evaluateExpression,
+    isAllowedUrl,
+    runToolCall,
+    TOOLS,
+} from "../src/tools";
+import { getModel } from "../src/models";
+import { callWorker, fakeAi, fixture, parseEvents, postJson, replay, answerOf, type AiCall } from "./helpers";
+
+const LLAMA = "@cf/meta/llama-3.3-70b-instruct-fp8-fast";
+const GPT_OSS = "@cf/openai/gpt-oss-120b";
+const ALLOWLIST = { TOOL_FETCH_ALLOWLIST: "example.com, docs.test" };
+
+// 一轮只请求工具调用的上游流（Workers 原生格式）
+function toolCallStream(calls: unknown[], usage = { prompt_tokens: 10, completion_tokens: 5, total_tokens: 15 }) {
+    return replay([
+        `data: ${JSON.stringify({ response: "", tool_calls: calls })}`,
+        `data: ${JSON.stringify({ response: "", usage })}`,
+        "data: [DONE]",
+        "",
+    ].join("\n\n"));
+}
+
+function chat(body: Record<string, unknown>, region = "US") {
+    return postJson("/api/chat", { model: LLAMA, messages: [{ role: "user", content: "what is 6*7?" }], tools: true, ...body }, { region });
+}
+
+describe("calculator", () => {
+    it("evaluates arithmetic without eval", () => {
+        expect(evaluateExpression("(3 + 4) * sqrt(16) / 2")).toBe(14);
+        expect(evaluateExpression("2^3^2")).toBe(512);
+        expect(evaluateExpression("-2 ** 2")).toBe(-4);
+        expect(evaluateExpression("max(1, 5, 3) % 4 + pi * 0")).toBe(1);
+        expect(evaluateExpression(" 1.5e2 ")).toBe(150);
+    });
+
+    it("rejects anything else", () => {
+        for (const bad of ["", "1 +", "1/0", "(1", "alert(1)", "1; 2", "x"]) {
+            expect(() => evaluateExpression(bad), bad).toThrow();
+        }
+    });
+});
+
+describe("tool registry", () => {
+    it("validates arguments against the schema", async () => {
+        const call = (name: string, args: Record<string, unknown>) => runToolCall({ id: "c", name, arguments: args }, TOOLS, { env: {} });
+        expect(await call("calculator", { expression: "6*7" })).toMatchObject({ ok: true, result: { value: 42 } });
+        expect(await call("calculator", {})).toMatchObject({ ok: false, error: "Missing required argument: expression" });
+        expect(await call("calculator", { expression: 42 })).toMatchObject({ ok: false, error: "Argument expression must be of type string" });
+        expect(await call("calculator", { expression: "1", extra: 1 })).toMatchObject({ ok: false, error: "Unknown argument: extra" });
+        expect(await call("shell", {})).toMatchObject({ ok: false, error: "Tool not available: shell" });
+        expect(await call("current_time", { timezone: "Mars/Olympus" })).toMatchObject({ ok: false, error: "Unknown time zone: Mars/Olympus" });
+        const time = await call("current_time", { timezone: "Asia/Shanghai" });
+        expect(time.result).toMatchObject({ timezone: "Asia/Shanghai", local: expect.stringMatching(/^\d{4}-\d{2}-\d{2} \d{2}:\d{2}:\d{2}$/) });
+    });
+
+    it("only fetches allowlisted https URLs", async () => {
+        const allow = ["example.com"];
+        expect(isAllowedUrl("https://example.com/a", allow)).toBe(true);
+        expect(isAllowedUrl("https://api.example.com/a", allow)).toBe(true);
+        for (const url of ["http://example.com", "https://badexample.com", "https://example.com:8443/", "https://u:p@example.com", "not a url"]) {
+            expect(isAllowedUrl(url, allow), url).toBe(false);
+        }
+        const policy = { disabledTools: [] };
+        expect(availableTools(policy, {}).map((t) => t.name)).toEqual(["calculator", "current_time"]);
+        const result = await runToolCall({ id: "c", name: "fetch_url", arguments: { url: "https://evil.test/" } }, availableTools(policy, ALLOWLIST), { env: ALLOWLIST });
+        expect(result).toMatchObject({ ok: false, error: "URL is not allowed. Allowed hosts: example.com, docs.test" });
+    });
+
+    it("collects native and streamed Chat Completions tool calls", () => {
+        const collector = createToolCallCollector();
+        collector.push({ response: "", tool_calls: [{ name: "calculator", arguments: { expression: "1+1" } }] });
+        collector.push({ choices: [{ delta: { tool_calls: [{ index: 0, id: "call_a", function: { name: "current_time", arguments: "{\"time" } }] } }] });
+        collector.push({ choices: [{ delta: { tool_calls: [{ index: 0, function: { arguments: "zone\":\"UTC\"}" } }] } }] });
+        collector.push({ choices: [{ delta: { tool_calls: [{ index: 1, id: "call_b", function: { name: "calculator", arguments: "{oops" } }] } }] });
+        const calls = collector.take();
+        expect(calls.map(({ id, ...rest }) => rest)).toEqual([
+            { name: "calculator", arguments: { expression: "1+1" } },
+            { name: "current_time", arguments: { timezone: "UTC" } },
+            { name: "calculator", arguments: {}, invalidArguments: "Arguments must be a JSON object" },
+        ]);
+        expect(calls[1].id).toBe("call_a");
+        expect(collector.take()).toEqual([]);
+    });
+});
+
+describe("/api/chat tool loop", () => {
+    it("runs model → tool → model and streams the tool events", async () => {
+        const ai = fakeAi((call: AiCall) => call.params.messages.some((m: { role: string }) => m.role === "tool")
+            ? replay(fixture("llama-tagged"))
+            : toolCallStream([{ name: "calculator", arguments: { expression: "6*7" } }]));
+        const { body } = await callWorker(chat({}), ai);
+        const events = parseEvents(body);
+
+        expect(events.map((e) => e.event).filter((e, i, all) => e !== all[i - 1])).toEqual(["meta", "tool_call", "tool_result", "delta", "done"]);
+        expect(events[0].data.tools).toEqual(["calculator", "current_time"]);
+        const [toolCall, toolResult] = [events[1].data, events[2].data];
+        expect(toolCall).toMatchObject({ name: "calculator", arguments: { expression: "6*7" }, round: 1 });
+        expect(toolResult).toMatchObject({ id: toolCall.id, name: "calculator", ok: true, result: { value: 42 } });
+        expect(answerOf(events)).toBe("你好！我是一个助手。");
+
+        expect(ai.calls).toHaveLength(2);
+        expect(ai.calls[0].params.tools.map((t: { function: { name: string } }) => t.function.name)).toEqual(["calculator", "current_time"]);
+        expect(ai.calls[1].params.messages.slice(-2)).toEqual([
+            { role: "assistant", content: "", tool_calls: [{ id: toolCall.id, type: "function", function: { name: "calculator", arguments: "{\"expression\":\"6*7\"}" } }] },
+            { role: "tool", tool_call_id: toolCall.id, name: "calculator", content: "{\"expression\":\"6*7\",\"value\":42}" },
+        ]);
+        // 两轮用量相加
+        const done = events[events.length - 1].data;
+        expect(done.finishReason).toBe("stop");
+        expect(done.usage.total_tokens).toBeGreaterThan(15);
+    });
+
+    it("stops offering tools after the round limit", async () => {
+        const ai = fakeAi(() => toolCallStream([{ name: "current_time", arguments: {} }]));
+        const events = parseEvents((await callWorker(chat({}), ai)).body);
+        expect(ai.calls).toHaveLength(5);
+        expect(ai.calls.slice(0, 4).every((c) => c.params.tools)).toBe(true);
+        expect(ai.calls[4].params.tools).toBeUndefined();
+        expect(events.filter((e) => e.event === "tool_result")).toHaveLength(4);
+        expect(events[events.length - 1].data.finishReason).toBe("error");
+    });
+
+    it("only offers tools when asked, to models that support them", async () => {
+        const plain = fakeAi();
+        const events = parseEvents((await callWorker(chat({ tools: undefined }), plain)).body);
+        expect(plain.calls[0].params.tools).toBeUndefined();
+        expect(events[0].data.tools).toEqual([]);
+
+        const oss = fakeAi(() => replay(fixture("gpt-oss-responses")));
+        await callWorker(chat({ model: GPT_OSS }), oss);
+        expect(oss.calls[0].params.tools).toBeUndefined();
+
+        // responses 族没有 messages，即使注册表标记了 tools 也不提供
+        const registered = getModel(GPT_OSS)!;
+        registered.tools = true;
+        try {
+            const flagged = fakeAi(() => replay(fixture("gpt-oss-responses")));
+            const meta = parseEvents((await callWorker(chat({ model: GPT_OSS }), flagged)).body)[0];
+            expect(flagged.calls[0].params.tools).toBeUndefined();
+            expect(meta.data.tools).toEqual([]);
+            const { models } = JSON.parse((await callWorker(new Request("https://chat.test/api/models"))).body);
+            expect(models.find((m: { id: string }) => m.id === GPT_OSS).tools).toBe(false);
+        } finally {
+            delete registered.tools;
+        }
+
+        const { response, body } = await callWorker(chat({ tools: ["rm"] }));
+        expect(response.status).toBe(400);
+        expect(JSON.parse(body).code).toBe("invalid_tools");
+    });
+
+    it("lets a region's policy switch tools off", async () => {
+        const names = async (region: string) => {
+            const ai = fakeAi();
+            const events = parseEvents((await callWorker(chat({ tools: ["fetch_url", "calculator"] }, region), ai, ALLOWLIST)).body);
+            return events[0].data.tools;
+        };
+        expect(await names("US")).toEqual(["calculator", "fetch_url"]);
+        expect(await names("CN")).toEqual(["calculator"]);
+
+        const models = await callWorker(new Request("https://chat.test/api/models", { headers: { "CF-IPCountry": "CN" } }), fakeAi(), ALLOWLIST);
+        const data = JSON.parse(models.body);
+        expect(data.tools.map((t: { name: string }) => t.name)).toEqual(["calculator", "current_time"]);
+        expect(data.models.find((m: { id: string }) => m.id === LLAMA).tools).toBe(true);
+    });
+});
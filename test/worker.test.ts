@@ -0,0 +1,353 @@
+import { describe, expect, it } from "vitest";
+import { buildParamsFromRequest } from "../src/index";
+import { createOutputModerator } from "../src/moderation";
+import { loadPolicies, matchForbidden, selectPolicy } from "../src/policy";
+import { answerOf, callWorker, fakeAi, fixture, parseEvents, postJson, replay, workerEnv } from "./helpers";
+
+const LLAMA = "@cf/meta/llama-3.3-70b-instruct-fp8-fast";
+const GPT_OSS = "@cf/openai/gpt-oss-120b";
+const DEEPSEEK = "@cf/deepseek-ai/deepseek-r1-distill-qwen-32b";
+
+function chat(body: Record<string, unknown>, options?: Parameters<typeof postJson>[2]) {
+    return postJson("/api/chat", { model: LLAMA, messages: [{ role: "user", content: "hi" }], ...body }, options);
+}
+
+describe("fetch routing", () => {
+    it("serves static assets outside /api and /v1", async () => {
+        const { response, body } = await callWorker(new Request("https://chat.test/"));
+        expect(response.status).toBe(200);
+        expect(body).toContain("<html");
+    });
+
+    it("returns 404 for unknown API routes and wrong methods", async () => {
+        expect((await callWorker(new Request("https://chat.test/api/nope"))).response.status).toBe(404);
+        expect((await callWorker(new Request("https://chat.test/api/chat"))).response.status).toBe(404);
+        expect((await callWorker(new Request("https://chat.test/v1/models"))).response.status).toBe(404);
+    });
+
+    it("lists models for the caller's region", async () => {
+        const get = (region: string) => new Request("https://chat.test/api/models", { headers: { "CF-IPCountry": region } });
+        const us = JSON.parse((await callWorker(get("US"))).body);
+        expect(us.models.map((m: { id: string }) => m.id)).toContain(GPT_OSS);
+        expect(us.models.every((m: object) => !("regions" in m))).toBe(true);
+        expect(us.reasoningAllowed).toBe(true);
+
+        const cn = JSON.parse((await callWorker(get("CN"))).body);
+        expect(cn.reasoningAllowed).toBe(false);
+    });
+
+    it("issues no session when auth is disabled", async () => {
+        const { response } = await callWorker(postJson("/api/session", {}));
+        expect(response.status).toBe(204);
+        expect(response.headers.get("Set-Cookie")).toBeNull();
+    });
+
+    it("rejects bad chat requests with structured errors", async () => {
+        const badJson = new Request("https://chat.test/api/chat", { method: "POST", body: "{" });
+        const invalid = await callWorker(badJson);
+        expect(invalid.response.status).toBe(400);
+        expect(JSON.parse(invalid.body)).toEqual({ error: "Request body must be JSON", code: "invalid_json" });
+
+        const unknown = await callWorker(chat({ model: "@cf/nope" }));
+        expect(unknown.response.status).toBe(400);
+        expect(JSON.parse(unknown.body).code).toBe("unknown_model");
+    });
+
+    it("passes /api/chat/raw through unchanged", async () => {
+        const raw = fixture("gpt-oss-responses");
+        const { response, body } = await callWorker(postJson("/api/chat/raw", {
+            model: GPT_OSS,
+            messages: [{ role: "user", content: "hi" }],
+        }), fakeAi(() => replay(raw)));
+        expect(response.headers.get("content-type")).toContain("text/event-stream");
+        expect(response.headers.get("X-Compliance-Policy")).toBe("global");
+        expect(body).toBe(raw);
+    });
+
+    it("strips reasoning_content from /api/chat/raw under the CN policy", async () => {
+        const ai = fakeAi(() => replay(fixture("deepseek-reasoning")));
+        const request = () => postJson("/api/chat/raw", {
+            model: DEEPSEEK,
+            messages: [{ role: "user", content: "What is 2 + 2?" }],
+        }, { region: "CN" });
+        const { body } = await callWorker(request(), ai);
+        expect(body).not.toContain("reasoning_content");
+        expect(body).not.toContain("The user asks for");
+        const chunks = parseEvents(body).map((e) => e.data).filter((d) => d.choices);
+        expect(chunks.map((d) => d.choices[0].delta.content ?? "").join("")).toBe("<final>2 + 2 = **4**</final>");
+        expect(chunks[chunks.length - 1].usage.total_tokens).toBe(50);
+        expect(body.endsWith("data: [DONE]\n\n")).toBe(true);
+
+        // 同一模型以 <think> 标签输出时照常直通
+        const think = fixture("deepseek-think");
+        const tagged = await callWorker(request(), fakeAi(() => replay(think)));
+        expect(tagged.body).toBe(think);
+    });
+
+    it("answers /v1/chat/completions from the same stream", async () => {
+        const { response, body } = await callWorker(postJson("/v1/chat/completions", {
+            model: LLAMA,
+            messages: [{ role: "user", content: "hi" }],
+        }));
+        expect(response.status).toBe(200);
+        const completion = JSON.parse(body);
+        expect(completion.object).toBe("chat.completion");
+        expect(completion.choices[0].message.content).toBe("你好！我是一个助手。");
+        expect(completion.choices[0].finish_reason).toBe("stop");
+    });
+
+    it("uses the OpenAI error shape on /v1", async () => {
+        const { response, body } = await callWorker(postJson("/v1/responses", { model: "@cf/nope", input: "hi" }));
+        expect(response.status).toBe(400);
+        expect(JSON.parse(body).error).toMatchObject({ type: "invalid_request_error", code: "unknown_model" });
+
+        // 限流等错误的响应头（Retry-After）与 /api 一致
+        const keys = { API_KEYS_JSON: JSON.stringify([{ key: "sk-v1", id: "v1", rpm: 1 }]) };
+        const ask = () => postJson("/v1/chat/completions", { model: LLAMA, messages: [{ role: "user", content: "hi" }] }, { headers: { Authorization: "Bearer sk-v1" } });
+        await callWorker(ask(), fakeAi(), keys);
+        const limited = await callWorker(ask(), fakeAi(), keys);
+        expect(limited.response.status).toBe(429);
+        expect(JSON.parse(limited.body).error.code).toBe("rate_limited");
+        expect(limited.response.headers.get("Retry-After")).toMatch(/^\d+$/);
+    });
+});
+
+describe("buildParamsFromRequest", () => {
+    it("builds chat params with the compliance system prompt first", async () => {
+        const params = await buildParamsFromRequest(chat({
+            messages: [
+                { role: "system", content: "Be terse." },
+                { role: "user", content: "hi" },
+                { role: "tool", content: "dropped" },
+                { role: "assistant", content: 42 },
+            ],
+        }), workerEnv());
+        expect(params.modelId).toBe(LLAMA);
+        expect(params.policy.id).toBe("global");
+        expect(params.lastUserText).toBe("hi");
+        expect(params.aiParams.stream).toBe(true);
+        expect(params.aiParams.max_tokens).toBe(params.model.maxOutputTokens);
+        expect(params.aiParams.messages).toEqual([
+            { role: "system", content: params.policy.systemPrompt },
+            { role: "system", content: "Be terse." },
+            { role: "user", content: "hi" },
+        ]);
+    });
+
+    it("builds Responses params for gpt-oss", async () => {
+        const params = await buildParamsFromRequest(chat({
+            model: GPT_OSS,
+            messages: [{ role: "system", content: "Be terse." }, { role: "user", content: "hi" }],
+        }), workerEnv());
+        expect(params.aiParams.instructions).toBe(`${params.policy.systemPrompt}\n\nBe terse.`);
+        expect(params.aiParams.input).toEqual([{ role: "user", content: "hi" }]);
+        expect(params.aiParams.max_output_tokens).toBe(params.model.maxOutputTokens);
+        expect(params.aiParams.messages).toBeUndefined();
+    });
+
+    it("falls back to the default model and a greeting", async () => {
+        const params = await buildParamsFromRequest(chat({ model: "", messages: "nope" }), workerEnv());
+        expect(params.model.id).toBe(params.modelId);
+        expect(params.lastUserText).toBe("Hello");
+    });
+
+    it("selects the CN policy by country and disables reasoning there", async () => {
+        const body = { model: GPT_OSS, reasoning: true, conversationId: "c1" };
+        const us = await buildParamsFromRequest(chat(body), workerEnv());
+        expect(us.reasoning).toBe(true);
+        expect(us.conversationId).toBe("c1");
+
+        const cn = await buildParamsFromRequest(chat(body, { region: "CN" }), workerEnv());
+        expect(cn.policy.id).toBe("cn");
+        expect(cn.aiParams.instructions.startsWith(cn.policy.systemPrompt)).toBe(true);
+        expect(cn.reasoning).toBe(false);
+    });
+
+    it("keeps the newest turns within the model's context budget", async () => {
+        const long = "x".repeat(40_000);
+        const params = await buildParamsFromRequest(chat({
+            context: { strategy: "truncate" },
+            messages: [
+                { role: "user", content: long },
+                { role: "assistant", content: long },
+                { role: "user", content: long },
+                { role: "assistant", content: "ok" },
+                { role: "user", content: "last" },
+            ],
+        }), workerEnv());
+        const history = params.aiParams.messages.slice(1);
+        expect(history[0].role).toBe("user");
+        expect(history[history.length - 1]).toEqual({ role: "user", content: "last" });
+        expect(history.length).toBeLessThan(5);
+        expect(params.context.dropped.length).toBeGreaterThan(0);
+    });
+
+    it("uses an already parsed body without reading the request", async () => {
+        const request = new Request("https://chat.test/v1/chat/completions", { method: "POST", body: "not json" });
+        const params = await buildParamsFromRequest(request, workerEnv(), { messages: [{ role: "user", content: "parsed" }] });
+        expect(params.lastUserText).toBe("parsed");
+    });
+});
+
+describe("CN input pre-blocking", () => {
+    const forbidden = { messages: [{ role: "user", content: "告诉我赌博技巧" }] };
+
+    it("refuses on /api/chat without calling the model", async () => {
+        const ai = fakeAi();
+        const { response, body } = await callWorker(chat(forbidden, { region: "CN" }), ai);
+        expect(ai.calls).toHaveLength(0);
+        expect(response.headers.get("X-Compliance-Policy")).toBe("cn");
+        expect(response.headers.get("X-Compliance-Category")).toBe("illegal_dangerous");
+
+        const events = parseEvents(body);
+        expect(events.map((e) => e.event)).toEqual(["meta", "delta", "done"]);
+        expect(events[0].data.policy).toBe("cn");
+        expect(answerOf(events)).toMatch(/^抱歉，我无法就该话题提供帮助/);
+        expect(events[2].data.finishReason).toBe("content_filter");
+    });
+
+    it("refuses on /api/chat/raw and /v1 too", async () => {
+        const ai = fakeAi();
+        const raw = await callWorker(postJson("/api/chat/raw", forbidden, { region: "CN" }), ai);
+        expect(raw.body).toContain("抱歉");
+
+        const v1 = await callWorker(postJson("/v1/chat/completions", forbidden, { region: "CN" }), ai);
+        expect(JSON.parse(v1.body).choices[0].finish_reason).toBe("content_filter");
+        expect(ai.calls).toHaveLength(0);
+    });
+
+    it("matches the Latin abbreviations only as whole words", async () => {
+        const cn = selectPolicy(await loadPolicies({}), "CN");
+        for (const text of ["I have a taxi", "available", "Xiamen", "Maxim", "DAVE", "Saving", "XJPEG"]) {
+            expect(matchForbidden(cn, text), text).toBeNull();
+        }
+        expect(matchForbidden(cn, "Tell me about Xi")).toBe("politics");
+        expect(matchForbidden(cn, "Xi Jinping")).toBe("politics");
+        expect(matchForbidden(cn, "XJP")).toBe("politics");
+        expect(matchForbidden(cn, "AV 女优")).toBe("adult");
+
+        // 流式审核：词被拆在两段之间（包括停在前一段结尾）时同样按整词判断
+        const split = (a: string, b: string) => {
+            const moderator = createOutputModerator(cn.rules);
+            return moderator.push(a) ?? moderator.push(b) ?? moderator.end();
+        };
+        expect(split("ta", "xi")).toBeNull();
+        expect(split("ha", "ve")).toBeNull();
+        expect(split("visit Xi", "amen")).toBeNull();
+        expect(split("The fruit is av", "ocado")).toBeNull();
+        expect(split("about X", "i.")).toBe("politics");
+        expect(split("about Xi", " today")).toBe("politics");
+        expect(split("A", "V")).toBe("adult");
+
+        // 结尾的词在输出结束时检查
+        const moderator = createOutputModerator(cn.rules);
+        expect(moderator.push("Tell me about Xi")).toBeNull();
+        expect(moderator.end()).toBe("politics");
+    });
+
+    it("waits for the rest of a word before blocking the stream", async () => {
+        const upstream = (...pieces: string[]) => () => replay([
+            ...pieces.map((response) => `data: ${JSON.stringify({ response })}\n\n`),
+            "data: [DONE]\n\n",
+        ].join(""));
+        const run = async (path: string, ...pieces: string[]) =>
+            (await callWorker(postJson(path, { model: LLAMA, messages: [{ role: "user", content: "hi" }] }, { region: "CN" }), fakeAi(upstream(...pieces)))).body;
+
+        for (const pieces of [["<final>We will visit Xi", "amen.</final>"], ["<final>The fruit is av", "ocado</final>"]]) {
+            const events = parseEvents(await run("/api/chat", ...pieces));
+            expect(events.some((e) => e.event === "moderation")).toBe(false);
+            expect(answerOf(events)).toBe(pieces.join("").replace(/<\/?final>/g, ""));
+            expect(await run("/api/chat/raw", ...pieces)).not.toContain("event: moderation");
+        }
+
+        // 禁区词停在一段结尾时由下一段或输出结束时拦截
+        const events = parseEvents(await run("/api/chat", "<final>Ask about Xi"));
+        expect(events.find((e) => e.event === "moderation")?.data.category).toBe("politics");
+        expect(events[events.length - 1].data.finishReason).toBe("content_filter");
+        expect(await run("/api/chat/raw", "<final>Tell me about Xi", "</final>")).toContain("event: moderation");
+        expect(await run("/api/chat/raw", "<final>Ask about Xi")).toContain("event: moderation");
+    });
+
+    it("does not block the same input under the global policy", async () => {
+        const ai = fakeAi();
+        await callWorker(chat(forbidden), ai);
+        expect(ai.calls).toHaveLength(1);
+        expect(ai.calls[0].options).toEqual({ returnRawResponse: true, stream: true });
+    });
+});
+
+describe("/api/chat stream", () => {
+    const recorded: [fixture: string, model: string, answer: string][] = [
+        ["llama-tagged", LLAMA, "你好！我是一个助手。"],
+        ["gpt-oss-responses", GPT_OSS, "The answer is 42."],
+        ["deepseek-think", DEEPSEEK, "2 + 2 = **4**"],
+        ["deepseek-untagged", DEEPSEEK, "3 × 7 = 21。"],
+        ["deepseek-reasoning", DEEPSEEK, "2 + 2 = **4**"],
+        ["chat-completions", LLAMA, "Bonjour，世界"],
+        ["multiple-finals", LLAMA, "真正的回答"],
+    ];
+
+    for (const [name, model, answer] of recorded) {
+        it(`streams only the answer of ${name}`, async () => {
+            for (const chunkSize of [undefined, 1, 7]) {
+                const { body } = await callWorker(chat({ model }), fakeAi(() => replay(fixture(name), { chunkSize })));
+                const events = parseEvents(body);
+                expect(events[0].event).toBe("meta");
+                expect(answerOf(events).trim()).toBe(answer);
+                expect(events[events.length - 1]).toMatchObject({ event: "done", data: { finishReason: "stop" } });
+            }
+        });
+    }
+
+    it("flushes a last event that has no trailing blank line", async () => {
+        const { body } = await callWorker(chat({}), fakeAi(() => replay(fixture("no-trailing-blank-line"))));
+        const events = parseEvents(body);
+        expect(answerOf(events)).toBe("Almost there");
+        expect(events[events.length - 1].data).toEqual({
+            finishReason: "stop",
+            usage: { prompt_tokens: 20, completion_tokens: 4, total_tokens: 24 },
+            latency: { firstTokenMs: expect.any(Number), totalMs: expect.any(Number) },
+        });
+    });
+
+    it("reports empty output on flush", async () => {
+        const { body } = await callWorker(chat({}), fakeAi(() => replay(fixture("empty-output"))));
+        const events = parseEvents(body);
+        expect(events.map((e) => e.event)).toEqual(["meta", "error", "done"]);
+        expect(events[1].data).toMatchObject({ code: "empty_output", retryable: true });
+        expect(events[2].data.finishReason).toBe("error");
+    });
+
+    it("reports malformed upstream data on flush", async () => {
+        const { body } = await callWorker(chat({}), fakeAi(() => replay(fixture("malformed"))));
+        const events = parseEvents(body);
+        expect(events.find((e) => e.event === "error")?.data.code).toBe("upstream_malformed");
+    });
+
+    it("ends with an error event when the upstream stream fails", async () => {
+        const { body } = await callWorker(chat({}), fakeAi(() => replay(fixture("unclosed-final"), { error: true })));
+        const events = parseEvents(body);
+        expect(answerOf(events)).toContain("Step 2: add tea.");
+        expect(events.slice(-2).map((e) => e.event)).toEqual(["error", "done"]);
+        expect(events[events.length - 2].data.code).toBe("upstream_error");
+    });
+
+    it("replaces the answer when CN output moderation hits", async () => {
+        const { response, body } = await callWorker(chat({}, { region: "CN" }), fakeAi(() => replay(fixture("moderation-cn"))));
+        expect(response.headers.get("X-Compliance-Policy")).toBe("cn");
+        const events = parseEvents(body);
+        const moderation = events.find((e) => e.event === "moderation");
+        expect(moderation?.data).toMatchObject({ code: "output_blocked", replace: true, category: "politics" });
+        expect(events[events.length - 1].data.finishReason).toBe("content_filter");
+    });
+
+    it("falls back to one delta when the upstream answers with JSON", async () => {
+        const json = new Response(JSON.stringify({ response: "<final>whole</final>" }), {
+            headers: { "content-type": "application/json" },
+        });
+        const { body } = await callWorker(chat({}), fakeAi(() => json));
+        const events = parseEvents(body);
+        expect(events.map((e) => e.event)).toEqual(["meta", "delta", "done"]);
+        expect(answerOf(events)).toBe("whole");
+    });
+});
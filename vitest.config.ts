@@ -0,0 +1,15 @@
+import { defineWorkersConfig } from "@cloudflare/vitest-pool-workers/config";
+
+// 测试跑在 workerd 中（@cloudflare/vitest-pool-workers），绑定取自 wrangler.jsonc；
+// env.AI 在各用例中替换为回放录制流的假绑定（见 test/helpers.ts），不会访问 Cloudflare 账号
+export default defineWorkersConfig({
+    test: {
+        poolOptions: {
+            workers: {
+                singleWorker: true,
+                // RESPONSE_CACHE（KV）在本地模拟；test/helpers.ts 缺省不传入，只有 test/cache.test.ts 按需传入
+                wrangler: { configPath: "./wrangler.jsonc" },
+            },
+        },
+    },
+});
@@ -1,8 +1,13 @@
 /* eslint-disable */
-// Generated by Wrangler by running `wrangler types` (hash: 80249d21cfe83a36e0716221efea2fbf)
+// Generated by Wrangler by running `wrangler types` (hash: 1d15dba7eac2257f294165291ecc7128)
 // Runtime types generated with workerd@1.20250617.0 2025-04-01 global_fetch_strictly_public,nodejs_compat
 declare namespace Cloudflare {
 	interface Env {
+		RESPONSE_CACHE: KVNamespace;
+		CONVERSATIONS: DurableObjectNamespace<import("./src/index").ConversationStore>;
+		RATE_LIMITER: DurableObjectNamespace<import("./src/index").RateLimiter>;
+		METRICS_STORE: DurableObjectNamespace<import("./src/index").MetricsStore>;
+		VECTORIZE: VectorizeIndex;
 		AI: Ai;
 		ASSETS: Fetcher;
 	}